@@ -0,0 +1,75 @@
+// Local reminders, loaded into the generated Workbox service worker through workbox.importScripts.
+// The app writes a snapshot of the reminder settings and of what has been logged to the cache below and asks for a
+// check every minute while it is open; Periodic Background Sync, where the browser grants it, checks when it is not.
+// Dates compare in the app's calendar (UTC day), reminder times and quiet hours in local time.
+const REMINDER_CACHE = "coach-reminders";
+const REMINDER_STATE_URL = "/__coach-reminders/state";
+const REMINDER_SENT_URL = "/__coach-reminders/sent";
+// A reminder still goes out this long after its time (e.g. after quiet hours end), never later.
+const REMINDER_WINDOW_MIN = 240;
+
+const readJSON = async (url) => {
+  const res = await (await caches.open(REMINDER_CACHE)).match(url);
+  return res ? res.json() : null;
+};
+const writeJSON = async (url, value) => (await caches.open(REMINDER_CACHE)).put(url, new Response(JSON.stringify(value), { headers: { "Content-Type": "application/json" } }));
+
+const appToday = () => new Date().toISOString().split("T")[0];
+const daysSince = (date, day) => date ? Math.round((new Date(day) - new Date(date)) / 86400000) : Infinity;
+const toMinutes = (hhmm) => { const [h, m] = String(hhmm || "0:0").split(":").map(Number); return (h || 0) * 60 + (m || 0); };
+const localWeekday = (d) => (d.getDay() + 6) % 7;
+const inQuietHours = (quiet, mins) => {
+  if (!quiet?.on) return false;
+  const from = toMinutes(quiet.from), to = toMinutes(quiet.to);
+  return from <= to ? mins >= from && mins < to : mins >= from || mins < to;
+};
+
+// `due` limits a reminder to its days; `done` skips it once the data it asks for is already logged.
+const REMINDERS = {
+  weighIn: { tab: "weight", title: "Morning weigh-in", body: () => "Weigh in before breakfast to keep the trend accurate.", done: (s, day) => s.logged.weighIn === day },
+  checkin: { tab: "checkin", title: "Daily check-in", body: () => "Today has no check-in yet — log nutrition, steps and recovery.", done: (s, day) => s.logged.checkin === day },
+  training: { tab: "training", title: "Training day", body: (s) => `${s.nextSession || "Your next session"} is on the plan today.`, due: (s, now) => (s.trainingWeekdays || []).includes(localWeekday(now)), done: (s, day) => s.logged.workout === day },
+  review: { tab: "review", title: "Weekly review", body: () => "Check this week's verdict and run your review.", due: (s, now) => localWeekday(now) === s.config.review.weekday, done: (s, day) => daysSince(s.logged.review, day) < 7 },
+};
+
+const checkReminders = async () => {
+  const state = await readJSON(REMINDER_STATE_URL);
+  if (!state?.config?.enabled || self.Notification?.permission !== "granted") return;
+  const now = new Date(), day = appToday(), mins = now.getHours() * 60 + now.getMinutes();
+  if (inQuietHours(state.config.quiet, mins)) return;
+  const sent = (await readJSON(REMINDER_SENT_URL)) || {};
+  let changed = false;
+  for (const [key, r] of Object.entries(REMINDERS)) {
+    const cfg = state.config[key], at = toMinutes(cfg?.time);
+    if (!cfg?.on || sent[key] === day || mins < at || mins > at + REMINDER_WINDOW_MIN) continue;
+    if ((r.due && !r.due(state, now)) || r.done(state, day)) continue;
+    await self.registration.showNotification(r.title, { body: r.body(state), tag: `coach-${key}`, icon: "icon-192.png", badge: "icon-192.png", data: { tab: r.tab } });
+    sent[key] = day; changed = true;
+  }
+  if (changed) await writeJSON(REMINDER_SENT_URL, sent);
+};
+
+// Checks run one at a time so a message and a periodic sync landing together cannot send a reminder twice.
+let reminderQueue = Promise.resolve();
+const queueCheck = () => (reminderQueue = reminderQueue.then(checkReminders).catch((e) => console.error("Reminders:", e)));
+
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "coach-reminders-check") event.waitUntil(queueCheck());
+  if (event.data?.type === "coach-reminders-test") event.waitUntil(self.registration.showNotification("Reminders are on", { body: "This is how your coaching reminders will look.", tag: "coach-test", icon: "icon-192.png", data: { tab: "settings" } }));
+});
+
+self.addEventListener("periodicsync", (event) => {
+  if (event.tag === "coach-reminders") event.waitUntil(queueCheck());
+});
+
+// Opens the reminder's tab: an open window switches tabs in place, otherwise the app starts on it via ?tab=.
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  const tab = event.notification.data?.tab;
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: "window", includeUncontrolled: true });
+    const open = windows.find((c) => c.url.startsWith(self.registration.scope));
+    if (open) { open.postMessage({ type: "coach-open-tab", tab }); return open.focus(); }
+    return self.clients.openWindow(new URL(tab ? `./?tab=${tab}` : "./", self.registration.scope).href);
+  })());
+});
@@ -0,0 +1,80 @@
+// Minimal OpenAI-compatible server for exercising AI coaching without a real model.
+// Usage: npm run mock-llm [-- --port 8787 --mode ok|invalid|slow|error]
+// Then in SETUP pick "OpenAI-compatible" with base URL http://localhost:8787/v1.
+//   ok      canned daily / weekly / chat replies that pass validation
+//   invalid first reply fails validation, the repair request gets a valid one
+//   slow    waits 60s before answering (longer than the app's timeout)
+//   error   answers every request with HTTP 503
+import { createServer } from "node:http";
+
+const arg = (name, fallback) => {
+  const i = process.argv.indexOf(`--${name}`);
+  return i > 0 ? process.argv[i + 1] : fallback;
+};
+const PORT = Number(arg("port", 8787));
+const MODE = arg("mode", "ok");
+
+const DAILY = {
+  summary: "Solid day — calories and protein on target.",
+  nutritionNote: "Protein spread across meals looks good.",
+  recoveryNote: "Sleep was adequate; keep stress in check.",
+  adjustment: "None needed",
+  tomorrowPriority: "Hit your step target before dinner.",
+  concern: null,
+};
+const WEEKLY = {
+  weekSummary: "Consistent week with good adherence. The trend is moving in the right direction.",
+  complianceRating: "GOOD",
+  weightAnalysis: "Trend weight is down at roughly the target rate.",
+  calorieAdjustment: { action: "maintain", amount: 0, reason: "Rate of loss is on target." },
+  trainingNote: "All sessions logged; keep pushing the rep ranges.",
+  dietBreakRecommendation: null,
+  plateauAction: null,
+  nextWeekFocus: "Keep protein high and steps consistent.",
+  flags: [],
+};
+
+// Chat turns arrive with a system prompt; asking about calories gets a proposal to confirm.
+const chat = (messages) => {
+  const question = messages.filter(m => m.role === "user").pop()?.content || "";
+  const proposal = /calorie|kcal/i.test(question) ? { type: "calories", delta: -100, reason: "Mock: trend is slower than the target." } : null;
+  return JSON.stringify({ reply: `Mock coach here. You asked: "${question.slice(0, 80)}"`, proposal });
+};
+
+const reply = (messages) => {
+  if (messages[0]?.role === "system") return chat(messages);
+  const prompt = messages[0]?.content || "";
+  if (prompt.includes('{"ok":true}')) return '{"ok":true}';
+  const body = prompt.includes("WEEKLY REVIEW") ? WEEKLY : DAILY;
+  if (MODE === "invalid" && messages.length === 1) return JSON.stringify({ ...body, summary: undefined, weekSummary: undefined });
+  return "```json\n" + JSON.stringify(body) + "\n```";
+};
+
+const CORS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization",
+  "Access-Control-Allow-Methods": "POST, OPTIONS",
+};
+
+const send = (res, status, data) => {
+  res.writeHead(status, { ...CORS, "Content-Type": "application/json" });
+  res.end(JSON.stringify(data));
+};
+
+createServer((req, res) => {
+  if (req.method === "OPTIONS") { res.writeHead(204, CORS); return res.end(); }
+  if (req.method !== "POST" || !req.url.endsWith("/chat/completions")) return send(res, 404, { error: { message: "not found" } });
+  let raw = "";
+  req.on("data", (chunk) => { raw += chunk; });
+  req.on("end", () => {
+    let payload;
+    try { payload = JSON.parse(raw); } catch { return send(res, 400, { error: { message: "invalid JSON body" } }); }
+    console.log(`${new Date().toISOString()} ${payload.model} max_tokens=${payload.max_tokens} messages=${payload.messages?.length}`);
+    if (MODE === "error") return send(res, 503, { error: { message: "mock overloaded" } });
+    const answer = () => send(res, 200, {
+      id: `mock-${Date.now()}`, object: "chat.completion", model: payload.model,
+      choices: [{ index: 0, message: { role: "assistant", content: reply(payload.messages || []) }, finish_reason: "stop" }],
+    });
+    if (MODE === "slow") setTimeout(answer, 60000); else answer();
+  });
+}).listen(PORT, () => console.log(`mock LLM (${MODE}) on http://localhost:${PORT}/v1`));
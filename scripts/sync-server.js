@@ -0,0 +1,99 @@
+// Self-hostable server for the app's optional multi-device sync (SETUP → Sync).
+// Usage: npm run sync-server [-- --port 8788 --data ~/.elite-coach/sync-data.json --token SECRET]
+// Keeps the latest write of every record, per space, in one JSON file. A device POSTs /sync/<space> with
+// { deviceId, since, changes } and gets back { seq, changes }: every record stored after sequence `since`.
+// A write replaces the stored one only when it is newer — later updatedAt, ties going to the higher deviceId —
+// the rule the app applies too, so devices agree on every record whatever order they sync in.
+// With --token (or SYNC_TOKEN) every request needs "Authorization: Bearer <token>"; serve it over HTTPS (e.g. behind
+// a reverse proxy) if it is reachable from the internet.
+import { createServer } from "node:http";
+import { createHash, timingSafeEqual } from "node:crypto";
+import { existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from "node:fs";
+import { homedir } from "node:os";
+import { dirname, join } from "node:path";
+
+const arg = (name, fallback) => {
+  const i = process.argv.indexOf(`--${name}`);
+  return i > 0 ? process.argv[i + 1] : fallback;
+};
+const PORT = Number(arg("port", 8788));
+// Outside the working directory by default, so running it from a checkout never leaves data in the repo.
+const DATA_FILE = arg("data", join(homedir(), ".elite-coach", "sync-data.json"));
+const TOKEN = arg("token", process.env.SYNC_TOKEN || "");
+const MAX_BODY_BYTES = 20 * 1024 * 1024;
+
+// Spaces and records are keyed by client-chosen names, so they have no prototype: "__proto__" is just another key.
+const dict = (entries = []) => Object.assign(Object.create(null), Object.fromEntries(entries));
+const loadStore = () => {
+  if (!existsSync(DATA_FILE)) return { spaces: dict() };
+  const saved = JSON.parse(readFileSync(DATA_FILE, "utf8"));
+  return { spaces: dict(Object.entries(saved.spaces || {}).map(([name, sp]) => [name, { seq: sp.seq, records: dict(Object.entries(sp.records)) }])) };
+};
+const store = loadStore();
+// Written to a temp file and renamed over the old one, so a crash mid-write never leaves a truncated store.
+const persist = () => {
+  mkdirSync(dirname(DATA_FILE), { recursive: true });
+  writeFileSync(`${DATA_FILE}.tmp`, JSON.stringify(store));
+  renameSync(`${DATA_FILE}.tmp`, DATA_FILE);
+};
+
+const isNewerWrite = (a, b) => !b || a.updatedAt > b.updatedAt || (a.updatedAt === b.updatedAt && a.deviceId > b.deviceId);
+const isChange = (c) => c && typeof c.collection === "string" && typeof c.key === "string" && Number.isFinite(c.updatedAt) && typeof c.deviceId === "string";
+
+const sync = (name, { since = 0, changes = [] }) => {
+  const space = store.spaces[name] ||= { seq: 0, records: dict() };
+  let accepted = 0;
+  changes.forEach(c => {
+    const id = `${c.collection}/${c.key}`;
+    if (!isNewerWrite(c, space.records[id])) return;
+    space.records[id] = { collection: c.collection, key: c.key, value: c.value ?? null, updatedAt: c.updatedAt, deviceId: c.deviceId, seq: ++space.seq };
+    accepted++;
+  });
+  if (accepted) persist();
+  // A cursor from before the store was reset is past the end; resend everything and let the device sort it out.
+  const from = since > space.seq ? 0 : since;
+  return { seq: space.seq, accepted, changes: Object.values(space.records).filter(r => r.seq > from).sort((a, b) => a.seq - b.seq) };
+};
+
+const digest = (s) => createHash("sha256").update(s).digest();
+const authorized = (req) => !TOKEN || timingSafeEqual(digest(req.headers.authorization || ""), digest(`Bearer ${TOKEN}`));
+
+const CORS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization",
+  "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+};
+
+const send = (res, status, data) => {
+  res.writeHead(status, { ...CORS, "Content-Type": "application/json" });
+  res.end(JSON.stringify(data));
+};
+
+createServer((req, res) => {
+  if (req.method === "OPTIONS") { res.writeHead(204, CORS); return res.end(); }
+  const { pathname } = new URL(req.url, "http://localhost");
+  if (req.method === "GET" && pathname === "/health") return send(res, 200, { ok: true });
+  const space = req.method === "POST" && /^\/sync\/([\w-]{1,64})$/.exec(pathname)?.[1];
+  if (!space) return send(res, 404, { error: "not found" });
+  if (!authorized(req)) return send(res, 401, { error: "invalid token" });
+  let raw = "", size = 0;
+  req.on("data", (chunk) => {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) { send(res, 413, { error: "request too large" }); req.destroy(); return; }
+    raw += chunk;
+  });
+  req.on("end", () => {
+    let payload;
+    try { payload = JSON.parse(raw); } catch { return send(res, 400, { error: "invalid JSON body" }); }
+    const isObject = payload && typeof payload === "object" && !Array.isArray(payload);
+    if (!isObject || !Array.isArray(payload.changes) || !payload.changes.every(isChange) || !(Number(payload.since) >= 0)) return send(res, 400, { error: "expected { deviceId, since, changes }" });
+    try {
+      const result = sync(space, { since: Number(payload.since), changes: payload.changes });
+      console.log(`${new Date().toISOString()} ${space} ${payload.deviceId} pushed ${payload.changes.length} (${result.accepted} newer), pulled ${result.changes.length} since ${payload.since}`);
+      send(res, 200, result);
+    } catch (e) {
+      console.error(`${new Date().toISOString()} ${space}:`, e);
+      send(res, 500, { error: "sync failed" });
+    }
+  });
+}).listen(PORT, () => console.log(`sync server on http://localhost:${PORT} — data in ${DATA_FILE}${TOKEN ? ", token required" : ""}`));
@@ -1,7 +1,8 @@
 import { useState, useEffect, useCallback, useMemo, useRef } from "react";
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, AreaChart, Area, BarChart, Bar, ReferenceLine } from "recharts";
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, AreaChart, Area, ComposedChart, BarChart, Bar, ReferenceLine } from "recharts";
 
-// ==================== STORAGE (localStorage for PWA) ====================
+// ==================== STORAGE (IndexedDB for PWA) ====================
+// Pre-IndexedDB localStorage keys. Only read once, to migrate existing data; the API key still lives here.
 const STORAGE_KEYS = {
   profile: "coach-profile-v2",
   weights: "coach-weights-v2",
@@ -19,10 +20,436 @@ const loadStorage = (key) => {
   } catch { return null; }
 };
 
-const saveStorage = (key, data) => {
+const uid = (prefix) => `${prefix}-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 7)}`;
+
+// Fills in missing program/session/exercise ids. Exercises with the same name get the same id, so logged history
+// follows a lift across sessions and programs; `known` (name → id) carries that across calls.
+const withProgramIds = (program, known = new Map()) => program && {
+  ...program, id: program.id || uid("prog"), name: program.name || program.type,
+  sessions: program.sessions.map(sn => ({ ...sn, id: sn.id || uid("ses"), exercises: sn.exercises.map(ex => {
+    const id = ex.id || known.get(ex.name) || uid("ex");
+    if (!known.has(ex.name)) known.set(ex.name, id);
+    return { ...ex, id };
+  }) })),
+};
+
+// Version of the data shape, shared by the database and backup files. v2 is the localStorage "coach-*-v2" era.
+// DATA_MIGRATIONS[n] upgrades a full data snapshot from version n to n + 1; `context.knownExercises` seeds exercise ids.
+const SCHEMA_VERSION = 6;
+const DATA_MIGRATIONS = {
+  2: (data) => ({ ...data, workouts: (data.workouts || []).map(w => w.id ? w : { ...w, id: uid("wo") }) }),
+  // Stable ids on the program, and workouts linked to them instead of by session index and exercise name.
+  3: (data, context) => {
+    const known = new Map(context.knownExercises);
+    const program = withProgramIds(data.program, known);
+    const idFor = (name) => { if (!known.has(name)) known.set(name, uid("ex")); return known.get(name); };
+    const workouts = (data.workouts || []).map(({ sessionIdx, ...w }) => ({
+      ...w, programId: w.programId ?? program?.id ?? null, sessionId: w.sessionId ?? program?.sessions[sessionIdx]?.id ?? null,
+      exercises: w.exercises.map(e => ({ ...e, exerciseId: e.exerciseId || idFor(e.name) })),
+    }));
+    return { ...data, program, programs: data.programs || (program ? [program] : []), workouts };
+  },
+  // Targets start keeping a version history; the targets so far become the baseline for every earlier day.
+  4: (data) => {
+    if (!data.targets || data.targets.history) return data;
+    const first = [...(data.checkins || []).map(c => c.date), data.profile?.createdAt?.slice(0, 10)].filter(Boolean).sort()[0];
+    return { ...data, targets: withTargetsVersion(data.targets, "baseline", first || today()) };
+  },
+  // Diet phases replace the single deficit since sign-up: the time so far becomes one cut, split around a diet break.
+  5: (data) => {
+    if (!data.targets || data.targets.phases) return data;
+    const { dietBreak: brk, ...targets } = data.targets;
+    const first = [...(data.checkins || []).map(c => c.date), data.profile?.createdAt?.slice(0, 10)].filter(Boolean).sort()[0] || today();
+    const cut = (start, calories, end = null) => ({ id: uid("ph"), type: "cut", start, end, calories, rate: targets.weeklyLossTarget });
+    if (!brk) return { ...data, targets: { ...targets, phases: [cut(first, targets.calories)] } };
+    const breakEnd = brk.ended ? addDays(brk.ended, -1) : brk.until;
+    const phases = [
+      ...(first < brk.from ? [cut(first, brk.resumeCalories, addDays(brk.from, -1))] : []),
+      { id: uid("ph"), type: "dietBreak", start: brk.from, end: breakEnd < brk.from ? brk.from : breakEnd, calories: targetsOn(data.targets, brk.from).calories, resumeCalories: brk.resumeCalories, resumeRate: targets.weeklyLossTarget },
+      ...(brk.ended ? [cut(brk.ended, targets.calories)] : []),
+    ];
+    return { ...data, targets: { ...targets, phases } };
+  },
+};
+
+const migrateData = (data, fromVersion, context = {}) => {
+  for (let v = fromVersion; v < SCHEMA_VERSION; v++) {
+    if (!DATA_MIGRATIONS[v]) throw new Error(`No data migration from v${v}`);
+    data = DATA_MIGRATIONS[v](data, context);
+  }
+  return data;
+};
+
+// Record collections get an object store each and are written per record; single values live in "kv".
+const DB_NAME = "elite-coach";
+const DB_COLLECTIONS = { weights: "date", checkins: "date", workouts: "id", analyses: "id", threads: "id", measurements: "date" };
+const DB_SINGLETONS = ["profile", "program", "programs", "targets"];
+// DB_MIGRATIONS[n] upgrades the database structure from version n to n + 1. Append only — never edit a shipped step.
+const DB_MIGRATIONS = [
+  (db) => {
+    db.createObjectStore("meta"); db.createObjectStore("kv");
+    db.createObjectStore("weights", { keyPath: "date" });
+    db.createObjectStore("checkins", { keyPath: "date" });
+    db.createObjectStore("workouts", { keyPath: "id" });
+  },
+  (db) => { db.createObjectStore("analyses", { keyPath: "id" }); },
+  (db) => { db.createObjectStore("threads", { keyPath: "id" }); },
+  (db) => { db.createObjectStore("measurements", { keyPath: "date" }); },
+  (db) => { db.createObjectStore("photos", { keyPath: "id" }); },
+  (db) => { db.createObjectStore("sync"); },
+];
+
+const idbRequest = (req) => new Promise((resolve, reject) => { req.onsuccess = () => resolve(req.result); req.onerror = () => reject(req.error); });
+const idbDone = (tx) => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve();
+  tx.onerror = () => reject(tx.error);
+  tx.onabort = () => reject(tx.error || new DOMException("Transaction aborted", "AbortError"));
+});
+
+let dbPromise = null;
+const openDB = () => {
+  if (!dbPromise) dbPromise = new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_MIGRATIONS.length);
+    req.onupgradeneeded = (e) => { for (let v = e.oldVersion; v < DB_MIGRATIONS.length; v++) DB_MIGRATIONS[v](req.result, req.transaction); };
+    req.onsuccess = () => { const db = req.result; db.onversionchange = () => { db.close(); dbPromise = null; }; resolve(db); };
+    req.onerror = () => { dbPromise = null; reject(req.error); };
+  });
+  return dbPromise;
+};
+
+// JSON of each record as last written, so a save only touches the records that changed.
+const persisted = {};
+const rememberPersisted = (data) => {
+  Object.entries(DB_COLLECTIONS).forEach(([k, key]) => { persisted[k] = new Map(data[k].map(r => [r[key], JSON.stringify(r)])); });
+  DB_SINGLETONS.forEach(k => { persisted[k] = JSON.stringify(data[k]); });
+};
+
+const dedupeByKey = (records, key) => { const seen = new Set(); return records.filter(r => !seen.has(r[key]) && seen.add(r[key])); };
+const emptySnapshot = () => ({ ...Object.fromEntries(DB_SINGLETONS.map(k => [k, null])), ...Object.fromEntries(Object.keys(DB_COLLECTIONS).map(k => [k, []])) });
+
+const SNAPSHOT_STORES = ["kv", ...Object.keys(DB_COLLECTIONS)];
+const readSnapshot = async (tx) => {
+  const [singles, lists] = await Promise.all([
+    Promise.all(DB_SINGLETONS.map(k => idbRequest(tx.objectStore("kv").get(k)))),
+    Promise.all(Object.keys(DB_COLLECTIONS).map(k => idbRequest(tx.objectStore(k).getAll()))),
+  ]);
+  return { ...Object.fromEntries(DB_SINGLETONS.map((k, i) => [k, singles[i] ?? null])), ...Object.fromEntries(Object.keys(DB_COLLECTIONS).map((k, i) => [k, lists[i]])) };
+};
+
+const writeSnapshot = (tx, data) => {
+  DB_SINGLETONS.forEach(k => data[k] == null ? tx.objectStore("kv").delete(k) : tx.objectStore("kv").put(data[k], k));
+  Object.keys(DB_COLLECTIONS).forEach(k => { const store = tx.objectStore(k); store.clear(); data[k].forEach(r => store.put(r)); });
+};
+
+const setMeta = async (db, values) => {
+  const tx = db.transaction("meta", "readwrite");
+  Object.entries(values).forEach(([k, v]) => tx.objectStore("meta").put(v, k));
+  await idbDone(tx);
+};
+
+// One-time import of the localStorage keys. They are left in place; the import is verified before it is marked done.
+// Only what the stores lack is added: after a failed attempt the app keeps saving, and a retry must not undo that.
+const migrateFromLocalStorage = async (db) => {
+  const legacy = Object.fromEntries(Object.keys(STORAGE_KEYS).filter(k => k !== "apiKey").map(k => [k, loadStorage(STORAGE_KEYS[k])]));
+  if (Object.values(legacy).every(v => v == null)) return null;
+  const data = migrateData({ ...emptySnapshot(), ...Object.fromEntries(Object.entries(legacy).filter(([, v]) => v != null)) }, 2);
+  const tx = db.transaction(SNAPSHOT_STORES, "readwrite");
+  const stored = await readSnapshot(tx);
+  DB_SINGLETONS.forEach(k => { if (stored[k] == null && data[k] != null) { tx.objectStore("kv").put(data[k], k); stored[k] = data[k]; } });
+  Object.entries(DB_COLLECTIONS).forEach(([k, key]) => {
+    const have = new Set(stored[k].map(r => r[key]));
+    const missing = dedupeByKey(data[k], key).filter(r => !have.has(r[key]));
+    missing.forEach(r => tx.objectStore(k).put(r));
+    stored[k] = [...stored[k], ...missing];
+  });
+  await idbDone(tx);
+  const check = await readSnapshot(db.transaction(SNAPSHOT_STORES, "readonly"));
+  const intact = Object.keys(DB_COLLECTIONS).every(k => check[k].length === stored[k].length) && DB_SINGLETONS.every(k => JSON.stringify(check[k]) === JSON.stringify(stored[k]));
+  if (!intact) throw new Error("Moving your data to the new storage failed verification — nothing was lost, it will retry next launch");
+  return check;
+};
+
+// Read, migrate and write back in one transaction, so no save from another tab can land in between.
+const upgradeSnapshot = async (db, version) => {
+  const tx = db.transaction([...SNAPSHOT_STORES, "meta"], "readwrite");
+  try {
+    const data = migrateData(await readSnapshot(tx), version);
+    writeSnapshot(tx, data);
+    tx.objectStore("meta").put(SCHEMA_VERSION, "schemaVersion");
+    await idbDone(tx);
+    return data;
+  } catch (e) { try { tx.abort(); } catch {} throw e; }
+};
+
+const loadAllData = async () => {
+  const db = await openDB();
+  navigator.storage?.persist?.().catch(() => {});
+  const version = await idbRequest(db.transaction("meta").objectStore("meta").get("schemaVersion"));
+  let data;
+  if (version === undefined) {
+    data = (await migrateFromLocalStorage(db)) || emptySnapshot();
+    await setMeta(db, { schemaVersion: SCHEMA_VERSION, ...(data.profile ? { legacyMigratedAt: new Date().toISOString() } : {}) });
+  } else {
+    data = version < SCHEMA_VERSION ? await upgradeSnapshot(db, version) : await readSnapshot(db.transaction(SNAPSHOT_STORES, "readonly"));
+  }
+  rememberPersisted(data);
+  return data;
+};
+
+const saveCollection = async (name, records) => {
+  const db = await openDB();
+  const key = DB_COLLECTIONS[name], prev = persisted[name];
+  const next = new Map(records.map(r => [r[key], JSON.stringify(r)]));
+  const tx = db.transaction(name, "readwrite"); const store = tx.objectStore(name);
+  if (!prev) store.clear();
+  records.forEach(r => { if (prev?.get(r[key]) !== next.get(r[key])) store.put(r); });
+  prev?.forEach((_, k) => { if (!next.has(k)) store.delete(k); });
+  persisted[name] = next;
+  try { await idbDone(tx); } catch (e) { persisted[name] = null; throw e; }
+};
+
+const saveValue = async (name, value) => {
+  const json = JSON.stringify(value);
+  if (persisted[name] === json) return;
+  const db = await openDB();
+  const tx = db.transaction("kv", "readwrite");
+  value == null ? tx.objectStore("kv").delete(name) : tx.objectStore("kv").put(value, name);
+  persisted[name] = json;
+  try { await idbDone(tx); } catch (e) { persisted[name] = undefined; throw e; }
+};
+
+const clearAllData = async () => {
+  const db = await openDB();
+  db.close(); dbPromise = null;
+  await idbRequest(indexedDB.deleteDatabase(DB_NAME));
+  [...Object.values(STORAGE_KEYS), AI_CONFIG_KEY, SYNC_CONFIG_KEY].forEach(k => localStorage.removeItem(k));
+};
+
+// Progress photos have their own store, outside the in-memory snapshot, and are read only where they are shown.
+// Each record keeps a small JPEG thumbnail as a data URL and the full image as a Blob.
+const loadPhotos = async () => { const db = await openDB(); return idbRequest(db.transaction("photos").objectStore("photos").getAll()); };
+const countPhotos = async () => { const db = await openDB(); return idbRequest(db.transaction("photos").objectStore("photos").count()); };
+const putPhotos = async (records, { replace = false } = {}) => {
+  const db = await openDB();
+  const tx = db.transaction("photos", "readwrite"); const store = tx.objectStore("photos");
+  if (replace) store.clear();
+  records.forEach(r => store.put(r));
+  await idbDone(tx);
+};
+const deletePhoto = async (id) => {
+  const db = await openDB();
+  const tx = db.transaction("photos", "readwrite"); tx.objectStore("photos").delete(id);
+  await idbDone(tx);
+};
+
+const describeStorageError = (e) => e?.name === "QuotaExceededError"
+  ? "Device storage is full — your last change was NOT saved. Export a backup and free up space."
+  : `Could not save your last change (${e?.message || e?.name || "unknown error"}).`;
+
+// ==================== BACKUP (versioned JSON export / import) ====================
+const BACKUP_KEYS = [...DB_SINGLETONS, ...Object.keys(DB_COLLECTIONS)];
+const BACKUP_COLLECTIONS = {
+  weights: { label: "weigh-ins", key: (w) => w.date },
+  checkins: { label: "check-ins", key: (c) => c.date },
+  workouts: { label: "workouts", key: (w) => `${w.date}|${w.sessionName}` },
+  analyses: { label: "coach analyses", key: (a) => a.id },
+  threads: { label: "chat threads", key: (t) => t.id },
+  measurements: { label: "measurements", key: (m) => m.date },
+};
+
+const buildBackup = (data) => ({
+  app: "elite-coach", schemaVersion: SCHEMA_VERSION, exportedAt: new Date().toISOString(),
+  data: Object.fromEntries(BACKUP_KEYS.map(k => [k, data[k] ?? null])),
+});
+
+// Photos are opt-in: they travel as data URLs under data.photos, which only exists when the user included them.
+const blobToDataURL = (blob) => new Promise((resolve, reject) => { const r = new FileReader(); r.onload = () => resolve(r.result); r.onerror = () => reject(r.error); r.readAsDataURL(blob); });
+const buildPhotoBackup = async () => Promise.all((await loadPhotos()).map(async ({ image, ...p }) => ({ ...p, image: await blobToDataURL(image) })));
+const restorePhotos = async (photos) => Promise.all(photos.map(async ({ image, ...p }) => ({ ...p, image: await (await fetch(image)).blob() })));
+// Merge keeps the photo already on the device for a date and pose; replace swaps the whole vault for the file's.
+const importPhotos = async (photos, mode) => {
+  const mine = mode === "replace" ? [] : await loadPhotos();
+  const fresh = photos.filter(p => !mine.some(m => m.id === p.id || (m.date === p.date && m.pose === p.pose)));
+  await putPhotos(await restorePhotos(fresh), { replace: mode === "replace" });
+  return fresh.length;
+};
+
+const downloadJSON = (filename, obj) => {
+  const url = URL.createObjectURL(new Blob([JSON.stringify(obj, null, 2)], { type: "application/json" }));
+  const a = document.createElement("a");
+  a.href = url; a.download = filename; a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+const isDateStr = (d) => typeof d === "string" && /^\d{4}-\d{2}-\d{2}$/.test(d);
+
+// `current` is the data on the device: exercises migrated from an older backup take the ids it already uses for the
+// same names, so imported history links to the current program.
+const parseBackup = (text, current) => {
+  let raw;
+  try { raw = JSON.parse(text); } catch { throw new Error("File is not valid JSON"); }
+  if (raw?.app !== "elite-coach" || !Number.isInteger(raw.schemaVersion) || typeof raw.data !== "object" || !raw.data) throw new Error("Not an Elite Coach backup file");
+  if (raw.schemaVersion > SCHEMA_VERSION) throw new Error(`Backup is from a newer app version (v${raw.schemaVersion}) — update the app first`);
+  const { photos = null, ...rawData } = raw.data;
+  const data = migrateData({ ...emptySnapshot(), ...rawData }, raw.schemaVersion, { knownExercises: current && knownExerciseIds([current.program, ...(current.programs || [])].filter(Boolean), current.workouts || []) });
+  if (!data.profile || typeof data.profile !== "object") throw new Error("Backup has no profile");
+  for (const k of Object.keys(BACKUP_COLLECTIONS)) {
+    if (data[k] == null) { data[k] = []; continue; }
+    if (!Array.isArray(data[k]) || data[k].some(r => !r || !isDateStr(r.date))) throw new Error(`Backup ${k} are malformed`);
+  }
+  if (data.weights.some(w => typeof w.weight !== "number")) throw new Error("Backup weights are malformed");
+  if (data.workouts.some(w => !w.id)) throw new Error("Backup workouts are malformed");
+  if (photos && (!Array.isArray(photos) || photos.some(p => !p?.id || !isDateStr(p.date) || !PHOTO_POSES.some(x => x.key === p.pose) || !/^data:image\//.test(p.image || "")))) throw new Error("Backup photos are malformed");
+  return { exportedAt: raw.exportedAt, fromVersion: raw.schemaVersion, data, photos };
+};
+
+const diffBackup = (current, incoming) => {
+  const collections = Object.entries(BACKUP_COLLECTIONS).map(([k, { label, key }]) => {
+    const mine = new Map((current[k] || []).map(r => [key(r), JSON.stringify(r)]));
+    let added = 0, conflicts = 0;
+    incoming[k].forEach(r => { const m = mine.get(key(r)); if (m === undefined) added++; else if (m !== JSON.stringify(r)) conflicts++; });
+    return { k, label, added, conflicts };
+  });
+  const singles = BACKUP_KEYS.filter(k => !BACKUP_COLLECTIONS[k]).map(k => ({ k, status: incoming[k] == null ? "none" : current[k] == null ? "new" : JSON.stringify(current[k]) === JSON.stringify(incoming[k]) ? "same" : "differs" }));
+  return { collections, singles };
+};
+
+// Merge never overwrites: conflicting records and existing profile/program/targets are kept.
+const mergeBackup = (current, incoming, mode) => {
+  // Replace clears whatever the file lacks, explicitly: empty lists (the program library is a list too) and null values.
+  if (mode === "replace") return Object.fromEntries(BACKUP_KEYS.map(k => [k, incoming[k] ?? (BACKUP_COLLECTIONS[k] || k === "programs" ? [] : null)]));
+  return Object.fromEntries(BACKUP_KEYS.map(k => {
+    const c = BACKUP_COLLECTIONS[k];
+    if (!c) return [k, current[k] ?? incoming[k] ?? null];
+    const mine = new Set((current[k] || []).map(c.key));
+    return [k, [...(current[k] || []), ...incoming[k].filter(r => !mine.has(c.key(r)))].sort((a, b) => new Date(a.date) - new Date(b.date))];
+  }));
+};
+
+// ==================== SYNC (optional, self-hosted server) ====================
+// Pushes and pulls the records below through a sync server (scripts/sync-server.js). The bookkeeping lives in the
+// "sync" store, so records and backups keep their shape: when each record was last written and by which device, and an
+// outbox of local writes the server has not confirmed. The newest write of a record wins on every device, ties going to
+// the higher device id. Timestamps never fall behind one already seen, so an edit made after pulling a change beats it
+// even on a device whose clock is slow.
+const SYNC_CONFIG_KEY = "coach-sync-config";
+const SYNC_COLLECTIONS = { weights: "date", checkins: "date", workouts: "id" };
+const SYNC_KEYS = ["profile", "program", "targets", ...Object.keys(SYNC_COLLECTIONS)];
+const SYNC_INTERVAL_MS = 60000;
+const SYNC_TIMEOUT_MS = 20000;
+
+class SyncError extends Error {
+  constructor(kind, message) { super(message); this.name = "SyncError"; this.kind = kind; }
+}
+
+// Server URL, space name and optional token are per device and stay in localStorage, like the AI settings.
+const getSyncConfig = () => { const c = loadStorage(SYNC_CONFIG_KEY); return c?.url && c?.space ? c : null; };
+const saveSyncConfig = (cfg) => cfg ? localStorage.setItem(SYNC_CONFIG_KEY, JSON.stringify(cfg)) : localStorage.removeItem(SYNC_CONFIG_KEY);
+
+// A synced value as key → record; single values are one record under "value".
+const syncRecords = (name, value) => SYNC_COLLECTIONS[name]
+  ? new Map((value || []).map(r => [String(r[SYNC_COLLECTIONS[name]]), r]))
+  : new Map(value == null ? [] : [["value", value]]);
+const syncId = (name, key) => `${name}/${key}`;
+const isNewerWrite = (a, b) => !b || a.updatedAt > b.updatedAt || (a.updatedAt === b.updatedAt && a.deviceId > b.deviceId);
+
+// { deviceId, seq (last server sequence pulled), clock, clocks: id → last write, outbox: id → change, joining, lastSyncedAt }
+let syncState = null;
+// JSON of each synced record as last tracked, so a save queues only the records that changed.
+const syncShadow = {};
+const shadowOf = (name, value) => new Map([...syncRecords(name, value)].map(([k, r]) => [k, JSON.stringify(r)]));
+
+const writeSyncState = async () => {
+  const db = await openDB();
+  const tx = db.transaction("sync", "readwrite");
+  syncState ? tx.objectStore("sync").put(syncState, "state") : tx.objectStore("sync").delete("state");
+  await idbDone(tx);
+};
+
+const startSync = async (data) => {
+  const db = await openDB();
+  syncState = (await idbRequest(db.transaction("sync").objectStore("sync").get("state")))
+    || { deviceId: uid("dev"), seq: 0, clock: 0, clocks: {}, outbox: {}, joining: true, lastSyncedAt: null };
+  SYNC_KEYS.forEach(name => { syncShadow[name] = shadowOf(name, data[name]); });
+};
+
+// Leaving forgets the bookkeeping; joining again starts over.
+const stopSync = async ({ leave = false } = {}) => {
+  syncState = null;
+  if (leave) await writeSyncState();
+};
+
+const syncPending = () => syncState ? Object.keys(syncState.outbox).length : 0;
+
+const queueWrite = (name, key, value) => {
+  const updatedAt = syncState.clock = Math.max(Date.now(), syncState.clock + 1), deviceId = syncState.deviceId;
+  syncState.clocks[syncId(name, key)] = { updatedAt, deviceId };
+  syncState.outbox[syncId(name, key)] = { collection: name, key, value, updatedAt, deviceId };
+};
+
+// Queues the records one save changed, removed ones as deletions (value null). Returns how many were queued.
+const trackSyncChanges = (name, value) => {
+  if (!syncState || !SYNC_KEYS.includes(name)) return 0;
+  const prev = syncShadow[name] || new Map(), records = syncRecords(name, value), next = shadowOf(name, value);
+  const changed = [...[...next.keys()].filter(k => prev.get(k) !== next.get(k)), ...[...prev.keys()].filter(k => !next.has(k))];
+  syncShadow[name] = next;
+  changed.forEach(key => queueWrite(name, key, records.get(key) ?? null));
+  if (changed.length) writeSyncState().catch(e => console.error("Sync:", e));
+  return changed.length;
+};
+
+// One round trip: sends the outbox and the last sequence pulled, gets back every write stored since. Returns the
+// values that remote writes changed, applied to `current()` as it is when the reply lands, for the app to save.
+// Joining a space pulls first: the space's version of anything both sides have wins, and only records it lacks are
+// then queued and pushed.
+const runSync = async (config, current) => {
+  if (!syncState) return {};
+  const joining = syncState.joining;
+  const sent = joining ? [] : Object.values(syncState.outbox);
+  let res;
   try {
-    localStorage.setItem(key, JSON.stringify(data));
-  } catch (e) { console.error("Storage:", e); }
+    res = await fetch(`${config.url.replace(/\/+$/, "")}/sync/${encodeURIComponent(config.space)}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...(config.token ? { Authorization: `Bearer ${config.token}` } : {}) },
+      body: JSON.stringify({ deviceId: syncState.deviceId, since: syncState.seq, changes: sent }),
+      signal: AbortSignal.timeout(SYNC_TIMEOUT_MS),
+    });
+  } catch (e) {
+    throw new SyncError("offline", e?.name === "TimeoutError" ? `No answer from the sync server within ${SYNC_TIMEOUT_MS / 1000}s` : "Sync server unreachable");
+  }
+  if (res.status === 401 || res.status === 403) throw new SyncError("auth", "The sync server rejected the token");
+  if (!res.ok) throw new SyncError("server", `Sync server error (HTTP ${res.status})`);
+  const body = await res.json().catch(() => null);
+  if (!Array.isArray(body?.changes) || typeof body.seq !== "number") throw new SyncError("server", "Unexpected reply from the sync server");
+  if (!syncState) return {};
+
+  // Sent writes are settled once the server has them, unless the record was written again meanwhile.
+  sent.forEach(c => { const id = syncId(c.collection, c.key); if (syncState.outbox[id]?.updatedAt === c.updatedAt) delete syncState.outbox[id]; });
+  const data = current(), changed = {};
+  body.changes.forEach(c => {
+    if (!SYNC_KEYS.includes(c.collection) || typeof c.updatedAt !== "number") return;
+    const id = syncId(c.collection, c.key);
+    syncState.clock = Math.max(syncState.clock, c.updatedAt);
+    if (!isNewerWrite(c, syncState.clocks[id])) return;
+    syncState.clocks[id] = { updatedAt: c.updatedAt, deviceId: c.deviceId };
+    delete syncState.outbox[id];
+    const records = changed[c.collection] ||= syncRecords(c.collection, data[c.collection]);
+    c.value == null ? records.delete(c.key) : records.set(c.key, c.value);
+  });
+  const updates = Object.fromEntries(Object.entries(changed).map(([name, records]) => {
+    const value = SYNC_COLLECTIONS[name] ? [...records.values()].sort((a, b) => a.date.localeCompare(b.date)) : records.get("value") ?? null;
+    syncShadow[name] = shadowOf(name, value);
+    return [name, value];
+  }));
+  syncState.seq = body.seq; syncState.lastSyncedAt = new Date().toISOString();
+  if (!joining) { await writeSyncState(); return updates; }
+  const merged = { ...data, ...updates };
+  SYNC_KEYS.forEach(name => syncRecords(name, merged[name]).forEach((value, key) => { if (!syncState.clocks[syncId(name, key)]) queueWrite(name, key, value); }));
+  syncState.joining = false;
+  await writeSyncState();
+  // The pull above is already applied; if pushing fails the records stay queued for the next run.
+  const pushed = await runSync(config, () => ({ ...current(), ...updates })).catch(e => { console.error("Sync:", e); return {}; });
+  return { ...updates, ...pushed };
 };
 
 // ==================== THEME ====================
@@ -45,8 +472,23 @@ const formatDate = (d) => new Date(d).toLocaleDateString("en-GB", { day: "numeri
 const formatDateFull = (d) => new Date(d).toLocaleDateString("en-GB", { day: "numeric", month: "short", year: "numeric" });
 const today = () => new Date().toISOString().split("T")[0];
 const daysBetween = (a, b) => Math.round((new Date(b) - new Date(a)) / 86400000);
+const addDays = (date, n) => { const d = new Date(`${date}T00:00:00Z`); d.setUTCDate(d.getUTCDate() + n); return d.toISOString().split("T")[0]; };
+
+// Least-squares line through {x, y} points; slope standard error is null with fewer than 3 points.
+const linearFit = (pts) => {
+  const n = pts.length;
+  if (n < 2) return null;
+  const mx = pts.reduce((s, p) => s + p.x, 0) / n, my = pts.reduce((s, p) => s + p.y, 0) / n;
+  const sxx = pts.reduce((s, p) => s + (p.x - mx) ** 2, 0);
+  if (sxx === 0) return null;
+  const slope = pts.reduce((s, p) => s + (p.x - mx) * (p.y - my), 0) / sxx;
+  const resid = pts.reduce((s, p) => s + (p.y - (my + slope * (p.x - mx))) ** 2, 0);
+  return { slope, intercept: my - slope * mx, se: n > 2 ? Math.sqrt(resid / (n - 2) / sxx) : null };
+};
 
-const calcBMR = (sex, weightKg, heightCm, age) => {
+// Katch-McArdle from lean mass when body fat is known, Mifflin-St Jeor otherwise.
+const calcBMR = (sex, weightKg, heightCm, age, bodyFat) => {
+  if (bodyFat > 0) return 370 + 21.6 * weightKg * (1 - bodyFat / 100);
   if (sex === "male") return 10 * weightKg + 6.25 * heightCm - 5 * age + 5;
   return 10 * weightKg + 6.25 * heightCm - 5 * age - 161;
 };
@@ -60,54 +502,476 @@ const activityMultipliers = {
 };
 
 const lbsToKg = (lbs) => lbs * 0.453592;
-const cmToFeetInches = (cm) => { const ti = cm / 2.54; return `${Math.floor(ti / 12)}'${Math.round(ti % 12)}"`; };
-
-const calcRollingAvg = (weights, days = 7) => {
-  if (weights.length < 2) return weights;
-  const sorted = [...weights].sort((a, b) => new Date(a.date) - new Date(b.date));
-  return sorted.map((entry, i) => {
-    const windowStart = Math.max(0, i - days + 1);
-    const w = sorted.slice(windowStart, i + 1);
-    const avg = w.reduce((sum, x) => sum + x.weight, 0) / w.length;
-    return { ...entry, avg: Math.round(avg * 10) / 10 };
+const kgToLbs = (kg) => kg / 0.453592;
+const cmToFeetInches = (cm) => { const ti = Math.round(cm / 2.54); return `${Math.floor(ti / 12)}'${ti % 12}"`; };
+const feetInchesToCm = (ft, inches) => Math.round(((parseFloat(ft) || 0) * 12 + (parseFloat(inches) || 0)) * 2.54 * 10) / 10;
+
+// ==================== UNITS ====================
+// Stored values are canonical — body weight in lbs, lifted loads in kg, height in cm — and only converted for
+// display and input, so changing the preference never rewrites history.
+const DEFAULT_UNITS = { body: "lbs", load: "kg", height: "cm" };
+const getUnits = (profile) => ({ ...DEFAULT_UNITS, ...profile?.units });
+const round1 = (n) => Math.round(n * 10) / 10;
+const round2 = (n) => Math.round(n * 100) / 100;
+const isBlank = (v) => v === "" || v == null;
+const toBodyUnit = (lbs, units) => isBlank(lbs) ? lbs : round1(units.body === "kg" ? lbsToKg(lbs) : lbs);
+const fromBodyUnit = (v, units) => isBlank(v) ? v : round2(units.body === "kg" ? kgToLbs(parseFloat(v)) : parseFloat(v));
+const toLoadUnit = (kg, units) => isBlank(kg) ? kg : round1(units.load === "lbs" ? kgToLbs(kg) : kg);
+const fromLoadUnit = (v, units) => isBlank(v) ? v : round2(units.load === "lbs" ? lbsToKg(parseFloat(v)) : parseFloat(v));
+// Reads an input that was prefilled with `toUnit(stored)`: left as shown, it keeps the stored value, so saving
+// without editing never shifts history by a conversion round-trip.
+const fromUnitInput = (v, stored, toUnit, fromUnit, units) => !isBlank(stored) && String(v) === String(toUnit(stored, units)) ? stored : fromUnit(v, units);
+const formatBodyWeight = (lbs, units) => `${toBodyUnit(lbs, units)} ${units.body}`;
+const formatLoad = (kg, units) => `${toLoadUnit(kg, units)}${units.load}`;
+const formatHeight = (cm, units) => units.height === "ftin" ? cmToFeetInches(cm) : `${cm}cm`;
+// Tape measurements follow the height unit: cm, or inches with ft/in.
+const lengthUnit = (units) => units.height === "ftin" ? "in" : "cm";
+const toLengthUnit = (cm, units) => isBlank(cm) ? cm : round1(units.height === "ftin" ? cm / 2.54 : cm);
+const fromLengthUnit = (v, units) => isBlank(v) ? v : round1(units.height === "ftin" ? parseFloat(v) * 2.54 : parseFloat(v));
+
+// ==================== WEIGHT TREND ====================
+// Exponentially smoothed trend weight, 10%/day. Across a gap of n days the new weigh-in is applied as if it had been
+// seen n days running, so missed weigh-ins neither freeze the trend nor let one reading dominate it.
+const TREND_ALPHA = 0.1;
+const calcTrend = (weights) => {
+  const sorted = weights.filter(w => w.weight > 0).sort((a, b) => new Date(a.date) - new Date(b.date));
+  let trend = null, prev = null;
+  return sorted.map(e => {
+    trend = trend === null ? e.weight : trend + (1 - (1 - TREND_ALPHA) ** Math.max(1, daysBetween(prev, e.date))) * (e.weight - trend);
+    prev = e.date;
+    return { ...e, trend: round2(trend) };
   });
 };
 
-const calcWeeklyLoss = (weights) => {
-  if (weights.length < 7) return null;
-  const sorted = [...weights].sort((a, b) => new Date(a.date) - new Date(b.date));
-  const recent7 = sorted.slice(-7);
-  const prev7 = sorted.slice(-14, -7);
-  if (prev7.length < 3) return null;
-  const recentAvg = recent7.reduce((s, w) => s + w.weight, 0) / recent7.length;
-  const prevAvg = prev7.reduce((s, w) => s + w.weight, 0) / prev7.length;
-  return Math.round((prevAvg - recentAvg) * 10) / 10;
+// Rate over the last `days` calendar days from the slope of the trend (lbs/wk, positive = losing). Its uncertainty
+// comes from the scatter of the raw weigh-ins around their own fit over the same dates.
+const calcTrendRate = (weights, days = 14) => {
+  const series = calcTrend(weights);
+  if (series.length < 4) return null;
+  const last = series[series.length - 1];
+  const recent = series.filter(e => daysBetween(e.date, last.date) < days);
+  if (recent.length < 4 || daysBetween(recent[0].date, last.date) < 7) return null;
+  const x = (e) => daysBetween(recent[0].date, e.date);
+  const fit = linearFit(recent.map(e => ({ x: x(e), y: e.trend })));
+  const raw = linearFit(recent.map(e => ({ x: x(e), y: e.weight })));
+  if (!fit) return null;
+  return { weeklyLoss: round2(-fit.slope * 7), se: (raw?.se ?? Math.abs(fit.slope)) * 7, trend: last.trend, date: last.date };
 };
 
-// ==================== ADHERENCE ENGINE ====================
-const calcAdherence = (checkin, targets, profile) => {
-  if (!checkin || !targets) return { total: 0, breakdown: {} };
-  const scores = {};
-  if (checkin.calories && targets.calories) {
-    const pctOff = Math.abs(checkin.calories - targets.calories) / targets.calories;
-    scores.calories = pctOff <= 0.05 ? 100 : pctOff <= 0.10 ? 75 : pctOff <= 0.15 ? 50 : 25;
-  }
-  if (checkin.protein && targets.protein) {
-    const pctOff = Math.abs(checkin.protein - targets.protein) / targets.protein;
-    scores.protein = pctOff <= 0.10 ? 100 : pctOff <= 0.20 ? 75 : pctOff <= 0.30 ? 50 : 25;
+const calcWeeklyLoss = (weights) => { const r = calcTrendRate(weights); return r ? round1(r.weeklyLoss) : null; };
+
+// When the trend reaches `goalLbs` at the current rate, with an 80% band from the rate's uncertainty.
+const projectGoal = (weights, goalLbs, maxWeeks = 52) => {
+  const rate = calcTrendRate(weights, 21);
+  if (!rate || !goalLbs) return null;
+  const toGo = rate.trend - goalLbs;
+  if (Math.abs(toGo) < 0.1) return { ...rate, reached: true, points: [] };
+  const dir = Math.sign(toGo), speed = rate.weeklyLoss * dir, spread = 1.28 * rate.se;
+  const weeksAt = (v) => v > 0 ? Math.abs(toGo) / v : null;
+  const weeks = weeksAt(speed), fastest = weeksAt(speed + spread), slowest = weeksAt(speed - spread);
+  const horizon = Math.min(maxWeeks, Math.ceil(slowest ?? weeks ?? 12));
+  const at = (v, wk) => rate.trend - dir * Math.min(Math.abs(toGo), Math.max(0, v) * wk);
+  const points = Array.from({ length: horizon }, (_, i) => ({
+    date: addDays(rate.date, (i + 1) * 7), projection: round1(at(speed, i + 1)),
+    band: [round1(at(speed + spread, i + 1)), round1(at(speed - spread, i + 1))].sort((a, b) => a - b),
+  }));
+  const dateIn = (w) => w !== null && w <= maxWeeks ? addDays(rate.date, Math.round(w * 7)) : null;
+  return { ...rate, reached: false, onTrack: speed > 0, goalDate: dateIn(weeks), earliest: dateIn(fastest), latest: dateIn(slowest), points };
+};
+
+// Last `days` of trend plus a few weeks of projection for the weight charts, in the display unit.
+const buildTrendChart = (weights, goalLbs, units, days) => {
+  const series = calcTrend(weights);
+  const proj = projectGoal(weights, goalLbs);
+  const last = series[series.length - 1];
+  if (!last) return { data: [], proj };
+  const bw = (v) => toBodyUnit(v, units);
+  const past = series.filter(e => daysBetween(e.date, last.date) < days).map(e => ({ date: e.date, weight: bw(e.weight), trend: bw(e.trend) }));
+  if (!proj?.points.length) return { data: past, proj };
+  const future = proj.points.slice(0, Math.max(4, Math.ceil(days / 10))).map(p => ({ date: p.date, projection: bw(p.projection), band: p.band.map(bw) }));
+  const anchor = { ...past[past.length - 1], projection: bw(last.trend), band: [bw(last.trend), bw(last.trend)] };
+  return { data: [...past.slice(0, -1), anchor, ...future], proj };
+};
+
+// Fat 25% of calories, protein held, carbs fill the rest.
+const deriveMacros = (calories, protein) => {
+  const fat = Math.round((calories * 0.25) / 9);
+  return { calories, protein, fat, carbs: Math.round((calories - (protein * 4) - (fat * 9)) / 4) };
+};
+
+// ==================== EXPENDITURE (adaptive TDEE) ====================
+const KCAL_PER_LB = 3500;
+
+// Energy balance over a date window: expenditure = mean logged intake − trend slope × 3500 kcal/lb.
+// Unlogged days are assumed to average like logged ones, and the less of the window is covered by intake logs
+// and weigh-ins, the more the estimate is blended toward the formula TDEE (`prior`) and the wider its range.
+const estimateTDEE = (weights, checkins, { windowDays = 28, endDate = today(), prior } = {}) => {
+  const start = addDays(endDate, -(windowDays - 1));
+  const inWindow = (d) => d >= start && d <= endDate;
+  const wPts = weights.filter(w => inWindow(w.date) && w.weight > 0).map(w => ({ x: daysBetween(start, w.date), y: w.weight }));
+  const intake = checkins.filter(c => inWindow(c.date) && parseInt(c.calories) > 0).map(c => parseInt(c.calories));
+  const fit = linearFit(wPts);
+  const span = wPts.length > 1 ? Math.max(...wPts.map(p => p.x)) - Math.min(...wPts.map(p => p.x)) : 0;
+  const base = { windowDays, loggedDays: intake.length, weighIns: wPts.length, coverage: intake.length / windowDays, prior };
+  if (!fit || span < 7 || intake.length < 4) return prior ? { ...base, tdee: prior, low: Math.round(prior * 0.85), high: Math.round(prior * 1.15), dataWeight: 0, confidence: "none", weeklyLoss: null, avgIntake: null } : null;
+
+  const avgIntake = intake.reduce((s, c) => s + c, 0) / intake.length;
+  const intakeSd = Math.sqrt(intake.reduce((s, c) => s + (c - avgIntake) ** 2, 0) / Math.max(1, intake.length - 1));
+  const measured = avgIntake - fit.slope * KCAL_PER_LB;
+  const slopeHw = 1.96 * (fit.se ?? Math.abs(fit.slope)) * KCAL_PER_LB;
+  const intakeHw = 1.96 * intakeSd / Math.sqrt(intake.length) * Math.sqrt(Math.max(0, 1 - base.coverage) + 1 / windowDays);
+  const measuredHw = Math.sqrt(slopeHw ** 2 + intakeHw ** 2);
+  const dataWeight = prior ? Math.min(1, base.coverage / 0.7) * Math.min(1, span / (windowDays * 0.7)) * Math.min(1, wPts.length / 8) : 1;
+  const tdee = dataWeight * measured + (1 - dataWeight) * (prior || measured);
+  const hw = dataWeight * measuredHw + (1 - dataWeight) * (prior || measured) * 0.15;
+  return {
+    ...base, tdee: Math.round(tdee), low: Math.round(tdee - hw), high: Math.round(tdee + hw), dataWeight, avgIntake: Math.round(avgIntake),
+    weeklyLoss: Math.round(-fit.slope * 7 * 10) / 10, confidence: dataWeight >= 0.85 && hw < 250 ? "high" : dataWeight >= 0.5 ? "moderate" : "low",
+  };
+};
+
+const estimateTDEEHistory = (weights, checkins, { windowDays = 28, prior, days = 120, step = 7 } = {}) => {
+  const points = [];
+  for (let back = 0; back <= days; back += step) {
+    const endDate = addDays(today(), -back);
+    const est = estimateTDEE(weights, checkins, { windowDays, endDate, prior });
+    if (est && est.confidence !== "none") points.unshift({ date: endDate, tdee: est.tdee, range: [est.low, est.high] });
   }
-  if (checkin.workoutCompleted !== undefined) scores.workout = checkin.workoutCompleted ? 100 : 0;
-  if (checkin.steps) {
-    const stepTarget = profile?.stepTarget || 8000;
-    const pctHit = checkin.steps / stepTarget;
-    scores.steps = pctHit >= 0.95 ? 100 : pctHit >= 0.80 ? 75 : pctHit >= 0.60 ? 50 : 25;
+  return points;
+};
+
+// ==================== TARGETS HISTORY ====================
+// targets.history records each version of the scored fields with the date it took effect, so a past day is
+// judged against the plan in force that day rather than today's numbers.
+const TARGET_FIELDS = ["calories", "protein", "carbs", "fat", "weeklyLossTarget", "cycling"];
+const TARGET_REASONS = {
+  initial: "Initial plan", baseline: "Before history began", manual: "Manual edit", recalibration: "Metabolic recalibration",
+  ai: "AI review", engine: "Coaching verdict", chat: "Coach chat", phase: "New diet phase", import: "Backup import",
+};
+
+// Appends a version when the scored fields differ from the latest one; several changes on one day all stay listed.
+const withTargetsVersion = (targets, reason, from = today()) => {
+  if (!targets) return targets;
+  const history = targets.history || [];
+  const last = history[history.length - 1];
+  if (last && TARGET_FIELDS.every(k => JSON.stringify(last[k]) === JSON.stringify(targets[k]))) return targets;
+  return { ...targets, history: [...history, { from, at: new Date().toISOString(), reason, ...Object.fromEntries(TARGET_FIELDS.map(k => [k, targets[k]])) }] };
+};
+
+// Targets as they stood on `date`. Days before the first version use the first version.
+const targetsOn = (targets, date) => {
+  const history = targets?.history;
+  if (!history?.length || !date) return targets;
+  const version = history.filter(v => v.from <= date).pop() || history[0];
+  return { ...targets, ...Object.fromEntries(TARGET_FIELDS.map(k => [k, version[k]])) };
+};
+
+// ==================== BODY COMPOSITION ====================
+// Measurements are stored per date in cm, with an optional body-fat % and where it came from. Lean and fat mass pair
+// each body-fat reading with the trend weight that day, so a single heavy weigh-in does not move both.
+const MEASUREMENT_SITES = [
+  { key: "waist", label: "Waist", color: COLORS.accent }, { key: "hips", label: "Hips", color: COLORS.textDim },
+  { key: "chest", label: "Chest", color: COLORS.purple }, { key: "arms", label: "Arms", color: COLORS.warning },
+  { key: "thighs", label: "Thighs", color: COLORS.danger },
+];
+const BODY_FAT_SOURCES = [{ value: "calipers", label: "Calipers" }, { value: "scale", label: "Smart scale" }, { value: "other", label: "Other (DEXA, estimate)" }];
+
+const trendWeightOn = (weights, date) => {
+  const series = calcTrend(weights);
+  return (series.filter(e => e.date <= date).pop() || series[0])?.trend ?? null;
+};
+
+const calcBodyComposition = (weights, measurements) => [...measurements]
+  .filter(m => m.bodyFat > 0).sort((a, b) => a.date.localeCompare(b.date))
+  .map(m => { const weight = trendWeightOn(weights, m.date); return weight === null ? null : { date: m.date, bodyFat: m.bodyFat, weight, lean: round1(weight * (1 - m.bodyFat / 100)), fat: round1(weight * m.bodyFat / 100) }; })
+  .filter(Boolean);
+
+const latestBodyFat = (measurements) => [...measurements].filter(m => m.bodyFat > 0).sort((a, b) => a.date.localeCompare(b.date)).pop() || null;
+
+// Today's BMR from the trend weight, and from lean mass once a body-fat reading exists.
+const estimateBMR = (profile, weights, measurements) => {
+  const lbs = calcTrend(weights).pop()?.trend ?? profile.weightLbs, bf = latestBodyFat(measurements)?.bodyFat;
+  return { bmr: Math.round(calcBMR(profile.sex, lbsToKg(lbs), profile.heightCm, profile.age, bf)), formula: bf ? "Katch-McArdle" : "Mifflin-St Jeor", bodyFat: bf ?? null };
+};
+
+// Formula maintenance, the prior the adaptive TDEE leans on when logging is sparse: the onboarding estimate until a
+// body-fat reading exists, then the Katch-McArdle BMR × the activity level.
+const formulaTDEE = (profile, weights, measurements) => {
+  const est = estimateBMR(profile, weights, measurements);
+  if (!est.bodyFat) return profile.tdee;
+  const activity = activityMultipliers[profile.activity]?.value ?? (profile.bmr ? profile.tdee / profile.bmr : activityMultipliers.moderate.value);
+  return Math.round(est.bmr * activity);
+};
+
+// Change per site (cm, body-fat points) from the first reading inside the last `days` to the latest one.
+const measurementChanges = (measurements, days = 28, end = today()) => {
+  const recent = [...measurements].filter(m => m.date <= end && daysBetween(m.date, end) < days).sort((a, b) => a.date.localeCompare(b.date));
+  return [...MEASUREMENT_SITES.map(s => s.key), "bodyFat"].map(key => {
+    const vals = recent.filter(m => m[key] > 0);
+    return vals.length ? { key, latest: vals[vals.length - 1][key], change: vals.length > 1 ? round1(vals[vals.length - 1][key] - vals[0][key]) : null, since: vals[0].date } : null;
+  }).filter(Boolean);
+};
+
+// The latest measurements on or up to `days` before `date`, each site from its own most recent reading.
+const measurementsOn = (measurements, date, days = 7) => {
+  const near = [...measurements].filter(m => m.date <= date && daysBetween(m.date, date) < days).sort((a, b) => a.date.localeCompare(b.date));
+  return Object.assign({}, ...near.map(m => Object.fromEntries(Object.entries(m).filter(([, v]) => typeof v === "number" && v > 0))));
+};
+
+// ==================== PROGRESS PHOTOS ====================
+const PHOTO_POSES = [{ key: "front", label: "Front" }, { key: "side", label: "Side" }, { key: "back", label: "Back" }];
+const PHOTO_MAX_PX = 1600, PHOTO_THUMB_PX = 240;
+
+const resizeImage = async (file, maxPx, quality) => {
+  const bmp = await createImageBitmap(file);
+  const scale = Math.min(1, maxPx / Math.max(bmp.width, bmp.height));
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(bmp.width * scale); canvas.height = Math.round(bmp.height * scale);
+  canvas.getContext("2d").drawImage(bmp, 0, 0, canvas.width, canvas.height);
+  bmp.close?.();
+  return new Promise((resolve, reject) => canvas.toBlob(b => b ? resolve(b) : reject(new Error("Could not read that image")), "image/jpeg", quality));
+};
+
+// Camera photos are re-encoded to a bounded JPEG, which also drops their EXIF location data.
+const makePhoto = async (file, date, pose) => {
+  const [image, thumb] = await Promise.all([resizeImage(file, PHOTO_MAX_PX, 0.85), resizeImage(file, PHOTO_THUMB_PX, 0.7)]);
+  return { id: uid("photo"), date, pose, thumb: await blobToDataURL(thumb), image, createdAt: new Date().toISOString() };
+};
+
+// ==================== REMINDERS ====================
+// Settings live in profile.reminders. The service worker (public/reminders-sw.js) decides what to send from a
+// snapshot the app keeps in Cache Storage: the settings plus the last date each kind of data was logged.
+const REMINDER_CACHE = "coach-reminders", REMINDER_STATE_URL = "/__coach-reminders/state";
+const DEFAULT_REMINDERS = {
+  enabled: false,
+  weighIn: { on: true, time: "07:30" }, checkin: { on: true, time: "20:30" }, training: { on: true, time: "17:00" },
+  review: { on: true, time: "10:00", weekday: 6 }, quiet: { on: true, from: "22:00", to: "07:00" }, trainingWeekdays: null,
+};
+const REMINDER_KINDS = [
+  { key: "weighIn", label: "Morning weigh-in", hint: "skipped once you've weighed in" },
+  { key: "checkin", label: "Evening check-in", hint: "only if today has no check-in" },
+  { key: "training", label: "Training days", hint: "skipped once the workout is logged" },
+  { key: "review", label: "Weekly review", hint: "skipped if you reviewed in the last 7 days" },
+];
+const TRAINING_DAY_SPREAD = { 1: [0], 2: [0, 3], 3: [0, 2, 4], 4: [0, 1, 3, 4], 5: [0, 1, 2, 4, 5], 6: [0, 1, 2, 3, 4, 5], 7: [0, 1, 2, 3, 4, 5, 6] };
+
+const reminderConfig = (profile) => {
+  const r = profile?.reminders || {};
+  return { ...DEFAULT_REMINDERS, ...r, ...Object.fromEntries(["weighIn", "checkin", "training", "review", "quiet"].map(k => [k, { ...DEFAULT_REMINDERS[k], ...r[k] }])) };
+};
+
+// Chosen in the reminder settings, else the cycling plan's training days, else the sessions per week spread out.
+const plannedTrainingWeekdays = (profile, targets) => reminderConfig(profile).trainingWeekdays
+  || (targets?.cycling?.trainingWeekdays?.length ? targets.cycling.trainingWeekdays : TRAINING_DAY_SPREAD[profile?.trainingDays] || []);
+
+// The session after the last one logged, in program order.
+const nextSessionName = (program, workouts) => {
+  if (!program?.sessions?.length) return null;
+  const last = [...workouts].filter(w => w.programId === program.id).sort((a, b) => a.date.localeCompare(b.date)).pop();
+  const i = last ? program.sessions.findIndex(sn => sn.id === last.sessionId) : -1;
+  return program.sessions[(i + 1) % program.sessions.length].name;
+};
+
+const lastDate = (records, pick = () => true) => records.filter(pick).map(r => r.date).sort().pop() || null;
+const buildReminderState = ({ profile, targets, program, weights, checkins, workouts, analyses }) => ({
+  config: reminderConfig(profile),
+  trainingWeekdays: plannedTrainingWeekdays(profile, targets),
+  nextSession: nextSessionName(program, workouts),
+  logged: {
+    weighIn: lastDate(weights), checkin: lastDate(checkins), review: lastDate(analyses, a => a.kind === "weekly"),
+    workout: [lastDate(workouts), lastDate(checkins, c => c.workoutCompleted)].filter(Boolean).sort().pop() || null,
+  },
+});
+
+const postToServiceWorker = async (message) => {
+  const reg = await navigator.serviceWorker?.getRegistration();
+  reg?.active?.postMessage(message);
+  return reg || null;
+};
+
+// Writes the snapshot and asks the worker to check straight away.
+const syncReminders = async (state) => {
+  if (!("caches" in window)) return;
+  await (await caches.open(REMINDER_CACHE)).put(REMINDER_STATE_URL, new Response(JSON.stringify(state), { headers: { "Content-Type": "application/json" } }));
+  await postToServiceWorker({ type: "coach-reminders-check" });
+};
+
+// Background checks need Periodic Background Sync, which browsers grant only to installed apps; reminders still fire
+// while the app is open without it.
+const registerBackgroundReminders = async () => {
+  const reg = await navigator.serviceWorker?.getRegistration();
+  if (!reg?.periodicSync) return false;
+  try { await reg.periodicSync.register("coach-reminders", { minInterval: 60 * 60 * 1000 }); return true; } catch { return false; }
+};
+
+const notificationSupport = () => !("Notification" in window) || !("serviceWorker" in navigator) ? "unsupported" : Notification.permission;
+
+// ==================== DIET PHASES ====================
+// targets.phases is the diet timeline, oldest first. A phase runs from `start` until the next one starts; `end` is its
+// planned last day, moved up to the real one when it is cut short. Starting a phase sets the calorie target once:
+// a cut eats `rate` lbs/wk below maintenance, a gain `rate` lbs/wk above it, maintenance and diet breaks at it. A
+// reverse diet instead climbs from `calories` by `step` kcal each week up to `to`, worked out per day. A diet break
+// keeps the cut's calories and rate to resume with.
+const PHASE_TYPES = {
+  cut: { label: "Cut", color: COLORS.accent },
+  maintenance: { label: "Maintenance", color: COLORS.textDim },
+  dietBreak: { label: "Diet break", color: COLORS.purple },
+  reverse: { label: "Reverse diet", color: COLORS.warning },
+  gain: { label: "Gain", color: COLORS.danger },
+};
+const REVERSE_STEP = 100;
+
+const phaseOn = (targets, date = today()) => (targets?.phases || []).filter(p => p.start <= date).pop() || null;
+const phaseDay = (phase, date = today()) => daysBetween(phase.start, date) + 1;
+const phaseLength = (phase) => phase.end ? daysBetween(phase.start, phase.end) + 1 : null;
+
+// Calories a new phase starts at, from the maintenance estimate.
+const phaseStartCalories = (type, maintenance, rate = 0) => type === "cut" ? Math.max(1200, roundTo50(maintenance - (rate * KCAL_PER_LB) / 7))
+  : type === "gain" ? roundTo50(maintenance + (rate * KCAL_PER_LB) / 7) : roundTo50(maintenance);
+
+const reverseCalories = (phase, date) => Math.min(phase.to, phase.calories + phase.step * Math.floor(Math.max(0, daysBetween(phase.start, date)) / 7));
+
+// Closes the phase running on `date` (dropping any that start later) and opens the new one, with the calorie target
+// and loss rate it implies.
+const startPhase = (targets, { type, calories, end = null, ...opts }, date = today()) => {
+  const phases = (targets.phases || []).filter(p => p.start < date).map(p => p.end && p.end < date ? p : { ...p, end: addDays(date, -1) });
+  const phase = { id: uid("ph"), type, start: date, end, calories, ...opts };
+  const weeklyLossTarget = type === "cut" ? opts.rate : type === "gain" ? -opts.rate : 0;
+  return { ...targets, ...deriveMacros(calories, targets.protein), weeklyLossTarget, phases: [...phases, phase], adjustedAt: date };
+};
+
+// A reverse diet moves the day's calories off the stored target; carbs take the difference, as with cycling.
+const phaseTargets = (targets, date) => {
+  const phase = phaseOn(targets, date);
+  if (phase?.type !== "reverse" || !date) return targets;
+  const calories = reverseCalories(phase, date);
+  return { ...targets, calories, carbs: Math.max(0, Math.round(targets.carbs + (calories - targets.calories) / 4)) };
+};
+
+// First day of the unbroken run of cut phases active on `date`, or null outside a cut.
+const deficitStart = (targets, date) => {
+  const phases = (targets?.phases || []).filter(p => p.start <= date);
+  let i = phases.length - 1;
+  if (i < 0 || phases[i].type !== "cut") return null;
+  while (i > 0 && phases[i - 1].type === "cut") i--;
+  return phases[i].start;
+};
+
+const describePhase = (phase, units, date = today()) => !phase ? null : [
+  `${PHASE_TYPES[phase.type].label}, day ${phaseDay(phase, date)}${phase.end ? ` of ${phaseLength(phase)}` : ""}`,
+  phase.type === "reverse" && `${reverseCalories(phase, date)} kcal this week, +${phase.step}/wk up to ${phase.to}`,
+  (phase.type === "cut" || phase.type === "gain") && `${phase.type === "cut" ? "losing" : "gaining"} ${formatBodyWeight(phase.rate, units)}/wk`,
+  phase.type === "dietBreak" && `then back to ${phase.resumeCalories} kcal`,
+].filter(Boolean).join(", ");
+
+// ==================== CALORIE CYCLING ====================
+// targets.cycling spreads the same weekly calories unevenly, stored as ratios so a change to the base calories moves
+// every day type proportionally. "training": training days get `ratio`× the rest-day calories, with the weekly
+// average planned on the chosen training weekdays, else on profile.trainingDays sessions. "weekday": one relative
+// weight per weekday, Monday first.
+// Only carbs absorb the difference; protein and fat stay fixed.
+const WEEKDAYS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+const weekdayIdx = (date) => (new Date(`${date}T00:00:00Z`).getUTCDay() + 6) % 7;
+const round10 = (n) => Math.round(n / 10) * 10;
+
+const cycleSplit = (targets, profile) => {
+  const planned = targets.cycling.trainingWeekdays?.length;
+  const n = Math.min(7, Math.max(0, planned || profile?.trainingDays || 0)), ratio = targets.cycling.ratio || 1;
+  const rest = (targets.calories * 7) / (n * ratio + 7 - n);
+  return { training: round10(rest * ratio), rest: round10(rest) };
+};
+const weekdayCalories = (targets) => {
+  const w = targets.cycling.weights, sum = w.reduce((s, v) => s + v, 0);
+  return w.map(v => round10((targets.calories * 7 * v) / sum));
+};
+
+// Targets for one day: the version in effect on `date`, stepped by a reverse diet, cycled by weekday or by whether it
+// is a training day. A logged workout makes it one; otherwise the planned weekdays decide, since an unticked workout
+// is also what a fresh check-in holds. With neither, `trained` decides, and without that the day gets the average.
+const targetsForDay = (currentTargets, profile, date, trained) => {
+  const targets = phaseTargets(targetsOn(currentTargets, date), date);
+  const c = targets?.cycling;
+  if (!c || !date) return targets;
+  let calories = targets.calories, dayType = null;
+  if (c.mode === "weekday") { calories = weekdayCalories(targets)[weekdayIdx(date)]; dayType = WEEKDAYS[weekdayIdx(date)]; }
+  else {
+    const training = trained || (c.trainingWeekdays?.length ? c.trainingWeekdays.includes(weekdayIdx(date)) : trained);
+    if (training !== undefined) { calories = cycleSplit(targets, profile)[training ? "training" : "rest"]; dayType = training ? "training" : "rest"; }
   }
-  const vals = Object.values(scores);
-  return { total: vals.length > 0 ? Math.round(vals.reduce((s, v) => s + v, 0) / vals.length) : 0, breakdown: scores };
+  return { ...targets, calories, carbs: Math.max(0, Math.round(targets.carbs + (calories - targets.calories) / 4)), dayType };
+};
+
+const describeCycling = (targets, profile) => !targets?.cycling ? null
+  : targets.cycling.mode === "weekday" ? weekdayCalories(targets).map((c, i) => `${WEEKDAYS[i]} ${c}`).join(", ")
+  : (({ training, rest }) => `training days ${training}, rest days ${rest}`)(cycleSplit(targets, profile));
+
+// ==================== ADHERENCE ENGINE ====================
+// Each component scores 100/75/50/25 by how far the day landed from its target, as a fraction of the target, against
+// three tolerance bands. The miss is multiplied by `under` or `over` first, so 1.5 makes that side count 50% more and
+// 0 ignores it. The day's total is the weighted mean of the components that could be scored. Defaults reproduce
+// the original fixed model: symmetric calories and protein, steps only penalised when short.
+const SCORING_COMPONENTS = {
+  calories: { label: "Calories", color: COLORS.accent, actual: (c) => c.calories, target: (t) => t.calories },
+  protein: { label: "Protein", color: COLORS.blue, actual: (c) => c.protein, target: (t) => t.protein },
+  carbs: { label: "Carbs", color: COLORS.purple, actual: (c) => c.carbs, target: (t) => t.carbs },
+  fat: { label: "Fat", color: COLORS.warning, actual: (c) => c.fat, target: (t) => t.fat },
+  fiber: { label: "Fiber", color: COLORS.accent, actual: (c) => c.fiber, target: (t, p, cfg) => cfg.target, unit: "g" },
+  steps: { label: "Steps", color: COLORS.warning, actual: (c) => c.steps, target: (t, p) => p?.stepTarget || 8000 },
+  sleep: { label: "Sleep", color: COLORS.blue, actual: (c) => parseFloat(c.sleepHours), target: (t, p, cfg) => cfg.target, unit: "h" },
+  workout: { label: "Workout", color: COLORS.purple },
+};
+const DEFAULT_SCORING = {
+  components: {
+    calories: { enabled: true, weight: 1, bands: [0.05, 0.10, 0.15], under: 1, over: 1 },
+    protein: { enabled: true, weight: 1, bands: [0.10, 0.20, 0.30], under: 1, over: 1 },
+    carbs: { enabled: false, weight: 0.5, bands: [0.10, 0.20, 0.30], under: 1, over: 1 },
+    fat: { enabled: false, weight: 0.5, bands: [0.10, 0.20, 0.30], under: 1, over: 1 },
+    fiber: { enabled: false, weight: 0.5, bands: [0.15, 0.30, 0.50], under: 1, over: 0, target: 30 },
+    steps: { enabled: true, weight: 1, bands: [0.05, 0.20, 0.40], under: 1, over: 0 },
+    sleep: { enabled: false, weight: 0.5, bands: [0.05, 0.15, 0.25], under: 1, over: 0, target: 7.5 },
+    workout: { enabled: true, weight: 1 },
+  },
+  // Lowest score for each colour (accent/blue/warning) and label (EXCELLENT/GOOD/FAIR/NEEDS WORK).
+  colors: [85, 65, 45],
+  labels: [90, 75, 60, 40],
+};
+
+// Anything missing from profile.scoring falls back to DEFAULT_SCORING.
+const scoringConfig = (profile) => {
+  const saved = profile?.scoring || {};
+  return {
+    components: Object.fromEntries(Object.entries(DEFAULT_SCORING.components).map(([k, d]) => [k, { ...d, ...saved.components?.[k] }])),
+    colors: saved.colors || DEFAULT_SCORING.colors, labels: saved.labels || DEFAULT_SCORING.labels,
+  };
 };
 
-const getAdherenceColor = (s) => s >= 85 ? COLORS.accent : s >= 65 ? COLORS.blue : s >= 45 ? COLORS.warning : COLORS.danger;
-const getAdherenceLabel = (s) => s >= 90 ? "EXCELLENT" : s >= 75 ? "GOOD" : s >= 60 ? "FAIR" : s >= 40 ? "NEEDS WORK" : "OFF TRACK";
+const bandScore = (actual, target, cfg) => {
+  const off = (actual - target) / target;
+  const miss = Math.round((off < 0 ? -off * cfg.under : off * cfg.over) * 1e6) / 1e6;
+  return miss <= cfg.bands[0] ? 100 : miss <= cfg.bands[1] ? 75 : miss <= cfg.bands[2] ? 50 : 25;
+};
+
+// Scored against the targets in effect on the check-in's date, for that day's type when calories are cycled.
+const calcAdherence = (checkin, currentTargets, profile) => {
+  if (!checkin || !currentTargets) return { total: 0, breakdown: {} };
+  const targets = targetsForDay(currentTargets, profile, checkin.date, checkin.workoutCompleted);
+  const { components } = scoringConfig(profile);
+  const scores = {};
+  Object.entries(components).forEach(([k, cfg]) => {
+    if (!cfg.enabled || !(cfg.weight > 0)) return;
+    if (k === "workout") { if (checkin.workoutCompleted !== undefined) scores.workout = checkin.workoutCompleted ? 100 : 0; return; }
+    const actual = SCORING_COMPONENTS[k].actual(checkin), target = SCORING_COMPONENTS[k].target(targets, profile, cfg);
+    if (actual > 0 && target > 0) scores[k] = bandScore(actual, target, cfg);
+  });
+  const keys = Object.keys(scores), weight = keys.reduce((s, k) => s + components[k].weight, 0);
+  return { total: keys.length > 0 ? Math.round(keys.reduce((s, k) => s + scores[k] * components[k].weight, 0) / weight) : 0, breakdown: scores };
+};
+
+// Check-ins dated within the `days` calendar days ending on `end`, oldest first.
+const checkinsInWindow = (checkins, days = 7, end = today()) => checkins.filter(c => c.date <= end && daysBetween(c.date, end) < days).sort((a, b) => a.date.localeCompare(b.date));
+
+const getAdherenceColor = (s, profile) => { const [a, b, c] = scoringConfig(profile).colors; return s >= a ? COLORS.accent : s >= b ? COLORS.blue : s >= c ? COLORS.warning : COLORS.danger; };
+const getAdherenceLabel = (s, profile) => { const [a, b, c, d] = scoringConfig(profile).labels; return s >= a ? "EXCELLENT" : s >= b ? "GOOD" : s >= c ? "FAIR" : s >= d ? "NEEDS WORK" : "OFF TRACK"; };
 
 const calcRecovery = (checkin) => {
   if (!checkin) return { score: 0, status: "UNKNOWN" };
@@ -119,57 +983,393 @@ const calcRecovery = (checkin) => {
   return { score, status: score >= 80 ? "OPTIMAL" : score >= 60 ? "ADEQUATE" : score >= 40 ? "FATIGUED" : "RECOVERY NEEDED" };
 };
 
-// ==================== AI COACHING (uses user-provided API key) ====================
+// ==================== COACHING RULES (plateau, rate, diet break) ====================
+// The deterministic weekly verdict. It works without AI; the AI review receives it as input instead of re-deriving it.
+const DIET_BREAK_DAYS = 56, DIET_BREAK_FORCE_DAYS = 84, DIET_BREAK_LENGTH = 14, ADJUSTMENT_COOLDOWN_DAYS = 14;
+const roundTo50 = (v) => Math.round(v / 50) * 50;
+
+// Consecutive days, in whole weeks back from `end`, spent eating below maintenance since the current run of cut phases
+// began. Weeks with fewer than three logged intakes are judged by the calorie target; a week at maintenance ends the run.
+const calcDaysInDeficit = (checkins, targets, profile, maintenance, end = today()) => {
+  const start = targets.phases ? deficitStart(targets, end) : profile.createdAt || end;
+  if (!start) return 0;
+  let days = 0;
+  for (let wEnd = end; wEnd >= start; wEnd = addDays(wEnd, -7)) {
+    const logged = checkinsInWindow(checkins, 7, wEnd).map(c => parseInt(c.calories)).filter(c => c > 0);
+    const intake = logged.length >= 3 ? logged.reduce((s, c) => s + c, 0) / logged.length : targets.calories;
+    if (intake > maintenance - 250) break;
+    days += Math.min(7, daysBetween(start, wEnd) + 1);
+  }
+  return days;
+};
+
+// One recommendation per week, never stacked, judged by the active phase. In a cut a diet break outranks a too-fast
+// correction, which outranks plateau and slow-loss cuts; maintenance and gain phases steer the trend toward their
+// rate. Nothing is adjusted within two weeks of the last change, and a phase past its planned end asks for the next.
+// Without targets (e.g. after importing a backup that has none) there is nothing to judge against: null.
+const evaluateCoaching = (checkins, weights, targets, profile, measurements = [], end = today()) => {
+  if (!targets) return null;
+  const week = checkinsInWindow(checkins, 7, end);
+  const adherence = week.length ? Math.round(week.reduce((s, c) => s + calcAdherence(c, targets, profile).total, 0) / week.length) : 0;
+  const prior = formulaTDEE(profile, weights, measurements);
+  const maintenance = estimateTDEE(weights, checkins, { windowDays: profile.tdeeWindowDays || 28, endDate: end, prior })?.tdee ?? prior;
+  const rate = calcTrendRate(weights.filter(w => w.date <= end), 14);
+  const steps = week.map(c => parseInt(c.steps)).filter(s => s > 0);
+  const avgSteps = steps.length ? Math.round(steps.reduce((s, v) => s + v, 0) / steps.length) : null;
+  const stepTarget = profile.stepTarget || 8000;
+  const phase = phaseOn(targets, end);
+  const target = targets.weeklyLossTarget, loss = rate?.weeklyLoss ?? null;
+  const plateau = loss !== null && Math.abs(loss) < Math.max(0.2, target * 0.25);
+  const tooFast = loss !== null && loss > Math.max(target * 1.5, rate.trend * 0.01);
+  const slow = loss !== null && !plateau && loss < target * 0.75;
+  const daysInDeficit = calcDaysInDeficit(checkins, targets, profile, maintenance, end);
+  const facts = { phase: phase?.type ?? null, weeklyLoss: loss, target, adherence, checkins: week.length, avgSteps, maintenance, daysInDeficit, plateau, tooFast, slow };
+  const verdict = (action, title, reason, change = null) => ({ action, title, reason, change, facts });
+  const perWeek = (lb) => `${formatBodyWeight(lb, getUnits(profile))}/wk`;
+  const moving = loss === null ? null : `${loss > 0 ? "down" : "up"} ${perWeek(Math.abs(loss))}`;
+
+  const resume = { type: "endBreak", calories: phase?.resumeCalories, rate: phase?.resumeRate };
+  // A break without an end date (only from older data) runs until the cut is resumed by hand.
+  if (phase?.type === "dietBreak") return !phase.end || end <= phase.end
+    ? verdict("onBreak", "Diet break in progress", `Eating at maintenance${phase.end ? ` until ${formatDate(phase.end)}` : ""}, then back to ${phase.resumeCalories} kcal.`, resume)
+    : verdict("resume", "Diet break is over", `Return to the deficit at ${phase.resumeCalories} kcal. Expect some water weight to come off in the first week.`, resume);
+  if (phase?.type === "reverse" && reverseCalories(phase, end) >= phase.to)
+    return verdict("phaseOver", "Reverse diet complete", `Calories are back up to ${phase.to} kcal. Hold them there as maintenance.`, { type: "phase", phase: "maintenance", calories: phase.to });
+  if (phase?.end && end > phase.end)
+    return verdict("phaseOver", `${PHASE_TYPES[phase.type].label} phase complete`, `It was planned to end ${formatDate(phase.end)}. Move to maintenance, or plan the next phase in SETUP.`, { type: "phase", phase: "maintenance", calories: roundTo50(maintenance) });
+  if (phase?.type === "reverse")
+    return verdict("reverse", `Reverse diet — week ${Math.floor(daysBetween(phase.start, end) / 7) + 1}`, `${reverseCalories(phase, end)} kcal/day this week, +${phase.step} kcal each week until ${phase.to}.${moving ? ` Trend ${moving}.` : ""}`);
+  if (week.length < 5 || loss === null) return verdict("insufficient", "Not enough data yet", `Needs 5+ check-ins this week (${week.length}/7) and two weeks of weigh-ins.`);
+
+  if (phase && phase.type !== "cut") {
+    const sinceChange = targets.adjustedAt ? daysBetween(targets.adjustedAt, end) : Infinity;
+    const aim = phase.type === "gain" ? phase.rate : 0, gain = -loss, slack = Math.max(0.25, aim * 0.5);
+    const label = phase.type === "gain" ? `${perWeek(aim)} gain` : "a flat trend";
+    if (Math.abs(gain - aim) <= slack) return verdict("maintain", "On pace — no change", `Trend ${moving}, aiming for ${label}. Keep everything as it is.`);
+    if (sinceChange < ADJUSTMENT_COOLDOWN_DAYS) return verdict("wait", "Hold — last change still settling", `Targets changed ${sinceChange} day${sinceChange === 1 ? "" : "s"} ago; re-evaluate in ${ADJUSTMENT_COOLDOWN_DAYS - sinceChange} days.`);
+    if (gain > aim && adherence < 80) return verdict("adherence", "Tighten adherence first", `Adherence is ${adherence}%. Hitting the current targets is the lever before changing them.`);
+    return gain > aim
+      ? verdict("decrease", "Gaining faster than planned", `Trend ${moving}, aiming for ${label}.`, { type: "calories", delta: -100 })
+      : verdict("increase", phase.type === "gain" ? "Gain slower than target" : "Drifting down", `Trend ${moving}, aiming for ${label}.`, { type: "calories", delta: 100 });
+  }
+
+  const declining = plateau || slow || adherence < 80;
+  if (daysInDeficit >= DIET_BREAK_FORCE_DAYS || (daysInDeficit >= DIET_BREAK_DAYS && declining))
+    return verdict("dietBreak", "Take a diet break", `${Math.floor(daysInDeficit / 7)} weeks in a deficit${declining ? " and progress is slowing" : ""}. Two weeks at maintenance restores training quality and adherence before the next block.`, { type: "dietBreak", calories: roundTo50(maintenance), days: DIET_BREAK_LENGTH });
+  const sinceChange = targets.adjustedAt ? daysBetween(targets.adjustedAt, end) : Infinity;
+  if (sinceChange < ADJUSTMENT_COOLDOWN_DAYS) return verdict("wait", "Hold — last change still settling", `Targets changed ${sinceChange} day${sinceChange === 1 ? "" : "s"} ago; re-evaluate in ${ADJUSTMENT_COOLDOWN_DAYS - sinceChange} days.`);
+  if (tooFast) return verdict("increase", "Losing too fast", `Trend ${perWeek(loss)} vs ${perWeek(target)} target — eat a little more to protect muscle and recovery.`, { type: "calories", delta: loss > target * 2 ? 150 : 100 });
+  if ((plateau || slow) && adherence < 80) return verdict("adherence", "Tighten adherence first", `Adherence is ${adherence}%. Hitting the current targets is the lever before cutting further.`);
+  if (plateau) return avgSteps !== null && avgSteps >= stepTarget * 0.95 && stepTarget < 12000
+    ? verdict("steps", "Plateau — raise activity", `Trend flat (${perWeek(loss)}) at ${adherence}% adherence, and steps are on target. Add 2000 steps a day before cutting food.`, { type: "steps", stepTarget: stepTarget + 2000 })
+    : verdict("decrease", "Plateau — small cut", `Trend flat (${perWeek(loss)}) at ${adherence}% adherence. A small calorie cut restarts the loss.`, { type: "calories", delta: -100 });
+  if (slow) return verdict("decrease", "Loss slower than target", `Trend ${perWeek(loss)} vs ${perWeek(target)} target at ${adherence}% adherence.`, { type: "calories", delta: -Math.min(150, Math.max(50, roundTo50((target - loss) * KCAL_PER_LB / 7))) });
+  return verdict("maintain", "On pace — no change", `Trend ${perWeek(loss)} vs ${perWeek(target)} target. Keep everything as it is.`);
+};
+
+// The targets (and, for step changes, profile) a verdict's change produces.
+const applyCoachingChange = (change, targets, profile) => {
+  const stamp = { adjustedAt: today() };
+  if (change.type === "calories") return { targets: { ...targets, ...deriveMacros(Math.max(1200, targets.calories + change.delta), targets.protein), ...stamp }, profile };
+  if (change.type === "steps") return { targets: { ...targets, ...stamp }, profile: { ...profile, stepTarget: change.stepTarget } };
+  if (change.type === "dietBreak") return { targets: startPhase(targets, { type: "dietBreak", calories: change.calories, end: addDays(today(), change.days - 1), resumeCalories: targets.calories, resumeRate: targets.weeklyLossTarget }), profile };
+  if (change.type === "phase") return { targets: startPhase(targets, { type: change.phase, calories: change.calories }), profile };
+  return { targets: startPhase(targets, { type: "cut", calories: change.calories, rate: change.rate }), profile };
+};
+
+// ==================== NUTRITION CSV IMPORT ====================
+const NUTRITION_FIELDS = [
+  { k: "calories", label: "Calories", match: /^(calories|kcal|energy)/i },
+  { k: "protein", label: "Protein (g)", match: /^protein|^p$/i },
+  { k: "carbs", label: "Carbs (g)", match: /^carb|^c$/i },
+  { k: "fat", label: "Fat (g)", match: /^(total )?fat|^f$/i },
+  { k: "fiber", label: "Fiber (g)", match: /^fib(er|re)/i },
+];
+
+const parseCSV = (text) => {
+  const rows = []; let row = [], cell = "", quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; } else if (ch === '"') quoted = false; else cell += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ",") { row.push(cell); cell = ""; }
+    else if (ch === "\n" || ch === "\r") { if (ch === "\r" && text[i + 1] === "\n") i++; row.push(cell); rows.push(row); row = []; cell = ""; }
+    else cell += ch;
+  }
+  if (cell || row.length) { row.push(cell); rows.push(row); }
+  return rows.filter(r => r.some(c => c.trim()));
+};
+
+// MFP's export has one row per meal with a "Meal" column; anything else is treated as a generic CSV.
+const guessCsvMapping = (header) => {
+  const find = (re) => header.findIndex(h => re.test(h.trim()));
+  const mapping = { date: find(/^date|^day/i), dateFormat: "ymd" };
+  NUTRITION_FIELDS.forEach(f => { mapping[f.k] = find(f.match); });
+  return { mapping, isMFP: find(/^meal$/i) >= 0 };
+};
+
+const parseCsvDate = (s, format) => {
+  const parts = String(s || "").trim().split(/[-/.]/).map(p => parseInt(p));
+  if (parts.length !== 3 || parts.some(isNaN)) return null;
+  const [y, m, d] = format === "mdy" ? [parts[2], parts[0], parts[1]] : format === "dmy" ? [parts[2], parts[1], parts[0]] : parts;
+  const date = new Date(Date.UTC(y < 100 ? 2000 + y : y, m - 1, d));
+  return date.getUTCMonth() === m - 1 && date.getUTCDate() === d ? date.toISOString().split("T")[0] : null;
+};
+
+const aggregateNutritionCsv = (rows, mapping) => {
+  const days = new Map(), skipped = [];
+  rows.forEach((r, i) => {
+    const date = parseCsvDate(r[mapping.date], mapping.dateFormat);
+    if (!date) { skipped.push({ row: i + 2, date: r[mapping.date] || "—", status: "skipped", detail: "unreadable date" }); return; }
+    if (date > today()) { skipped.push({ row: i + 2, date, status: "skipped", detail: "future date" }); return; }
+    const totals = days.get(date) || { calories: 0, protein: 0, carbs: 0, fat: 0, fiber: 0 };
+    NUTRITION_FIELDS.forEach(f => { if (mapping[f.k] >= 0) totals[f.k] += parseFloat(String(r[mapping[f.k]]).replace(/,/g, "")) || 0; });
+    days.set(date, totals);
+  });
+  days.forEach((t, date) => {
+    NUTRITION_FIELDS.forEach(f => { t[f.k] = Math.round(t[f.k]); });
+    if (!t.calories) { days.delete(date); skipped.push({ row: null, date, status: "skipped", detail: "no calories logged" }); }
+  });
+  return { days, skipped };
+};
+
+// Only nutrition fields are written; weight, sleep, stress, energy and notes on existing check-ins are left alone.
+const upsertNutrition = (checkins, days) => {
+  const byDate = new Map(checkins.map(c => [c.date, c]));
+  const report = [];
+  days.forEach((totals, date) => {
+    const ex = byDate.get(date);
+    if (!ex) { byDate.set(date, { date, ...totals, source: "csv" }); report.push({ date, status: "created", detail: `${totals.calories} kcal` }); return; }
+    const changed = NUTRITION_FIELDS.filter(f => (parseInt(ex[f.k]) || 0) !== totals[f.k]);
+    if (changed.length === 0) { report.push({ date, status: "skipped", detail: "already up to date" }); return; }
+    byDate.set(date, { ...ex, ...totals });
+    report.push({ date, status: "updated", detail: changed.map(f => `${f.k} ${parseInt(ex[f.k]) || 0}→${totals[f.k]}`).join(", ") });
+  });
+  return { checkins: [...byDate.values()].sort((a, b) => new Date(a.date) - new Date(b.date)), report: report.sort((a, b) => a.date.localeCompare(b.date)) };
+};
+
+// ==================== LOCAL COACHING (offline daily feedback) ====================
+// Same shape as the AI daily analysis, built only from the adherence breakdown, recovery, macro deltas and trend.
+const getLocalCoaching = (checkin, currentTargets, profile, recentCheckins, weights) => {
+  const targets = targetsForDay(currentTargets, profile, checkin.date, checkin.workoutCompleted);
+  const units = getUnits(profile);
+  const adherence = calcAdherence(checkin, targets, profile);
+  const recovery = calcRecovery(checkin);
+  const last7 = checkinsInWindow(recentCheckins, 7, checkin.date);
+  const avgAdherence = last7.length > 0 ? Math.round(last7.reduce((s, c) => s + calcAdherence(c, targets, profile).total, 0) / last7.length) : adherence.total;
+  const rate = calcTrendRate(weights.filter(w => w.date <= checkin.date));
+  const stepTarget = profile.stepTarget || 8000;
+  const cal = parseInt(checkin.calories) || 0, protein = parseInt(checkin.protein) || 0;
+  const calDiff = cal - targets.calories, proteinGap = targets.protein - protein;
+  const workouts = last7.filter(c => c.workoutCompleted).length;
+  const overStreak = [...last7].reverse().findIndex(c => !(c.calories > targets.calories * 1.05));
+
+  const calNote = !cal ? "No calories logged — log intake so adherence and the TDEE estimate stay accurate."
+    : Math.abs(calDiff) <= targets.calories * 0.05 ? `Calories on target (${cal} kcal).`
+    : calDiff > 0 ? `${calDiff} kcal over target.`
+    : calDiff < -targets.calories * 0.15 ? `${-calDiff} kcal under target — deficits this deep cost muscle and adherence.`
+    : `${-calDiff} kcal under target.`;
+  const proteinNote = !protein ? "" : proteinGap > targets.protein * 0.1 ? ` Protein short by ${proteinGap}g.` : ` Protein hit (${protein}/${targets.protein}g).`;
+
+  const recoveryNote = checkin.sleepHours && checkin.sleepHours < 6.5 ? `Only ${checkin.sleepHours}h sleep — expect more hunger and weaker sessions; keep training volume, skip extra conditioning.`
+    : checkin.stress >= 7 ? `Stress at ${checkin.stress}/10 — keep food simple and pre-planned, and prioritise a wind-down tonight.`
+    : checkin.energy <= 3 ? `Energy ${checkin.energy}/10 — check carbs around training and sleep timing.`
+    : `Recovery ${recovery.status.toLowerCase()} (${recovery.score}/100).`;
+
+  const adjustment = (overStreak === -1 && last7.length >= 3) || overStreak >= 3 ? "Over target three days running — pre-log tomorrow's meals before eating them."
+    : avgAdherence < 70 ? `7-day adherence is ${avgAdherence}% — tighten consistency before any target changes.`
+    : rate && rate.weeklyLoss > Math.max(targets.weeklyLossTarget * 1.5, rate.trend * 0.01) ? "Trend is dropping faster than planned — don't eat under target; the weekly review will check it."
+    : "None needed";
+
+  const weakest = Object.entries(adherence.breakdown).sort((a, b) => a[1] - b[1])[0];
+  const tomorrowPriority = recovery.score < 40 ? "Recovery first: 7.5h+ in bed tonight."
+    : !weakest || weakest[1] >= 100 ? "Repeat today."
+    : { calories: `Land within 5% of ${targets.calories} kcal.`, protein: `Hit ${targets.protein}g protein — get 40g+ in the first meal.`, steps: `Get ${stepTarget.toLocaleString()} steps.`,
+        workout: workouts < profile.trainingDays ? `Train — ${workouts}/${profile.trainingDays} sessions so far this week.` : "Rest day done right: steps and protein." }[weakest[0]];
+
+  const concern = cal && cal < targets.calories * 0.6 ? "Intake well below target — very low days tend to rebound. Eat closer to plan."
+    : recovery.score < 40 && last7.filter(c => calcRecovery(c).score < 40).length >= 3 ? "Recovery has been poor for 3+ days — consider a lighter training day."
+    : null;
+
+  return {
+    summary: `Adherence ${adherence.total}% today (${getAdherenceLabel(adherence.total, profile)}), ${avgAdherence}% over 7 days.${rate ? ` Trend ${rate.weeklyLoss >= 0 ? "down" : "up"} ${formatBodyWeight(Math.abs(rate.weeklyLoss), units)}/wk vs ${formatBodyWeight(targets.weeklyLossTarget, units)}/wk target.` : ""}`,
+    nutritionNote: calNote + proteinNote, recoveryNote, adjustment, tomorrowPriority, concern,
+  };
+};
+
+// ==================== AI COACHING (user-configured provider) ====================
 const getApiKey = () => localStorage.getItem(STORAGE_KEYS.apiKey)?.replace(/"/g, '') || '';
 
-const callClaude = async (prompt) => {
-  const apiKey = getApiKey();
-  if (!apiKey) return null;
+// Provider settings live beside the API key in localStorage, outside STORAGE_KEYS so they are never migrated as data.
+const AI_CONFIG_KEY = "coach-ai-config";
+// Each provider turns a chat into a fetch request and pulls the reply text back out of the response body.
+const AI_PROVIDERS = {
+  anthropic: {
+    label: "Anthropic", defaultModel: "claude-sonnet-4-20250514", needsKey: true,
+    request: (cfg, messages, system) => ({
+      url: "https://api.anthropic.com/v1/messages",
+      headers: { "x-api-key": cfg.apiKey, "anthropic-version": "2023-06-01", "anthropic-dangerous-direct-browser-access": "true" },
+      body: { model: cfg.model, max_tokens: cfg.maxTokens, ...(system ? { system } : {}), messages },
+    }),
+    text: (data) => data.content?.map(i => i.text || "").join("\n") || "",
+  },
+  openai: {
+    label: "OpenAI-compatible", defaultModel: "llama3.1", needsKey: false, defaultBaseUrl: "http://localhost:11434/v1",
+    request: (cfg, messages, system) => ({
+      url: `${cfg.baseUrl.replace(/\/+$/, "")}/chat/completions`,
+      headers: cfg.apiKey ? { Authorization: `Bearer ${cfg.apiKey}` } : {},
+      body: { model: cfg.model, max_tokens: cfg.maxTokens, messages: system ? [{ role: "system", content: system }, ...messages] : messages },
+    }),
+    text: (data) => data.choices?.[0]?.message?.content || "",
+  },
+};
+const AI_DEFAULT_MAX_TOKENS = 1000;
+
+// The Anthropic key keeps its original slot; an OpenAI-compatible server's optional key is stored with the config.
+const getAIConfig = () => {
+  const saved = loadStorage(AI_CONFIG_KEY) || {};
+  const provider = AI_PROVIDERS[saved.provider] ? saved.provider : "anthropic";
+  const def = AI_PROVIDERS[provider];
+  return {
+    provider, model: saved.model || def.defaultModel, maxTokens: saved.maxTokens || AI_DEFAULT_MAX_TOKENS,
+    baseUrl: saved.baseUrl || def.defaultBaseUrl || "", apiKey: provider === "anthropic" ? getApiKey() : saved.apiKey || "",
+  };
+};
+const saveAIConfig = ({ provider, model, maxTokens, baseUrl, apiKey }) => {
+  localStorage.setItem(AI_CONFIG_KEY, JSON.stringify({ provider, model, maxTokens, baseUrl, ...(provider === "anthropic" ? {} : { apiKey }) }));
+  if (provider === "anthropic") localStorage.setItem(STORAGE_KEYS.apiKey, JSON.stringify(apiKey));
+};
+const isAIConfigured = (cfg = getAIConfig()) => AI_PROVIDERS[cfg.provider].needsKey ? !!cfg.apiKey : !!cfg.baseUrl;
+
+const AI_TIMEOUT_MS = 45000;
+const AI_MAX_CALORIE_CHANGE = 250;
+
+// Every AI failure surfaces as one of these kinds, so the UI can say what went wrong instead of going quiet.
+class CoachAIError extends Error {
+  constructor(kind, message, detail) { super(message); this.name = "CoachAIError"; this.kind = kind; this.detail = detail; }
+}
+const AI_ERROR_MESSAGES = {
+  noKey: "No AI provider set up — add one in Settings.",
+  auth: "The API key was rejected. Check it in Settings.",
+  rateLimit: "Rate limited by the API. Wait a minute and retry.",
+  overloaded: "The AI service is overloaded or erroring. Retry shortly.",
+  network: "Couldn't reach the AI service — check your connection.",
+  timeout: `No response within ${AI_TIMEOUT_MS / 1000}s.`,
+  parse: "The AI reply wasn't valid JSON, even after a retry.",
+  invalid: "The AI reply was missing or had out-of-range fields, even after a retry.",
+  cancelled: "Cancelled.",
+  request: "The API refused the request.",
+};
+const aiErrorMessage = (e) => e instanceof CoachAIError ? AI_ERROR_MESSAGES[e.kind] || e.message : `Unexpected error: ${e?.message || e}`;
+
+// One chat request to the configured provider. Aborts after AI_TIMEOUT_MS or when `signal` fires; returns the reply text.
+const requestAI = async (messages, { signal, config = getAIConfig(), system } = {}) => {
+  if (!isAIConfigured(config)) throw new CoachAIError("noKey", AI_ERROR_MESSAGES.noKey);
+  if (signal?.aborted) throw new CoachAIError("cancelled", AI_ERROR_MESSAGES.cancelled);
+  const provider = AI_PROVIDERS[config.provider];
+  const { url, headers, body } = provider.request(config, messages, system);
+  const ctrl = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => { timedOut = true; ctrl.abort(); }, AI_TIMEOUT_MS);
+  const onAbort = () => ctrl.abort();
+  signal?.addEventListener("abort", onAbort);
   try {
-    const response = await fetch("https://api.anthropic.com/v1/messages", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "x-api-key": apiKey,
-        "anthropic-version": "2023-06-01",
-        "anthropic-dangerous-direct-browser-access": "true",
-      },
-      body: JSON.stringify({
-        model: "claude-sonnet-4-20250514",
-        max_tokens: 1000,
-        messages: [{ role: "user", content: prompt }],
-      }),
+    const response = await fetch(url, {
+      method: "POST", signal: ctrl.signal,
+      headers: { "Content-Type": "application/json", ...headers },
+      body: JSON.stringify(body),
     });
     if (!response.ok) {
-      const err = await response.text();
-      console.error("API error:", response.status, err);
-      return null;
+      const detail = await response.text().catch(() => "");
+      const kind = response.status === 401 || response.status === 403 ? "auth" : response.status === 429 ? "rateLimit" : response.status >= 500 ? "overloaded" : "request";
+      throw new CoachAIError(kind, `${AI_ERROR_MESSAGES[kind]} (HTTP ${response.status})`, detail);
     }
-    const data = await response.json();
-    const text = data.content?.map(i => i.text || "").join("\n") || "";
-    return JSON.parse(text.replace(/```json|```/g, "").trim());
+    return provider.text(await response.json());
   } catch (err) {
-    console.error("AI call failed:", err);
-    return null;
+    if (err instanceof CoachAIError) throw err;
+    if (err?.name === "AbortError") throw timedOut ? new CoachAIError("timeout", AI_ERROR_MESSAGES.timeout) : new CoachAIError("cancelled", AI_ERROR_MESSAGES.cancelled);
+    throw new CoachAIError("network", AI_ERROR_MESSAGES.network, err?.message);
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", onAbort);
   }
 };
 
-const getAICoachingAnalysis = async (checkin, targets, profile, recentCheckins, weights) => {
+// Round-trips a tiny prompt through `config` (unsaved settings included) and reports what came back.
+const testAIConnection = async (config, { signal } = {}) => {
+  const started = Date.now();
+  const reply = await requestAI([{ role: "user", content: 'Reply with only the JSON {"ok":true}.' }], { signal, config });
+  return { ms: Date.now() - started, reply: reply.trim().slice(0, 80) };
+};
+
+// Field checks for each response shape. APPLY only ever sees a calorieAdjustment that passed these.
+const isText = (v) => typeof v === "string" && v.trim().length > 0;
+const isOptionalText = (v) => v == null || typeof v === "string";
+// Changes the chat coach may propose; none is applied until the athlete confirms it.
+const isChatProposal = (v) => !!v && isText(v.reason) && (
+  v.type === "calories" ? Number.isInteger(v.delta) && v.delta !== 0 && Math.abs(v.delta) <= AI_MAX_CALORIE_CHANGE
+  : v.type === "steps" ? Number.isInteger(v.stepTarget) && v.stepTarget >= 2000 && v.stepTarget <= 25000
+  : v.type === "swapExercise" ? isText(v.from) && isText(v.to)
+  : false);
+const AI_SCHEMAS = {
+  chat: { reply: isText, proposal: (v) => v == null || isChatProposal(v) },
+  daily: {
+    summary: isText, nutritionNote: isText, recoveryNote: isText, adjustment: isText, tomorrowPriority: isText, concern: isOptionalText,
+  },
+  weekly: {
+    weekSummary: isText, complianceRating: (v) => ["EXCELLENT", "GOOD", "FAIR", "POOR"].includes(v),
+    weightAnalysis: isText, trainingNote: isText, nextWeekFocus: isText,
+    calorieAdjustment: (v) => !!v && ["maintain", "decrease", "increase"].includes(v.action) && Number.isInteger(v.amount)
+      && v.amount >= 0 && v.amount <= AI_MAX_CALORIE_CHANGE && (v.action === "maintain") === (v.amount === 0) && typeof v.reason === "string",
+    dietBreakRecommendation: isOptionalText, plateauAction: isOptionalText,
+    flags: (v) => v == null || (Array.isArray(v) && v.every(f => typeof f === "string")),
+  },
+};
+
+// Returns the parsed object and a list of problems (empty when it matches the schema).
+const parseAIReply = (text, schema) => {
+  const body = text.replace(/```json|```/g, "").trim();
+  let value;
+  try { value = JSON.parse(body.slice(body.indexOf("{"), body.lastIndexOf("}") + 1)); } catch { return { kind: "parse", problems: ["the reply is not parseable JSON"] }; }
+  if (!value || typeof value !== "object" || Array.isArray(value)) return { kind: "parse", problems: ["the reply is not a JSON object"] };
+  const bad = Object.keys(schema).filter(k => !schema[k](value[k]));
+  return bad.length ? { kind: "invalid", value, problems: bad.map(k => `"${k}" is missing or invalid`) } : { value, problems: [] };
+};
+
+// Asks for JSON matching `schema`; a reply that doesn't parse or validate gets one repair round-trip.
+// `prompt` is a single user message or a whole conversation.
+const askAI = async (prompt, schemaName, { signal, system } = {}) => {
+  const schema = AI_SCHEMAS[schemaName];
+  const messages = typeof prompt === "string" ? [{ role: "user", content: prompt }] : prompt;
+  const first = await requestAI(messages, { signal, system });
+  let result = parseAIReply(first, schema);
+  if (!result.problems.length) return result.value;
+  const repair = `That reply can't be used: ${result.problems.join("; ")}.${schemaName === "weekly" ? ` calorieAdjustment.amount must be a whole number 0-${AI_MAX_CALORIE_CHANGE}, and 0 exactly when action is "maintain".` : ""} Reply again with ONLY the JSON object in the requested format.`;
+  result = parseAIReply(await requestAI([...messages, { role: "assistant", content: first }, { role: "user", content: repair }], { signal, system }), schema);
+  if (!result.problems.length) return result.value;
+  throw new CoachAIError(result.kind, AI_ERROR_MESSAGES[result.kind], result.problems.join("; "));
+};
+
+const getAICoachingAnalysis = async (checkin, currentTargets, profile, recentCheckins, weights, { signal } = {}) => {
+  const targets = targetsForDay(currentTargets, profile, checkin.date, checkin.workoutCompleted);
   const sorted = [...weights].sort((a, b) => new Date(a.date) - new Date(b.date));
   const recentWeight = sorted.length > 0 ? sorted[sorted.length - 1] : null;
   const weeklyLoss = calcWeeklyLoss(sorted);
   const adherence = calcAdherence(checkin, targets, profile);
   const recovery = calcRecovery(checkin);
-  const last7 = recentCheckins.slice(-7);
+  const last7 = checkinsInWindow(recentCheckins, 7, checkin.date);
   const avgAdherence = last7.length > 0 ? Math.round(last7.reduce((s, c) => s + calcAdherence(c, targets, profile).total, 0) / last7.length) : adherence.total;
+  const units = getUnits(profile);
+  const trend = calcTrendRate(sorted);
 
-  return callClaude(`You are an elite fat-loss coach. Analyze this daily check-in and give a BRIEF coaching response.
+  return askAI(`You are an elite fat-loss coach. Analyze this daily check-in and give a BRIEF coaching response.
 
-ATHLETE: ${profile.name}, Age ${profile.age}, Goal: ${profile.goalWeightLbs}lbs
-Current weight: ${recentWeight?.weight || profile.weightLbs}lbs | Weekly loss: ${weeklyLoss !== null ? weeklyLoss + " lbs/wk" : "insufficient data"}
-Training target: ${profile.trainingDays}/week
+ATHLETE: ${profile.name}, Age ${profile.age}, Goal: ${formatBodyWeight(profile.goalWeightLbs, units)}
+Current weight: ${formatBodyWeight(recentWeight?.weight || profile.weightLbs, units)} | Trend: ${trend ? formatBodyWeight(trend.trend, units) : "—"} | Weekly loss (trend): ${weeklyLoss !== null ? formatBodyWeight(weeklyLoss, units) + "/wk" : "insufficient data"}
+Training target: ${profile.trainingDays}/week | Phase: ${describePhase(phaseOn(currentTargets, checkin.date), units, checkin.date) || "cut"}
 
-TARGETS: ${targets.calories} kcal | ${targets.protein}g P | ${targets.carbs}g C | ${targets.fat}g F
+TARGETS${targets.dayType ? ` (${targets.dayType} day, calorie cycling)` : ""}: ${targets.calories} kcal | ${targets.protein}g P | ${targets.carbs}g C | ${targets.fat}g F
 
 TODAY: Calories: ${checkin.calories || "—"} | Protein: ${checkin.protein}g | Carbs: ${checkin.carbs}g | Fat: ${checkin.fat}g
 Workout: ${checkin.workoutCompleted ? "Yes" : "No/Rest"} | Steps: ${checkin.steps || "—"}
@@ -178,41 +1378,140 @@ Notes: ${checkin.notes || "none"}
 Adherence: Today ${adherence.total}% | 7-day avg: ${avgAdherence}% | Recovery: ${recovery.status} (${recovery.score}/100)
 
 Respond ONLY in this JSON:
-{"summary":"1-2 sentences","nutritionNote":"brief","recoveryNote":"brief","adjustment":"correction or None needed","tomorrowPriority":"single clear cue","concern":null}`);
+{"summary":"1-2 sentences","nutritionNote":"brief","recoveryNote":"brief","adjustment":"correction or None needed","tomorrowPriority":"single clear cue","concern":null}`, "daily", { signal });
 };
 
-const getWeeklyReview = async (checkins, weights, workouts, targets, profile, program) => {
-  const last7 = checkins.slice(-7);
+const getWeeklyReview = async (checkins, weights, workouts, targets, profile, program, measurements, verdict, { signal } = {}) => {
+  const last7 = checkinsInWindow(checkins);
   const sorted = [...weights].sort((a, b) => new Date(a.date) - new Date(b.date));
   const weeklyLoss = calcWeeklyLoss(sorted);
   const avgCals = last7.length > 0 ? Math.round(last7.reduce((s, c) => s + (c.calories || 0), 0) / last7.length) : 0;
   const avgProtein = last7.length > 0 ? Math.round(last7.reduce((s, c) => s + (c.protein || 0), 0) / last7.length) : 0;
   const workoutCount = last7.filter(c => c.workoutCompleted).length;
   const avgAdherence = last7.length > 0 ? Math.round(last7.reduce((s, c) => s + calcAdherence(c, targets, profile).total, 0) / last7.length) : 0;
-  const daysInDeficit = profile.createdAt ? daysBetween(profile.createdAt, today()) : 0;
-
-  let plateauDetected = false;
-  const recent14 = sorted.slice(-14);
-  if (recent14.length >= 12) {
-    const a1 = recent14.slice(0, 7).reduce((s, w) => s + w.weight, 0) / recent14.slice(0, 7).length;
-    const a2 = recent14.slice(-7).reduce((s, w) => s + w.weight, 0) / recent14.slice(-7).length;
-    if (Math.abs(a1 - a2) / a1 * 100 < 0.25 && avgAdherence >= 85) plateauDetected = true;
-  }
+  const { daysInDeficit, plateau } = verdict.facts;
+  const units = getUnits(profile);
+  const proj = projectGoal(sorted, profile.goalWeightLbs);
+  const tape = measurementChanges(measurements).map(m => m.key === "bodyFat"
+    ? `body fat ${m.latest}%${m.change !== null ? ` (${m.change > 0 ? "+" : ""}${m.change})` : ""}`
+    : `${m.key} ${toLengthUnit(m.latest, units)}${lengthUnit(units)}${m.change !== null ? ` (${m.change > 0 ? "+" : ""}${toLengthUnit(m.change, units)})` : ""}`);
+  const comp = calcBodyComposition(weights, measurements), lastComp = comp[comp.length - 1];
 
-  return callClaude(`Elite fat-loss coach WEEKLY REVIEW.
+  return askAI(`Elite fat-loss coach WEEKLY REVIEW.
 
-PROFILE: ${profile.name}, ${profile.age}yo, ${profile.sex}, ${profile.weightLbs}→${profile.goalWeightLbs}lbs goal
-Current: ${sorted.length > 0 ? sorted[sorted.length - 1].weight : profile.weightLbs}lbs | Days in deficit: ${daysInDeficit} | Program: ${program?.type || "Full Body"}
+PROFILE: ${profile.name}, ${profile.age}yo, ${profile.sex}, ${toBodyUnit(profile.weightLbs, units)}→${formatBodyWeight(profile.goalWeightLbs, units)} goal
+Current: ${formatBodyWeight(sorted.length > 0 ? sorted[sorted.length - 1].weight : profile.weightLbs, units)} | Trend: ${proj ? formatBodyWeight(proj.trend, units) : "—"} | Projected goal date: ${proj?.goalDate || (proj?.reached ? "reached" : "—")} | Program: ${program?.name || program?.type || "Full Body"}
 
-THIS WEEK: Avg Cal: ${avgCals} (target ${targets.calories}) | Avg Protein: ${avgProtein}g (target ${targets.protein}g)
+THIS WEEK: Avg Cal: ${avgCals} (target ${targets.calories}${targets.cycling ? ` weekly average; cycled: ${describeCycling(targets, profile)}` : ""}) | Avg Protein: ${avgProtein}g (target ${targets.protein}g)
 Workouts: ${workoutCount}/${profile.trainingDays} | Adherence: ${avgAdherence}%
-Weekly loss: ${weeklyLoss !== null ? weeklyLoss + " lbs" : "—"} (target: ${targets.weeklyLossTarget} lbs)
-Plateau: ${plateauDetected ? "YES" : "No"} | Diet break eligible: ${daysInDeficit >= 56 ? "YES" : "No (" + daysInDeficit + " days)"}
+Weekly loss: ${weeklyLoss !== null ? formatBodyWeight(weeklyLoss, units) : "—"} (target: ${formatBodyWeight(targets.weeklyLossTarget, units)})
+Measurements (change over 4 weeks): ${tape.length ? tape.join(", ") : "none logged"}${lastComp ? ` | Lean mass ${formatBodyWeight(lastComp.lean, units)}, fat mass ${formatBodyWeight(lastComp.fat, units)} (${lastComp.date})` : ""}
+Phase: ${describePhase(phaseOn(targets), units) || "cut"} | Plateau: ${plateau ? "YES" : "No"} | Days in deficit (since last maintenance week): ${daysInDeficit}
 
-RULES: Loss slow + adherence≥80% → decrease 50-150kcal. Loss fast → increase slightly. Plateau → small cal reduction OR step increase OR conditioning. Never stack. Diet break at 8-12wks if declining.
+RULES ENGINE VERDICT (authoritative — explain it, do not contradict it): ${verdict.title}. ${verdict.reason}${verdict.change?.type === "calories" ? ` Change: ${verdict.change.delta > 0 ? "+" : ""}${verdict.change.delta} kcal.` : ""}
+Set calorieAdjustment to match it ("maintain" with amount 0 unless the verdict changes calories).
 
 Respond ONLY in this JSON:
-{"weekSummary":"2-3 sentences","complianceRating":"EXCELLENT/GOOD/FAIR/POOR","weightAnalysis":"brief","calorieAdjustment":{"action":"maintain/decrease/increase","amount":0,"reason":"why"},"trainingNote":"brief","dietBreakRecommendation":null,"plateauAction":null,"nextWeekFocus":"1-2 priorities","flags":[]}`);
+{"weekSummary":"2-3 sentences","complianceRating":"EXCELLENT/GOOD/FAIR/POOR","weightAnalysis":"brief","calorieAdjustment":{"action":"maintain/decrease/increase","amount":0,"reason":"why"},"trainingNote":"brief","dietBreakRecommendation":null,"plateauAction":null,"nextWeekFocus":"1-2 priorities","flags":[]}`, "weekly", { signal });
+};
+
+// ==================== COACH HISTORY ====================
+// What the coach was looking at when it answered, so its advice can later be held against what the weight did.
+const coachSnapshot = (date, checkins, weights, currentTargets, profile) => {
+  const targets = targetsOn(currentTargets, date);
+  const rate = calcTrendRate(weights.filter(w => w.date <= date));
+  const week = checkinsInWindow(checkins, 7, date);
+  return {
+    targets: { calories: targets.calories, protein: targets.protein, carbs: targets.carbs, fat: targets.fat, weeklyLossTarget: targets.weeklyLossTarget },
+    adherence: week.length ? Math.round(week.reduce((s, c) => s + calcAdherence(c, targets, profile).total, 0) / week.length) : null,
+    trend: rate?.trend ?? null, weeklyLoss: rate ? round2(rate.weeklyLoss) : null,
+  };
+};
+
+const buildAnalysis = (kind, date, response, snapshot, extra = {}) => {
+  const { provider, model } = getAIConfig();
+  return { id: uid("ai"), kind, date, createdAt: new Date().toISOString(), provider, model, snapshot, response, ...extra };
+};
+
+const changeText = (c) => c.type === "calories" ? `${c.delta > 0 ? "+" : "−"}${Math.abs(c.delta)} kcal`
+  : c.type === "steps" ? `steps → ${c.stepTarget.toLocaleString()}` : c.type === "dietBreak" ? `diet break ${c.days}d`
+  : c.type === "phase" ? `${PHASE_TYPES[c.phase].label.toLowerCase()} at ${c.calories} kcal` : "break ended";
+
+// Trend change 7, 14 and 28 days after an analysis (lbs, negative = lost), for each horizon the weigh-ins reach.
+const OUTCOME_HORIZONS = [7, 14, 28];
+const analysisOutcome = (analysis, weights) => {
+  const series = calcTrend(weights);
+  const before = series.filter(e => e.date <= analysis.date).pop();
+  const start = analysis.snapshot?.trend ?? before?.trend;
+  if (start == null || !series.length) return [];
+  return OUTCOME_HORIZONS.map(days => {
+    const end = addDays(analysis.date, days);
+    const point = series.filter(e => e.date <= end).pop();
+    if (!point || daysBetween(point.date, end) > 3) return null;
+    const change = round1(point.trend - start);
+    return { days, change, weeklyLoss: round1(-change / (daysBetween(analysis.date, point.date) / 7)) };
+  }).filter(Boolean);
+};
+
+// ==================== COACH CHAT ====================
+const CHAT_HISTORY_MESSAGES = 12;
+
+// Rebuilt on every turn, so the coach always answers from the current numbers.
+const buildCoachContext = ({ profile, targets, checkins, weights, measurements, program, analyses }) => {
+  const units = getUnits(profile);
+  const rate = calcTrendRate(weights);
+  const verdict = evaluateCoaching(checkins, weights, targets, profile, measurements);
+  const lastReview = analyses.filter(a => a.kind === "weekly").pop();
+  const changes = analyses.filter(a => a.applied).slice(-3);
+  const phase = phaseOn(targets);
+  return [
+    `ATHLETE: ${profile.name}, ${profile.age}yo ${profile.sex}, goal ${formatBodyWeight(profile.goalWeightLbs, units)}, trains ${profile.trainingDays}x/wk, step target ${profile.stepTarget}`,
+    targets ? `TARGETS: ${targets.calories} kcal, ${targets.protein}g P / ${targets.carbs}g C / ${targets.fat}g F, aiming to lose ${formatBodyWeight(targets.weeklyLossTarget, units)}/wk${targets.cycling ? ` (weekly average; cycled: ${describeCycling(targets, profile)})` : ""}` : "TARGETS: none set",
+    phase && `PHASE: ${describePhase(phase, units)} (since ${phase.start}${phase.end ? `, planned to end ${phase.end}` : ""})`,
+    `TREND: ${rate ? `${formatBodyWeight(rate.trend, units)}, losing ${formatBodyWeight(rate.weeklyLoss, units)}/wk` : "not enough weigh-ins yet"}`,
+    "LAST 7 DAYS:",
+    ...checkinsInWindow(checkins).map(c => `${c.date}: ${c.calories || "?"} kcal, ${c.protein || "?"}g P, ${c.steps || "?"} steps, ${c.workoutCompleted ? "trained" : "rest"}, sleep ${c.sleepHours || "?"}h, adherence ${calcAdherence(c, targets, profile).total}%`),
+    verdict && `RULES ENGINE VERDICT: ${verdict.title}. ${verdict.reason}`,
+    lastReview && `LAST WEEKLY REVIEW (${lastReview.date}): ${lastReview.response.weekSummary} Calories: ${lastReview.response.calorieAdjustment.action} ${lastReview.response.calorieAdjustment.amount} — ${lastReview.response.calorieAdjustment.reason}`,
+    changes.length > 0 && `APPLIED CHANGES: ${changes.map(a => `${a.applied.at} ${changeText(a.applied.change)}`).join("; ")}`,
+    program && `PROGRAM "${program.name}": ${program.sessions.filter((sn, i, all) => all.findIndex(x => x.name === sn.name) === i).map(sn => `${sn.name}: ${sn.exercises.map(ex => `${ex.name} ${ex.sets}x${ex.repsMin}-${ex.repsMax}`).join(", ")}`).join(" | ")}`,
+  ].filter(Boolean).join("\n");
+};
+
+const coachSystemPrompt = (context) => `You are an elite fat-loss and strength coach chatting with your athlete. Answer briefly and specifically from the data below; never invent numbers that are not in it.
+
+${context}
+
+When the athlete asks for a change, or one clearly helps, you may propose ONE. They confirm it with a tap. Formats:
+{"type":"calories","delta":-100,"reason":"why"} (whole number, at most ${AI_MAX_CALORIE_CHANGE} either way)
+{"type":"steps","stepTarget":9000,"reason":"why"}
+{"type":"swapExercise","from":"exact name from PROGRAM","to":"replacement exercise","reason":"why"}
+
+Respond ONLY in this JSON: {"reply":"your message","proposal":null}`;
+
+// Sends the tail of a thread. Consecutive same-role turns (a message resent after a failed reply) are merged.
+const askCoach = (messages, context, { signal } = {}) => {
+  const turns = messages.slice(-CHAT_HISTORY_MESSAGES)
+    .map(m => ({ role: m.role, content: m.role === "assistant" ? JSON.stringify({ reply: m.content, proposal: m.proposal ?? null }) : m.content }))
+    .reduce((list, m) => list.length && list[list.length - 1].role === m.role ? [...list.slice(0, -1), { ...m, content: `${list[list.length - 1].content}\n\n${m.content}` }] : [...list, m], []);
+  while (turns[0]?.role === "assistant") turns.shift();
+  return askAI(turns, "chat", { signal, system: coachSystemPrompt(buildCoachContext(context)) });
+};
+
+// Name → exercise id across every program and logged workout, so a renamed-in lift keeps its history.
+const knownExerciseIds = (programs, workouts) => {
+  const m = new Map();
+  programs.forEach(p => p.sessions.forEach(sn => sn.exercises.forEach(ex => { if (!m.has(ex.name)) m.set(ex.name, ex.id); })));
+  workouts.forEach(w => w.exercises.forEach(e => { if (e.exerciseId && !m.has(e.name)) m.set(e.name, e.exerciseId); }));
+  return m;
+};
+
+// Swaps every slot of `from` for `to`, which starts without a load or per-exercise settings. Null when `from` isn't in the program.
+const swapProgramExercise = (program, from, to, known) => {
+  const match = (name) => name.trim().toLowerCase() === from.trim().toLowerCase();
+  if (!program?.sessions.some(sn => sn.exercises.some(ex => match(ex.name)))) return null;
+  return withProgramIds({ ...program, sessions: program.sessions.map(sn => ({ ...sn, exercises: sn.exercises.map(ex => match(ex.name)
+    ? { ...ex, name: to.trim(), id: undefined, weight: 0, muscle: undefined, equipment: undefined, increment: undefined } : ex) })) }, known);
 };
 
 // ==================== UI COMPONENTS ====================
@@ -266,6 +1565,28 @@ const SectionHeader = ({ children, right }) => (
   </div>
 );
 
+const AI_ERROR_TITLES = { noKey: "NO AI PROVIDER", auth: "API KEY REJECTED", rateLimit: "RATE LIMITED", overloaded: "AI SERVICE ERROR", network: "OFFLINE", timeout: "TIMED OUT", parse: "UNREADABLE AI REPLY", invalid: "INCOMPLETE AI REPLY", request: "REQUEST REFUSED" };
+const AIErrorCard = ({ error, onRetry }) => (
+  <Card style={{ marginBottom: 16, borderColor: COLORS.danger + "44" }}>
+    <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 12 }}>
+      <div>
+        <div style={{ fontFamily: FONTS, fontSize: 11, color: COLORS.danger, marginBottom: 4 }}>{AI_ERROR_TITLES[error.kind] || "AI ERROR"}</div>
+        <div style={{ fontFamily: FONT_BODY, fontSize: 13, color: COLORS.textDim }}>{aiErrorMessage(error)}</div>
+      </div>
+      {onRetry && !["noKey", "auth"].includes(error.kind) && <Btn variant="secondary" onClick={onRetry} style={{ fontSize: 11, padding: "8px 12px" }}>RETRY</Btn>}
+    </div>
+  </Card>
+);
+
+const AILoadingCard = ({ label, onCancel }) => (
+  <Card style={{ marginBottom: 16 }} glow={COLORS.accent}>
+    <div style={{ display: "flex", justifyContent: "center", alignItems: "center", gap: 16, padding: 12 }}>
+      <span style={{ fontFamily: FONTS, fontSize: 12, color: COLORS.accent }}>{label}</span>
+      <Btn variant="ghost" onClick={onCancel} style={{ fontSize: 10 }}>CANCEL</Btn>
+    </div>
+  </Card>
+);
+
 const ScoreRing = ({ score, size = 80, strokeWidth = 6, color }) => {
   const r = (size - strokeWidth) / 2;
   const c = 2 * Math.PI * r;
@@ -288,86 +1609,403 @@ const DeltaTag = ({ value, unit = "", inverse = false }) => {
   return <span style={{ fontFamily: FONTS, fontSize: 11, color, fontWeight: 600 }}>{value > 0 ? "+" : ""}{value}{unit}</span>;
 };
 
+const GoalForecast = ({ proj, units }) => {
+  if (!proj) return null;
+  const text = proj.reached ? "Goal weight reached"
+    : !proj.onTrack ? "Trend is moving away from goal — no forecast"
+    : proj.goalDate ? `Goal ~${formatDateFull(proj.goalDate)}${proj.earliest && proj.latest ? ` (${formatDate(proj.earliest)} – ${formatDate(proj.latest)})` : proj.earliest ? ` (from ${formatDate(proj.earliest)})` : ""}`
+    : "Goal more than a year out at this rate";
+  return <div style={{ fontFamily: FONTS, fontSize: 10, color: proj.onTrack || proj.reached ? COLORS.accent : COLORS.warning, marginTop: 8 }}>{text} · trend {formatBodyWeight(proj.trend, units)}, {toBodyUnit(proj.weeklyLoss, units)} {units.body}/wk</div>;
+};
+
 // ==================== TRAINING PROGRAM GENERATOR ====================
-const generateProgram = (daysPerWeek, experience, equipment) => {
-  const hasBarbell = equipment?.includes("barbell") || equipment === "full";
-  const hasMachines = equipment?.includes("machine") || equipment === "full";
-  const fullBodyA = { name: "Full Body A", exercises: [
-    { name: hasBarbell ? "Barbell Squat" : "Goblet Squat", sets: 3, repsMin: 6, repsMax: 10, type: "primary", weight: 0 },
-    { name: hasBarbell ? "Bench Press" : "DB Bench Press", sets: 3, repsMin: 8, repsMax: 12, type: "compound", weight: 0 },
-    { name: hasBarbell ? "Barbell Row" : "DB Row", sets: 3, repsMin: 8, repsMax: 12, type: "compound", weight: 0 },
-    { name: "Lateral Raise", sets: 3, repsMin: 12, repsMax: 15, type: "accessory", weight: 0 },
-    { name: "Plank", sets: 3, repsMin: 30, repsMax: 60, type: "accessory", weight: 0 },
-  ]};
-  const fullBodyB = { name: "Full Body B", exercises: [
-    { name: hasBarbell ? "Romanian Deadlift" : "DB RDL", sets: 3, repsMin: 8, repsMax: 12, type: "primary", weight: 0 },
-    { name: hasBarbell ? "Overhead Press" : "DB Shoulder Press", sets: 3, repsMin: 8, repsMax: 12, type: "compound", weight: 0 },
-    { name: hasMachines ? "Lat Pulldown" : "DB Pullover", sets: 3, repsMin: 8, repsMax: 12, type: "compound", weight: 0 },
-    { name: "Leg Curl", sets: 3, repsMin: 10, repsMax: 15, type: "accessory", weight: 0 },
-    { name: "Face Pull / Band Pull Apart", sets: 3, repsMin: 15, repsMax: 20, type: "accessory", weight: 0 },
-  ]};
-  const upperA = { name: "Upper A — Push", exercises: [
-    { name: hasBarbell ? "Bench Press" : "DB Bench Press", sets: 4, repsMin: 6, repsMax: 10, type: "primary", weight: 0 },
-    { name: hasBarbell ? "Barbell Row" : "DB Row", sets: 3, repsMin: 8, repsMax: 12, type: "compound", weight: 0 },
-    { name: hasBarbell ? "Overhead Press" : "DB Shoulder Press", sets: 3, repsMin: 8, repsMax: 12, type: "compound", weight: 0 },
-    { name: "Tricep Pushdown", sets: 3, repsMin: 10, repsMax: 15, type: "accessory", weight: 0 },
-    { name: "Lateral Raise", sets: 3, repsMin: 12, repsMax: 15, type: "accessory", weight: 0 },
-  ]};
-  const upperB = { name: "Upper B — Pull", exercises: [
-    { name: hasMachines ? "Lat Pulldown" : "Pull-Up / Assisted", sets: 4, repsMin: 6, repsMax: 10, type: "primary", weight: 0 },
-    { name: "DB Bench Press", sets: 3, repsMin: 8, repsMax: 12, type: "compound", weight: 0 },
-    { name: "Cable / DB Row", sets: 3, repsMin: 8, repsMax: 12, type: "compound", weight: 0 },
-    { name: "Bicep Curl", sets: 3, repsMin: 10, repsMax: 15, type: "accessory", weight: 0 },
-    { name: "Face Pull", sets: 3, repsMin: 15, repsMax: 20, type: "accessory", weight: 0 },
-  ]};
-  const lowerA = { name: "Lower A — Quad", exercises: [
-    { name: hasBarbell ? "Barbell Squat" : "Goblet Squat", sets: 4, repsMin: 6, repsMax: 10, type: "primary", weight: 0 },
-    { name: hasMachines ? "Leg Press" : "Bulgarian Split Squat", sets: 3, repsMin: 8, repsMax: 12, type: "compound", weight: 0 },
-    { name: "Leg Curl", sets: 3, repsMin: 10, repsMax: 15, type: "accessory", weight: 0 },
-    { name: "Calf Raise", sets: 3, repsMin: 12, repsMax: 20, type: "accessory", weight: 0 },
-    { name: "Ab Rollout / Plank", sets: 3, repsMin: 10, repsMax: 15, type: "accessory", weight: 0 },
-  ]};
-  const lowerB = { name: "Lower B — Hinge", exercises: [
-    { name: hasBarbell ? "Romanian Deadlift" : "DB RDL", sets: 4, repsMin: 6, repsMax: 10, type: "primary", weight: 0 },
-    { name: "Bulgarian Split Squat", sets: 3, repsMin: 8, repsMax: 12, type: "compound", weight: 0 },
-    { name: hasMachines ? "Leg Extension" : "Lunge", sets: 3, repsMin: 10, repsMax: 15, type: "accessory", weight: 0 },
-    { name: "Hip Thrust", sets: 3, repsMin: 8, repsMax: 12, type: "accessory", weight: 0 },
-    { name: "Hanging Leg Raise", sets: 3, repsMin: 10, repsMax: 15, type: "accessory", weight: 0 },
-  ]};
-  if (daysPerWeek <= 3) return { type: "Full Body", sessions: [fullBodyA, fullBodyB, fullBodyA] };
-  if (daysPerWeek === 4) return { type: "Upper / Lower", sessions: [upperA, lowerA, upperB, lowerB] };
-  return { type: "Upper / Lower (5-day)", sessions: [upperA, lowerA, upperB, lowerB, fullBodyA] };
+// Movement slots. Variants are [equipment that allows it (any of), name], best first; "" = bodyweight or bands.
+// b = barbell + rack (and a pull-up bar), m = machines and cables, d = dumbbells.
+const EQUIPMENT_ACCESS = { full: "bmd", barbell: "b", dumbbell: "d", minimal: "" };
+const MOVEMENTS = {
+  squat: { muscle: "quads", variants: [["b", "Barbell Squat"], ["d", "Goblet Squat"], ["", "Bodyweight Squat"]] },
+  legPress: { muscle: "quads", variants: [["m", "Leg Press"], ["d", "Bulgarian Split Squat"], ["b", "Barbell Split Squat"], ["", "Bodyweight Split Squat"]] },
+  quadIso: { muscle: "quads", variants: [["m", "Leg Extension"], ["d", "DB Reverse Lunge"], ["", "Bodyweight Lunge"]] },
+  hinge: { muscle: "hamstrings", variants: [["b", "Romanian Deadlift"], ["d", "DB RDL"], ["", "Band Good Morning"]] },
+  legCurl: { muscle: "hamstrings", variants: [["m", "Leg Curl"], ["d", "DB Leg Curl"], ["", "Nordic Curl"]] },
+  glute: { muscle: "glutes", variants: [["b", "Hip Thrust"], ["d", "DB Hip Thrust"], ["", "Glute Bridge"]] },
+  calf: { muscle: "calves", reps: [12, 20], variants: [["m", "Calf Raise"], ["d", "DB Calf Raise"], ["", "Bodyweight Calf Raise"]] },
+  bench: { muscle: "chest", variants: [["b", "Bench Press"], ["d", "DB Bench Press"], ["", "Push-Up"]] },
+  incline: { muscle: "chest", variants: [["b", "Incline Bench Press"], ["d", "Incline DB Press"], ["", "Decline Push-Up"]] },
+  fly: { muscle: "chest", variants: [["m", "Cable Fly"], ["d", "DB Fly"], ["", "Band Chest Fly"]] },
+  press: { muscle: "shoulders", variants: [["b", "Overhead Press"], ["d", "DB Shoulder Press"], ["", "Pike Push-Up"]] },
+  lateral: { muscle: "shoulders", variants: [["m", "Cable Lateral Raise"], ["d", "Lateral Raise"], ["", "Band Lateral Raise"]] },
+  rearDelt: { muscle: "shoulders", reps: [15, 20], variants: [["m", "Face Pull"], ["d", "Reverse DB Fly"], ["", "Band Pull Apart"]] },
+  row: { muscle: "back", variants: [["b", "Barbell Row"], ["m", "Seated Cable Row"], ["d", "DB Row"], ["", "Band Row"]] },
+  pulldown: { muscle: "back", variants: [["m", "Lat Pulldown"], ["b", "Pull-Up / Assisted"], ["d", "DB Pullover"], ["", "Band Pulldown"]] },
+  curl: { muscle: "biceps", variants: [["d", "Bicep Curl"], ["b", "Barbell Curl"], ["m", "Cable Curl"], ["", "Band Curl"]] },
+  hammer: { muscle: "biceps", variants: [["d", "DB Hammer Curl"], ["m", "Cable Rope Curl"], ["", "Band Hammer Curl"]] },
+  triceps: { muscle: "triceps", variants: [["m", "Tricep Pushdown"], ["d", "DB Overhead Extension"], ["b", "Close-Grip Bench Press"], ["", "Bench Dip"]] },
+  core: { muscle: "core", reps: [30, 60], variants: [["m", "Cable Crunch"], ["", "Plank"]] },
+  legRaise: { muscle: "core", reps: [10, 15], variants: [["bm", "Hanging Leg Raise"], ["", "Lying Leg Raise"]] },
+};
+
+// Sessions list [movement, role] in priority order; the tail is dropped first when time runs short.
+const SESSION_TEMPLATES = {
+  fullA: ["Full Body A", [["squat", "primary"], ["bench", "compound"], ["row", "compound"], ["lateral", "accessory"], ["legCurl", "accessory"], ["triceps", "accessory"], ["core", "accessory"]]],
+  fullB: ["Full Body B", [["hinge", "primary"], ["press", "compound"], ["pulldown", "compound"], ["legPress", "compound"], ["rearDelt", "accessory"], ["curl", "accessory"], ["calf", "accessory"]]],
+  upperA: ["Upper A — Push", [["bench", "primary"], ["row", "compound"], ["press", "compound"], ["pulldown", "compound"], ["lateral", "accessory"], ["triceps", "accessory"], ["curl", "accessory"]]],
+  upperB: ["Upper B — Pull", [["pulldown", "primary"], ["incline", "compound"], ["row", "compound"], ["lateral", "accessory"], ["rearDelt", "accessory"], ["curl", "accessory"], ["triceps", "accessory"]]],
+  lowerA: ["Lower A — Quad", [["squat", "primary"], ["legPress", "compound"], ["legCurl", "accessory"], ["calf", "accessory"], ["quadIso", "accessory"], ["core", "accessory"]]],
+  lowerB: ["Lower B — Hinge", [["hinge", "primary"], ["legPress", "compound"], ["glute", "accessory"], ["quadIso", "accessory"], ["calf", "accessory"], ["legRaise", "accessory"]]],
+  pushA: ["Push A", [["bench", "primary"], ["press", "compound"], ["incline", "compound"], ["lateral", "accessory"], ["triceps", "accessory"], ["fly", "accessory"]]],
+  pullA: ["Pull A", [["row", "primary"], ["pulldown", "compound"], ["rearDelt", "accessory"], ["curl", "accessory"], ["hammer", "accessory"], ["core", "accessory"]]],
+  legsA: ["Legs A", [["squat", "primary"], ["hinge", "compound"], ["legPress", "compound"], ["legCurl", "accessory"], ["calf", "accessory"], ["legRaise", "accessory"]]],
+  pushB: ["Push B", [["press", "primary"], ["incline", "compound"], ["fly", "accessory"], ["lateral", "accessory"], ["triceps", "accessory"], ["bench", "compound"]]],
+  pullB: ["Pull B", [["pulldown", "primary"], ["row", "compound"], ["rearDelt", "accessory"], ["hammer", "accessory"], ["curl", "accessory"], ["legRaise", "accessory"]]],
+  legsB: ["Legs B", [["hinge", "primary"], ["legPress", "compound"], ["glute", "compound"], ["quadIso", "accessory"], ["calf", "accessory"], ["core", "accessory"]]],
 };
 
+// Weekly hard sets per muscle; smaller muscles get ~60% of this since they also work in the compounds.
+const WEEKLY_SETS = { beginner: 9, intermediate: 13, advanced: 17 };
+const SMALL_MUSCLES = ["biceps", "triceps", "calves", "core"];
+const ROLE_REPS = { primary: [6, 10], compound: [8, 12], accessory: [10, 15] };
+const MINUTES_PER_SET = { primary: 3.5, compound: 3, accessory: 2 };
+const WARMUP_MIN = 8;
+
+const pickSplit = (days, experience) =>
+  days <= 2 ? ["Full Body", ["fullA", "fullB"]]
+  : days === 3 ? (experience === "advanced" ? ["Push / Pull / Legs", ["pushA", "pullA", "legsA"]] : ["Full Body", ["fullA", "fullB", "fullA"]])
+  : days === 4 ? ["Upper / Lower", ["upperA", "lowerA", "upperB", "lowerB"]]
+  : days === 5 ? ["Upper / Lower + Push / Pull / Legs", ["upperA", "lowerA", "pushB", "pullB", "legsB"]]
+  : ["Push / Pull / Legs (6-day)", ["pushA", "pullA", "legsA", "pushB", "pullB", "legsB"]];
+
+// Sets per exercise spread each muscle's weekly target over the slots that train it. A session over its length first
+// loses sets from its biggest slots (down to 3), then its lowest-priority slots, then sets down to 2. One with time to
+// spare gains sets on its smallest slots (up to the per-role cap), then extra accessories for muscles it already trains.
+const generateProgram = (daysPerWeek, experience = "intermediate", equipment = "full", sessionMin = 60) => {
+  const access = EQUIPMENT_ACCESS[equipment] ?? EQUIPMENT_ACCESS.full;
+  const [type, keys] = pickSplit(daysPerWeek, experience);
+  const budget = Math.max(15, sessionMin - WARMUP_MIN);
+  const target = WEEKLY_SETS[experience] ?? WEEKLY_SETS.intermediate;
+  const weekly = {};
+  keys.forEach(k => SESSION_TEMPLATES[k][1].forEach(([move]) => { const m = MOVEMENTS[move].muscle; weekly[m] = (weekly[m] || 0) + 1; }));
+  const maxSets = (role) => role === "accessory" ? 4 : 5;
+  const plan = Object.fromEntries([...new Set(keys)].map(k => {
+    const slots = SESSION_TEMPLATES[k][1].map(([move, role]) => {
+      const muscle = MOVEMENTS[move].muscle;
+      return { move, role, sets: Math.min(maxSets(role), Math.max(2, Math.round(target * (SMALL_MUSCLES.includes(muscle) ? 0.6 : 1) / weekly[muscle]))) };
+    });
+    const minutes = () => slots.reduce((t, sl) => t + sl.sets * MINUTES_PER_SET[sl.role], 0);
+    const trimSet = (floor) => {
+      const big = slots.reduce((b, sl) => sl.sets > floor && (!b || sl.sets >= b.sets) ? sl : b, null);
+      if (big) big.sets--;
+      return !!big;
+    };
+    const addSet = () => {
+      const small = slots.reduce((b, sl) => sl.sets < maxSets(sl.role) && minutes() + MINUTES_PER_SET[sl.role] <= budget && (!b || sl.sets < b.sets) ? sl : b, null);
+      if (small) small.sets++;
+      return !!small;
+    };
+    const addSlot = () => {
+      const move = Object.keys(MOVEMENTS).find(mv => !slots.some(sl => sl.move === mv) && slots.some(sl => MOVEMENTS[sl.move].muscle === MOVEMENTS[mv].muscle));
+      if (!move || minutes() + 2 * MINUTES_PER_SET.accessory > budget) return false;
+      slots.push({ move, role: "accessory", sets: 2 });
+      return true;
+    };
+    if (minutes() > budget) while (minutes() > budget && (trimSet(3) || (slots.length > 3 && slots.pop()) || trimSet(2)));
+    else while (addSet() || addSlot());
+    return [k, slots];
+  }));
+  const exercise = ({ move, role, sets }) => {
+    const m = MOVEMENTS[move];
+    const [repsMin, repsMax] = m.reps || ROLE_REPS[role];
+    return { name: m.variants.find(([needs]) => !needs || [...needs].some(e => access.includes(e)))[1], muscle: m.muscle, sets, repsMin, repsMax, type: role, weight: 0 };
+  };
+  return withProgramIds({ type, experience, sessionMin, sessions: keys.map(k => ({ name: SESSION_TEMPLATES[k][0], exercises: plan[k].map(exercise) })) });
+};
+
+// ==================== PROGRESSION ENGINE (double progression) ====================
+// Default load jumps in kg. Barbell lower-body lifts move in bigger steps; bodyweight work progresses by variation.
+const DEFAULT_INCREMENTS = { barbell: 2.5, barbell_lower: 5, dumbbell: 2, machine: 5, bodyweight: 0 };
+const EQUIPMENT_OPTIONS = [{ value: "barbell", label: "Barbell" }, { value: "dumbbell", label: "Dumbbell" }, { value: "machine", label: "Machine / Cable" }, { value: "bodyweight", label: "Bodyweight / Band" }];
+
+const inferEquipment = (name) =>
+  /Plank|Pull-Up|Chin-Up|Leg Raise|Push-Up|Dip|Rollout|Band|Bodyweight|Nordic|Bridge/i.test(name) ? "bodyweight"
+  : /Cable|Machine/i.test(name) ? "machine"
+  : /\bDB\b|Dumbbell|Goblet|Bulgarian|Lunge|Lateral Raise|Bicep Curl/i.test(name) ? "dumbbell"
+  : /Barbell|Bench Press|Overhead Press|Deadlift|RDL|Squat|Hip Thrust/i.test(name) ? "barbell"
+  : "machine";
+
+// How hard each exercise type is pushed. Primaries take the full equipment step and back off after 2 missed sessions;
+// compounds get a third try; accessories take half steps, back off less, and must top the range in 2 sessions running
+// (reps first) before load goes up. Exercises without a type progress as compounds.
+const PROGRESSION_RULES = {
+  primary: { step: 1, deloadAfter: 2, deload: 0.9, topSessions: 1 },
+  compound: { step: 1, deloadAfter: 3, deload: 0.9, topSessions: 1 },
+  accessory: { step: 0.5, deloadAfter: 3, deload: 0.95, topSessions: 2 },
+};
+const progressionRules = (ex) => PROGRESSION_RULES[ex.type] || PROGRESSION_RULES.compound;
+
+// A per-exercise increment is used as set; equipment increments are scaled by the exercise type.
+const getIncrement = (ex, program) => {
+  const eq = ex.equipment || inferEquipment(ex.name);
+  const key = eq === "barbell" && /Squat|Deadlift|RDL|Hip Thrust/i.test(ex.name) ? "barbell_lower" : eq;
+  return ex.increment ?? round2((program?.increments?.[key] ?? DEFAULT_INCREMENTS[key]) * progressionRules(ex).step);
+};
+
+const exerciseHistory = (workouts, ex) => workouts
+  .map(w => ({ date: w.date, sets: (w.exercises.find(e => e.exerciseId === ex.id)?.sets || []).filter(s => s.reps > 0) }))
+  .filter(h => h.sets.length > 0)
+  .sort((a, b) => a.date.localeCompare(b.date));
+
+const roundToStep = (v, step) => step > 0 ? Math.round(v / step) * step : round1(v);
+
+// Judges each logged session at its heaviest working load, with thresholds from the exercise type. All prescribed
+// sets at the top of the rep range (in enough sessions running) → add load; a set below the bottom of the range in
+// enough sessions running at the same load → back off; otherwise hold the load and chase one more rep on the weakest set.
+const calcProgression = (ex, history, increment) => {
+  const last = history[history.length - 1];
+  if (!last) return { action: "start", weight: ex.weight || 0, reps: ex.repsMin, reason: `Pick a load you can lift for ${ex.repsMin}–${ex.repsMax} reps with 1–2 in reserve` };
+  const rules = progressionRules(ex);
+  const top = (h) => Math.max(...h.sets.map(s => s.weight));
+  const atTop = (h) => h.sets.filter(s => s.weight === top(h));
+  const weight = top(last), sets = atTop(last);
+  const failed = (h) => atTop(h).some(s => s.reps < ex.repsMin);
+  const topped = (h) => atTop(h).length >= ex.sets && atTop(h).every(s => s.reps >= ex.repsMax);
+  const streak = (test) => { let n = 0; for (let i = history.length - 1; i >= 0 && top(history[i]) === weight && test(history[i]); i--) n++; return n; };
+  const misses = streak(failed), hits = streak(topped);
+
+  if (misses >= rules.deloadAfter && weight > 0) {
+    const reduced = Math.max(0, roundToStep(weight * rules.deload, increment || 0.5));
+    return { action: "reduce", weight: reduced, reps: ex.repsMin, reason: `Missed ${ex.repsMin} reps ${misses} sessions in a row — back off and rebuild` };
+  }
+  if (hits >= rules.topSessions) {
+    if (!increment) return { action: "advance", weight, reps: ex.repsMax, reason: "Top of the range on every set — move to a harder variation or add load" };
+    return { action: "increase", weight: round2(weight + increment), reps: ex.repsMin, reason: `${sets.length}×${ex.repsMax} hit — add load, restart at ${ex.repsMin} reps` };
+  }
+  if (hits) return { action: "hold", weight, reps: ex.repsMax, reason: `Top of the range — repeat ${ex.repsMax} reps on every set once more before adding load` };
+  const weakest = Math.min(...sets.map(s => s.reps));
+  return { action: "hold", weight, reps: Math.min(ex.repsMax, Math.max(ex.repsMin, weakest + 1)), reason: misses ? "Below the range last time — same load, own every rep" : `Same load, aim for ${Math.min(ex.repsMax, Math.max(ex.repsMin, weakest + 1))}+ reps on every set` };
+};
+
+const PROGRESSION_STYLE = { start: { icon: "•", color: COLORS.textMuted }, hold: { icon: "=", color: COLORS.textDim }, increase: { icon: "↑", color: COLORS.accent }, advance: { icon: "↑", color: COLORS.accent }, reduce: { icon: "↓", color: COLORS.warning } };
+
+// ==================== EXERCISE ANALYTICS ====================
+// Estimated one-rep max. Both formulas agree near 10 reps; Brzycki runs lower on low reps and breaks down past ~12.
+const E1RM_FORMULAS = {
+  epley: (w, r) => r === 1 ? w : w * (1 + r / 30),
+  brzycki: (w, r) => r === 1 ? w : w * 36 / (37 - Math.min(r, 36)),
+};
+const e1RM = (weight, reps, formula = "epley") => weight > 0 && reps > 0 ? round1(E1RM_FORMULAS[formula](weight, reps)) : null;
+
+// Names `generateProgram` emits (and the ones it used to), so custom exercises are the only ones left to guess.
+const EXERCISE_MUSCLES = {
+  ...Object.fromEntries(Object.values(MOVEMENTS).flatMap(m => m.variants.map(([, name]) => [name, m.muscle]))),
+  "Face Pull / Band Pull Apart": "shoulders", "Cable / DB Row": "back", "Ab Rollout / Plank": "core", "Lunge": "quads",
+};
+const MUSCLE_PATTERNS = [
+  ["calves", /Calf/i], ["core", /Plank|Crunch|Leg Raise|Rollout|Ab\b|Core/i], ["triceps", /Tricep|Pushdown|Skull|Dip|Close-Grip/i],
+  ["biceps", /Curl(?!.*Leg)/i], ["hamstrings", /Leg Curl|RDL|Romanian|Deadlift|Good Morning|Nordic/i], ["glutes", /Hip Thrust|Glute|Bridge/i],
+  ["quads", /Squat|Leg Press|Lunge|Leg Extension|Step-Up/i], ["shoulders", /Overhead|Shoulder|Lateral|Raise|Face Pull|Rear|Pull Apart/i],
+  ["chest", /Bench|Chest|Fly|Push-Up|Pec/i], ["back", /Row|Pull|Lat\b|Pulldown|Chin/i],
+];
+const MUSCLE_GROUPS = ["chest", "back", "shoulders", "quads", "hamstrings", "glutes", "biceps", "triceps", "calves", "core"];
+const muscleFor = (ex) => ex.muscle || EXERCISE_MUSCLES[ex.name] || MUSCLE_PATTERNS.find(([, re]) => re.test(ex.name))?.[0] || "other";
+
+// One row per logged session of an exercise: best e1RM, top set and tonnage (kg × reps).
+const exerciseSessions = (workouts, exerciseId, formula) => workouts
+  .flatMap(w => w.exercises.filter(e => e.exerciseId === exerciseId).map(e => ({ w, sets: e.sets.filter(s => s.reps > 0) })))
+  .filter(x => x.sets.length > 0)
+  .map(({ w, sets }) => {
+    const top = sets.reduce((b, s) => (e1RM(s.weight, s.reps, formula) ?? 0) > (e1RM(b.weight, b.reps, formula) ?? 0) || (s.weight === b.weight && s.reps > b.reps) ? s : b);
+    return { date: w.date, workoutId: w.id, sets, top, e1rm: e1RM(top.weight, top.reps, formula), tonnage: round1(sets.reduce((t, s) => t + s.weight * s.reps, 0)), prs: w.prs?.filter(p => p.exerciseId === exerciseId) || [] };
+  })
+  .sort((a, b) => a.date.localeCompare(b.date));
+
+// Heaviest load lifted for at least N reps; for bodyweight work, the most reps in a set.
+const REP_PR_TARGETS = [1, 3, 5, 8, 10, 12, 15];
+const calcPRs = (sessions) => {
+  const sets = sessions.flatMap(x => x.sets.map(s => ({ ...s, date: x.date })));
+  const best = (list, score) => list.reduce((b, s) => !b || score(s) > score(b) ? s : b, null);
+  const loaded = sets.filter(s => s.weight > 0);
+  return {
+    reps: REP_PR_TARGETS.map(n => ({ n, set: best(loaded.filter(s => s.reps >= n), s => s.weight) })).filter(r => r.set),
+    maxReps: best(sets, s => s.reps),
+    e1rm: best(sessions.filter(x => x.e1rm), x => x.e1rm),
+    tonnage: best(sessions, x => x.tonnage),
+  };
+};
+
+// Records `entry` beats, against every other logged session of the same exercise. First sessions set no PRs.
+const detectPRs = (workouts, entry) => entry.exercises.flatMap(ex => {
+  const before = calcPRs(exerciseSessions(workouts.filter(w => w.id !== entry.id), ex.exerciseId));
+  const now = exerciseSessions([entry], ex.exerciseId)[0];
+  if (!now || !before.maxReps) return [];
+  const pr = (kind, value, previous, reps) => ({ exerciseId: ex.exerciseId, name: ex.name, kind, value, previous, ...(reps ? { reps } : {}) });
+  const prs = [];
+  if (now.e1rm && now.e1rm > (before.e1rm?.e1rm ?? 0)) prs.push(pr("e1rm", now.e1rm, before.e1rm?.e1rm ?? null));
+  const repPRs = {};
+  now.sets.filter(s => s.weight > 0).forEach(s => {
+    const n = [...REP_PR_TARGETS].reverse().find(t => s.reps >= t);
+    const prev = before.reps.find(r => r.n === n)?.set.weight ?? 0;
+    if (s.weight > prev && s.weight > (repPRs[n]?.value ?? 0)) repPRs[n] = pr("reps", s.weight, prev || null, n);
+  });
+  prs.push(...Object.values(repPRs));
+  const reps = Math.max(...now.sets.map(s => s.reps));
+  if (!now.sets.some(s => s.weight > 0) && reps > before.maxReps.reps) prs.push(pr("maxReps", reps, before.maxReps.reps));
+  if (now.tonnage > before.tonnage.tonnage) prs.push(pr("tonnage", now.tonnage, before.tonnage.tonnage));
+  return prs;
+});
+
+// Working sets per muscle group over the `days` ending `end`.
+const weeklyMuscleSets = (workouts, days = 7, end = today()) => {
+  const counts = Object.fromEntries(MUSCLE_GROUPS.map(m => [m, 0]));
+  workouts.filter(w => w.date <= end && daysBetween(w.date, end) < days).forEach(w => w.exercises.forEach(e => {
+    const m = muscleFor(e);
+    counts[m] = (counts[m] || 0) + e.sets.filter(s => s.reps > 0).length;
+  }));
+  return counts;
+};
+
+const prLabel = (p, units) => p.kind === "e1rm" ? `e1RM ${formatLoad(p.value, units)}`
+  : p.kind === "reps" ? `${formatLoad(p.value, units)} × ${p.reps}+`
+  : p.kind === "maxReps" ? `${p.value} reps`
+  : `volume ${formatLoad(p.value, units)}`;
+
 // ==================== MAIN APP ====================
+const TABS = [
+  { id: "checkin", label: "CHECK-IN" },
+  { id: "dashboard", label: "DASH" },
+  { id: "weight", label: "WEIGHT" },
+  { id: "training", label: "TRAIN" },
+  { id: "review", label: "REVIEW" },
+  { id: "coach", label: "COACH" },
+  { id: "settings", label: "SETUP" },
+];
+const TAB_IDS = TABS.map(t => t.id);
+const linkedTab = () => { const t = new URLSearchParams(window.location.search).get("tab"); return TAB_IDS.includes(t) ? t : null; };
+const SYNC_STATUS = {
+  syncing: { label: "SYNCING", color: COLORS.textDim }, synced: { label: "SYNCED", color: COLORS.accent },
+  offline: { label: "OFFLINE", color: COLORS.warning }, error: { label: "SYNC ERROR", color: COLORS.danger },
+};
+
 export default function EliteCoachApp() {
   const [loading, setLoading] = useState(true);
-  const [tab, setTab] = useState("checkin");
+  const [tab, setTab] = useState(() => linkedTab() || "checkin");
   const [profile, setProfile] = useState(null);
   const [weights, setWeights] = useState([]);
   const [workouts, setWorkouts] = useState([]);
   const [program, setProgram] = useState(null);
+  const [programs, setPrograms] = useState([]);
   const [targets, setTargets] = useState(null);
   const [checkins, setCheckins] = useState([]);
+  const [analyses, setAnalyses] = useState([]);
+  const [threads, setThreads] = useState([]);
+  const [measurements, setMeasurements] = useState([]);
+  const [storageError, setStorageError] = useState(null);
+  const [syncConfig, setSyncConfig] = useState(getSyncConfig);
+  const [syncStatus, setSyncStatus] = useState(null);
 
   useEffect(() => {
-    setProfile(loadStorage(STORAGE_KEYS.profile));
-    setWeights(loadStorage(STORAGE_KEYS.weights) || []);
-    setWorkouts(loadStorage(STORAGE_KEYS.workouts) || []);
-    setProgram(loadStorage(STORAGE_KEYS.program));
-    setTargets(loadStorage(STORAGE_KEYS.targets));
-    setCheckins(loadStorage(STORAGE_KEYS.checkins) || []);
-    setLoading(false);
+    loadAllData().then(d => {
+      setProfile(d.profile); setWeights(d.weights); setWorkouts(d.workouts);
+      setProgram(d.program); setPrograms(d.programs || []); setTargets(d.targets); setCheckins(d.checkins); setAnalyses(d.analyses); setThreads(d.threads); setMeasurements(d.measurements);
+    }).catch(e => {
+      console.error("Storage:", e);
+      setStorageError(`Could not open saved data (${e?.message || e?.name}). Changes this session may not be saved.`);
+    }).finally(() => setLoading(false));
   }, []);
 
+  // Reminder deep links: ?tab= on launch (then dropped from the URL), or a message when the app is already open.
+  useEffect(() => {
+    if (linkedTab()) window.history.replaceState(null, "", window.location.pathname);
+    const onMessage = (e) => { if (e.data?.type === "coach-open-tab" && TAB_IDS.includes(e.data.tab)) setTab(e.data.tab); };
+    navigator.serviceWorker?.addEventListener("message", onMessage);
+    return () => navigator.serviceWorker?.removeEventListener("message", onMessage);
+  }, []);
+
+  const remindersOn = !loading && reminderConfig(profile).enabled;
+  useEffect(() => {
+    if (loading || !profile) return;
+    syncReminders(buildReminderState({ profile, targets, program, weights, checkins, workouts, analyses })).catch(e => console.error("Reminders:", e));
+  }, [loading, profile, targets, program, weights, checkins, workouts, analyses]);
+  useEffect(() => {
+    if (!remindersOn) return;
+    const id = setInterval(() => { postToServiceWorker({ type: "coach-reminders-check" }).catch(() => {}); }, 60000);
+    return () => clearInterval(id);
+  }, [remindersOn]);
+
+  // Callbacks that outlive the render that scheduled them (sync runs, AI replies) read the latest data and saves here.
+  const live = useRef({});
+  const syncRun = useRef({ busy: false, again: false, timer: null });
+  const syncNow = async () => {
+    const run = syncRun.current, config = getSyncConfig();
+    if (!config || !syncState) return;
+    if (run.busy) { run.again = true; return; }
+    run.busy = true; clearTimeout(run.timer);
+    setSyncStatus(st => ({ ...st, state: "syncing" }));
+    try {
+      const updates = await runSync(config, () => live.current.data);
+      Object.entries(updates).forEach(([k, v]) => live.current.save[k](v));
+      setSyncStatus({ state: "synced", pending: syncPending(), at: Date.now() });
+    } catch (e) {
+      console.error("Sync:", e);
+      setSyncStatus(st => ({ ...st, state: e.kind === "offline" ? "offline" : "error", message: e.message, pending: syncPending() }));
+    } finally {
+      run.busy = false;
+      if (run.again) { run.again = false; syncNow(); }
+    }
+  };
+  // Local changes go out a couple of seconds after the last save, so a burst of edits is one request.
+  const tracked = (k, v) => {
+    live.current.data = { ...live.current.data, [k]: v };
+    if (!trackSyncChanges(k, v)) return;
+    clearTimeout(syncRun.current.timer);
+    syncRun.current.timer = setTimeout(syncNow, 2000);
+    setSyncStatus(st => st && { ...st, pending: syncPending() });
+  };
+  // Changing server or space leaves the old space first, so nothing from it carries over.
+  const connectSync = async (cfg) => {
+    const prev = getSyncConfig();
+    if (!cfg || prev?.url !== cfg.url || prev?.space !== cfg.space) await stopSync({ leave: true }).catch(e => console.error("Sync:", e));
+    saveSyncConfig(cfg); setSyncConfig(cfg);
+  };
+
+  const persist = (write) => write.catch(e => { console.error("Storage:", e); setStorageError(describeStorageError(e)); });
   const s = {
-    profile: (p) => { setProfile(p); saveStorage(STORAGE_KEYS.profile, p); },
-    weights: (w) => { setWeights(w); saveStorage(STORAGE_KEYS.weights, w); },
-    workouts: (w) => { setWorkouts(w); saveStorage(STORAGE_KEYS.workouts, w); },
-    program: (p) => { setProgram(p); saveStorage(STORAGE_KEYS.program, p); },
-    targets: (t) => { setTargets(t); saveStorage(STORAGE_KEYS.targets, t); },
-    checkins: (c) => { setCheckins(c); saveStorage(STORAGE_KEYS.checkins, c); },
+    profile: (p) => { setProfile(p); persist(saveValue("profile", p)); tracked("profile", p); },
+    weights: (w) => { setWeights(w); persist(saveCollection("weights", w)); tracked("weights", w); },
+    workouts: (w) => { setWorkouts(w); persist(saveCollection("workouts", w)); tracked("workouts", w); },
+    // The active program is also kept up to date in the library.
+    program: (p) => { setProgram(p); persist(saveValue("program", p)); tracked("program", p); if (p) s.programs(programs.some(x => x.id === p.id) ? programs.map(x => x.id === p.id ? p : x) : [...programs, p]); },
+    programs: (l) => { setPrograms(l); persist(saveValue("programs", l)); },
+    targets: (t, reason = "manual") => { const next = withTargetsVersion(t, reason); setTargets(next); persist(saveValue("targets", next)); tracked("targets", next); },
+    checkins: (c) => { setCheckins(c); persist(saveCollection("checkins", c)); tracked("checkins", c); },
+    // Takes an updater too, applied to the latest list: AI analyses land long after the request started.
+    analyses: (a) => { const next = typeof a === "function" ? a(live.current.data.analyses) : a; live.current.data = { ...live.current.data, analyses: next }; setAnalyses(next); persist(saveCollection("analyses", next)); },
+    // Takes an updater too, applied to the latest list: chat replies land long after the message was sent.
+    threads: (t) => { const next = typeof t === "function" ? t(live.current.data.threads) : t; if (next === live.current.data.threads) return; live.current.data = { ...live.current.data, threads: next }; setThreads(next); persist(saveCollection("threads", next)); },
+    measurements: (m) => { setMeasurements(m); persist(saveCollection("measurements", m)); },
   };
+  live.current = { data: { profile, weights, workouts, program, targets, checkins, analyses, threads }, save: s };
+
+  const syncOn = !loading && !!profile && !!syncConfig;
+  useEffect(() => {
+    if (!syncOn) { setSyncStatus(null); return; }
+    let active = true;
+    setSyncStatus({ state: "syncing", pending: 0 });
+    startSync(live.current.data).then(() => active && syncNow()).catch(e => {
+      console.error("Sync:", e);
+      setSyncStatus({ state: "error", message: `Sync could not start (${e?.message || e?.name})` });
+    });
+    const onVisible = () => { if (document.visibilityState === "visible") syncNow(); };
+    const id = setInterval(syncNow, SYNC_INTERVAL_MS);
+    window.addEventListener("online", syncNow);
+    document.addEventListener("visibilitychange", onVisible);
+    return () => {
+      active = false;
+      clearInterval(id); clearTimeout(syncRun.current.timer);
+      window.removeEventListener("online", syncNow);
+      document.removeEventListener("visibilitychange", onVisible);
+      stopSync();
+    };
+  }, [syncOn, syncConfig]);
 
   if (loading) return (
     <div style={{ background: COLORS.bg, minHeight: "100vh", display: "flex", alignItems: "center", justifyContent: "center" }}>
@@ -376,16 +2014,9 @@ export default function EliteCoachApp() {
     </div>
   );
 
-  if (!profile) return <OnboardingFlow onComplete={(p, t, pr) => { s.profile(p); s.targets(t); s.program(pr); }} />;
+  if (!profile) return <OnboardingFlow onComplete={(p, t, pr, m) => { s.profile(p); s.targets(t, "initial"); s.program(pr); if (m) s.measurements([m]); }} />;
 
-  const tabs = [
-    { id: "checkin", label: "CHECK-IN" },
-    { id: "dashboard", label: "DASH" },
-    { id: "weight", label: "WEIGHT" },
-    { id: "training", label: "TRAIN" },
-    { id: "review", label: "REVIEW" },
-    { id: "settings", label: "SETUP" },
-  ];
+  const activePhase = phaseOn(targets);
 
   return (
     <div style={{ background: COLORS.bg, minHeight: "100vh", color: COLORS.text, fontFamily: FONT_BODY }}>
@@ -393,13 +2024,24 @@ export default function EliteCoachApp() {
       <div style={{ background: COLORS.surface, borderBottom: `1px solid ${COLORS.border}`, padding: "14px 20px", display: "flex", justifyContent: "space-between", alignItems: "center", position: "sticky", top: 0, zIndex: 100 }}>
         <div>
           <div style={{ fontFamily: FONTS, fontSize: 15, fontWeight: 700, color: COLORS.accent, letterSpacing: "0.12em" }}>ELITE COACH</div>
-          <div style={{ fontFamily: FONTS, fontSize: 10, color: COLORS.textMuted, letterSpacing: "0.06em", marginTop: 2 }}>{profile.name?.toUpperCase()} — DAY {daysBetween(profile.createdAt, today()) + 1}</div>
+          <div style={{ fontFamily: FONTS, fontSize: 10, color: COLORS.textMuted, letterSpacing: "0.06em", marginTop: 2 }}>{profile.name?.toUpperCase()} — {activePhase ? `${PHASE_TYPES[activePhase.type].label.toUpperCase()} DAY ${phaseDay(activePhase)}${activePhase.end ? `/${phaseLength(activePhase)}` : ""}` : `DAY ${daysBetween(profile.createdAt, today()) + 1}`}</div>
+        </div>
+        <div style={{ textAlign: "right" }}>
+          <div style={{ fontFamily: FONTS, fontSize: 11, color: COLORS.textDim }}>{targets?.calories && `${targetsForDay(targets, profile, today()).calories} KCAL`}</div>
+          {syncStatus && <button onClick={syncNow} title={syncStatus.message || "Sync now"} style={{ background: "none", border: "none", padding: 0, marginTop: 3, cursor: "pointer", fontFamily: FONTS, fontSize: 9, letterSpacing: "0.06em", color: SYNC_STATUS[syncStatus.state].color }}>
+            ● {SYNC_STATUS[syncStatus.state].label}{syncStatus.pending > 0 ? ` · ${syncStatus.pending} QUEUED` : ""}
+          </button>}
         </div>
-        <div style={{ fontFamily: FONTS, fontSize: 11, color: COLORS.textDim }}>{targets?.calories && `${targets.calories} KCAL`}</div>
       </div>
+      {storageError && (
+        <div style={{ background: COLORS.dangerDim, borderBottom: `1px solid ${COLORS.danger}44`, padding: "10px 20px", display: "flex", justifyContent: "space-between", alignItems: "center", gap: 10 }}>
+          <div style={{ fontFamily: FONTS, fontSize: 11, color: COLORS.danger }}>{storageError}</div>
+          <button onClick={() => setStorageError(null)} style={{ background: "none", border: "none", color: COLORS.danger, cursor: "pointer", fontSize: 14 }}>×</button>
+        </div>
+      )}
 
       <div style={{ display: "flex", background: COLORS.surface, borderBottom: `1px solid ${COLORS.border}`, padding: "0 4px", overflowX: "auto" }}>
-        {tabs.map(t => (
+        {TABS.map(t => (
           <button key={t.id} onClick={() => setTab(t.id)} style={{
             flex: 1, minWidth: 56, padding: "11px 4px", background: "none", border: "none",
             borderBottom: tab === t.id ? `2px solid ${COLORS.accent}` : "2px solid transparent",
@@ -409,12 +2051,13 @@ export default function EliteCoachApp() {
       </div>
 
       <div style={{ padding: "20px", maxWidth: 600, margin: "0 auto", paddingBottom: 80 }}>
-        {tab === "checkin" && <CheckInView checkins={checkins} onSave={s.checkins} weights={weights} onSaveWeights={s.weights} targets={targets} profile={profile} />}
+        {tab === "checkin" && <CheckInView checkins={checkins} onSave={s.checkins} weights={weights} onSaveWeights={s.weights} targets={targets} profile={profile} analyses={analyses} onSaveAnalyses={s.analyses} />}
         {tab === "dashboard" && <DashboardView profile={profile} weights={weights} workouts={workouts} targets={targets} checkins={checkins} />}
-        {tab === "weight" && <WeightView weights={weights} onSave={s.weights} profile={profile} targets={targets} />}
-        {tab === "training" && <TrainingView program={program} workouts={workouts} onSaveWorkouts={s.workouts} onSaveProgram={s.program} />}
-        {tab === "review" && <WeeklyReviewView checkins={checkins} weights={weights} workouts={workouts} targets={targets} profile={profile} program={program} onSaveTargets={s.targets} />}
-        {tab === "settings" && <SettingsView profile={profile} targets={targets} program={program} save={s} weights={weights} workouts={workouts} checkins={checkins} />}
+        {tab === "weight" && <WeightView weights={weights} onSave={s.weights} measurements={measurements} onSaveMeasurements={s.measurements} profile={profile} targets={targets} />}
+        {tab === "training" && <TrainingView program={program} programs={programs} workouts={workouts} onSaveWorkouts={s.workouts} onSaveProgram={s.program} onSavePrograms={s.programs} units={getUnits(profile)} />}
+        {tab === "review" && <WeeklyReviewView checkins={checkins} weights={weights} workouts={workouts} measurements={measurements} targets={targets} profile={profile} program={program} onSaveTargets={s.targets} onSaveProfile={s.profile} analyses={analyses} onSaveAnalyses={s.analyses} />}
+        {tab === "coach" && <CoachChatView threads={threads} onSaveThreads={s.threads} profile={profile} targets={targets} checkins={checkins} weights={weights} measurements={measurements} program={program} programs={programs} workouts={workouts} analyses={analyses} save={s} />}
+        {tab === "settings" && <SettingsView profile={profile} targets={targets} program={program} programs={programs} save={s} weights={weights} workouts={workouts} checkins={checkins} analyses={analyses} threads={threads} measurements={measurements} sync={{ config: syncConfig, status: syncStatus, connect: connectSync, now: syncNow }} />}
       </div>
     </div>
   );
@@ -423,8 +2066,11 @@ export default function EliteCoachApp() {
 // ==================== ONBOARDING ====================
 function OnboardingFlow({ onComplete }) {
   const [step, setStep] = useState(0);
-  const [data, setData] = useState({ name: "", age: "", sex: "male", heightCm: "", weightLbs: "", goalWeightLbs: "", goalWeeks: "12", trainingDays: "3", sessionMin: "60", equipment: "full", experience: "intermediate", activity: "moderate", stepTarget: "8000" });
+  const [data, setData] = useState({ name: "", age: "", sex: "male", units: { ...DEFAULT_UNITS }, heightCm: "", heightFt: "", heightIn: "", weight: "", goalWeight: "", goalWeeks: "12", trainingDays: "3", sessionMin: "60", equipment: "full", experience: "intermediate", activity: "moderate", stepTarget: "8000", bodyFat: "" });
   const up = (f, v) => setData(d => ({ ...d, [f]: v }));
+  const upUnit = (f, v) => setData(d => ({ ...d, units: { ...d.units, [f]: v } }));
+  const { units } = data;
+  const heightCm = units.height === "ftin" ? (data.heightFt ? feetInchesToCm(data.heightFt, data.heightIn) : 0) : parseFloat(data.heightCm);
 
   const steps = [
     { title: "ABOUT YOU", fields: (<>
@@ -434,39 +2080,51 @@ function OnboardingFlow({ onComplete }) {
         <div style={{ flex: 1 }}><Select label="Sex at birth" value={data.sex} onChange={e => up("sex", e.target.value)} options={[{ value: "male", label: "Male" }, { value: "female", label: "Female" }]} /></div>
       </div>
       <div style={{ display: "flex", gap: 10 }}>
-        <div style={{ flex: 1 }}><Input label="Height (cm)" type="number" value={data.heightCm} onChange={e => up("heightCm", e.target.value)} /></div>
-        <div style={{ flex: 1 }}><Input label="Weight (lbs)" type="number" value={data.weightLbs} onChange={e => up("weightLbs", e.target.value)} /></div>
+        <div style={{ flex: 1 }}><Select label="Weight unit" value={units.body} onChange={e => upUnit("body", e.target.value)} options={[{ value: "lbs", label: "lbs" }, { value: "kg", label: "kg" }]} /></div>
+        <div style={{ flex: 1 }}><Select label="Height unit" value={units.height} onChange={e => upUnit("height", e.target.value)} options={[{ value: "cm", label: "cm" }, { value: "ftin", label: "ft / in" }]} /></div>
+      </div>
+      <div style={{ display: "flex", gap: 10 }}>
+        {units.height === "ftin" ? (<>
+          <div style={{ flex: 1 }}><Input label="Height (ft)" type="number" value={data.heightFt} onChange={e => up("heightFt", e.target.value)} /></div>
+          <div style={{ flex: 1 }}><Input label="(in)" type="number" value={data.heightIn} onChange={e => up("heightIn", e.target.value)} /></div>
+        </>) : <div style={{ flex: 1 }}><Input label="Height (cm)" type="number" value={data.heightCm} onChange={e => up("heightCm", e.target.value)} /></div>}
+        <div style={{ flex: 1 }}><Input label={`Weight (${units.body})`} type="number" value={data.weight} onChange={e => up("weight", e.target.value)} /></div>
       </div>
-    </>), valid: data.name && data.age && data.heightCm && data.weightLbs },
+      <Input label="Body fat % (optional)" type="number" step="0.1" value={data.bodyFat} onChange={e => up("bodyFat", e.target.value)} placeholder="calipers or smart scale" />
+    </>), valid: data.name && data.age && heightCm > 0 && data.weight },
     { title: "YOUR GOAL", fields: (<>
-      <Input label="Goal Weight (lbs)" type="number" value={data.goalWeightLbs} onChange={e => up("goalWeightLbs", e.target.value)} />
+      <Input label={`Goal Weight (${units.body})`} type="number" value={data.goalWeight} onChange={e => up("goalWeight", e.target.value)} />
       <Select label="Timeframe" value={data.goalWeeks} onChange={e => up("goalWeeks", e.target.value)} options={[8,10,12,16,20,24].map(n => ({ value: String(n), label: `${n} weeks` }))} />
       <Select label="Activity Level" value={data.activity} onChange={e => up("activity", e.target.value)} options={Object.entries(activityMultipliers).map(([k, v]) => ({ value: k, label: v.label }))} />
       <Input label="Daily Step Target" type="number" value={data.stepTarget} onChange={e => up("stepTarget", e.target.value)} />
-    </>), valid: data.goalWeightLbs },
+    </>), valid: data.goalWeight },
     { title: "TRAINING", fields: (<>
       <Select label="Training Days / Week" value={data.trainingDays} onChange={e => up("trainingDays", e.target.value)} options={[2,3,4,5,6].map(n => ({ value: String(n), label: `${n} days` }))} />
       <Select label="Session Length" value={data.sessionMin} onChange={e => up("sessionMin", e.target.value)} options={[30,45,60,75,90].map(n => ({ value: String(n), label: `${n} min` }))} />
       <Select label="Equipment" value={data.equipment} onChange={e => up("equipment", e.target.value)} options={[{ value: "full", label: "Full Gym" }, { value: "barbell", label: "Barbell + Rack" }, { value: "dumbbell", label: "Dumbbells Only" }, { value: "minimal", label: "Minimal / Home" }]} />
       <Select label="Experience" value={data.experience} onChange={e => up("experience", e.target.value)} options={[{ value: "beginner", label: "Beginner" }, { value: "intermediate", label: "Intermediate" }, { value: "advanced", label: "Advanced" }]} />
+      <Select label="Log lifts in" value={units.load} onChange={e => upUnit("load", e.target.value)} options={[{ value: "kg", label: "kg" }, { value: "lbs", label: "lbs" }]} />
     </>), valid: true },
   ];
 
   const finalize = () => {
-    const wKg = lbsToKg(parseFloat(data.weightLbs)), hCm = parseFloat(data.heightCm), age = parseInt(data.age);
-    const bmr = calcBMR(data.sex, wKg, hCm, age);
+    const weightLbs = fromBodyUnit(data.weight, units), goalWeightLbs = fromBodyUnit(data.goalWeight, units);
+    const wKg = lbsToKg(weightLbs), hCm = heightCm, age = parseInt(data.age);
+    const bodyFat = parseFloat(data.bodyFat) > 0 && parseFloat(data.bodyFat) < 70 ? round1(parseFloat(data.bodyFat)) : null;
+    const bmr = calcBMR(data.sex, wKg, hCm, age, bodyFat);
     const tdee = Math.round(bmr * activityMultipliers[data.activity].value);
-    const toLose = parseFloat(data.weightLbs) - parseFloat(data.goalWeightLbs);
+    const toLose = weightLbs - goalWeightLbs;
     const weeks = parseInt(data.goalWeeks), wl = toLose / weeks;
     const dd = Math.round((wl * 3500) / 7);
     const cal = Math.max(1200, Math.round(tdee - dd));
-    const pG = Math.round(parseFloat(data.goalWeightLbs) * 0.85);
-    const fG = Math.round((cal * 0.25) / 9);
-    const cG = Math.round((cal - (pG * 4) - (fG * 9)) / 4);
+    const pG = Math.round(goalWeightLbs * 0.85);
+    const macros = deriveMacros(cal, pG);
     onComplete(
-      { name: data.name, age, sex: data.sex, heightCm: hCm, weightLbs: parseFloat(data.weightLbs), goalWeightLbs: parseFloat(data.goalWeightLbs), goalWeeks: weeks, activity: data.activity, trainingDays: parseInt(data.trainingDays), sessionMin: parseInt(data.sessionMin), equipment: data.equipment, experience: data.experience, bmr: Math.round(bmr), tdee, stepTarget: parseInt(data.stepTarget) || 8000, createdAt: today() },
-      { calories: cal, protein: pG, carbs: cG, fat: fG, weeklyLossTarget: Math.round(wl * 10) / 10, dailyDeficit: dd, tdee },
-      generateProgram(parseInt(data.trainingDays), data.experience, data.equipment)
+      { name: data.name, age, sex: data.sex, units, heightCm: hCm, weightLbs, goalWeightLbs, goalWeeks: weeks, activity: data.activity, trainingDays: parseInt(data.trainingDays), sessionMin: parseInt(data.sessionMin), equipment: data.equipment, experience: data.experience, bmr: Math.round(bmr), tdee, stepTarget: parseInt(data.stepTarget) || 8000, createdAt: today() },
+      { ...macros, weeklyLossTarget: Math.round(wl * 10) / 10, dailyDeficit: dd, tdee,
+        phases: [wl > 0 ? { id: uid("ph"), type: "cut", start: today(), end: addDays(today(), weeks * 7 - 1), calories: cal, rate: Math.round(wl * 10) / 10 } : { id: uid("ph"), type: "maintenance", start: today(), end: null, calories: cal }] },
+      generateProgram(parseInt(data.trainingDays), data.experience, data.equipment, parseInt(data.sessionMin)),
+      bodyFat ? { date: today(), bodyFat } : null
     );
   };
 
@@ -492,49 +2150,90 @@ function OnboardingFlow({ onComplete }) {
 }
 
 // ==================== DAILY CHECK-IN ====================
-function CheckInView({ checkins, onSave, weights, onSaveWeights, targets, profile }) {
-  const todayCheckin = checkins.find(c => c.date === today());
-  const [form, setForm] = useState(todayCheckin || { date: today(), weight: "", calories: "", protein: "", carbs: "", fat: "", fiber: "", workoutCompleted: false, steps: "", sleepHours: "", stress: 5, energy: 5, notes: "" });
-  const [aiResponse, setAiResponse] = useState(null);
+const blankCheckin = (date) => ({ date, weight: "", calories: "", protein: "", carbs: "", fat: "", fiber: "", workoutCompleted: false, steps: "", sleepHours: "", stress: 5, energy: 5, notes: "" });
+
+function CheckInView({ checkins, onSave, weights, onSaveWeights, targets, profile, analyses, onSaveAnalyses }) {
+  const units = getUnits(profile);
+  const formFor = (date) => { const c = checkins.find(x => x.date === date); return { ...blankCheckin(date), ...c, weight: c?.weight ? toBodyUnit(c.weight, units) : "" }; };
+  const [form, setForm] = useState(() => formFor(today()));
+  const [importing, setImporting] = useState(false);
   const [aiLoading, setAiLoading] = useState(false);
-  const [saved, setSaved] = useState(!!todayCheckin);
+  const [aiError, setAiError] = useState(null);
+  const aiCtrl = useRef(null);
+  useEffect(() => () => aiCtrl.current?.abort(), []);
+  const [saved, setSaved] = useState(() => checkins.some(c => c.date === today()));
+  const [confirmDelete, setConfirmDelete] = useState(null);
   const up = (f, v) => setForm(d => ({ ...d, [f]: v }));
+  const isToday = form.date === today();
+  const history = useMemo(() => [...checkins].sort((a, b) => b.date.localeCompare(a.date)).slice(0, 30), [checkins]);
+
+  const selectDate = (date) => {
+    if (!isDateStr(date) || date > today()) return;
+    setForm(formFor(date)); setSaved(checkins.some(c => c.date === date)); aiCtrl.current?.abort(); setAiError(null); setConfirmDelete(null);
+  };
+
+  // A check-in's weight mirrors the weigh-in for the same date; a weigh-in it no longer matches is left alone.
+  const syncWeight = (date, oldWeight, newWeight) => {
+    const ex = weights.find(w => w.date === date);
+    if (newWeight > 0) return ex?.weight === newWeight ? weights : ex ? weights.map(w => w.date === date ? { date, weight: newWeight } : w) : [...weights, { date, weight: newWeight }];
+    return ex && ex.weight === oldWeight ? weights.filter(w => w.date !== date) : weights;
+  };
+
+  const handleDelete = (date) => {
+    const old = checkins.find(c => c.date === date);
+    onSave(checkins.filter(c => c.date !== date));
+    const nextWeights = syncWeight(date, old?.weight, 0);
+    if (nextWeights !== weights) onSaveWeights(nextWeights);
+    if (date === form.date) { setForm(blankCheckin(date)); setSaved(false); }
+    setConfirmDelete(null);
+  };
 
   const handleSave = async () => {
-    const entry = { ...form, calories: parseInt(form.calories)||0, protein: parseInt(form.protein)||0, carbs: parseInt(form.carbs)||0, fat: parseInt(form.fat)||0, fiber: parseInt(form.fiber)||0, steps: parseInt(form.steps)||0, sleepHours: parseFloat(form.sleepHours)||0, stress: parseInt(form.stress)||5, energy: parseInt(form.energy)||5, weight: parseFloat(form.weight)||0 };
-    const ex = checkins.findIndex(c => c.date === today());
-    const updated = ex >= 0 ? checkins.map((c, i) => i === ex ? entry : c) : [...checkins, entry];
+    const old = checkins.find(c => c.date === form.date);
+    const entry = { ...form, calories: parseInt(form.calories)||0, protein: parseInt(form.protein)||0, carbs: parseInt(form.carbs)||0, fat: parseInt(form.fat)||0, fiber: parseInt(form.fiber)||0, steps: parseInt(form.steps)||0, sleepHours: parseFloat(form.sleepHours)||0, stress: parseInt(form.stress)||5, energy: parseInt(form.energy)||5, weight: fromUnitInput(form.weight, old?.weight || null, toBodyUnit, fromBodyUnit, units)||0 };
+    const updated = [...checkins.filter(c => c.date !== entry.date), entry].sort((a, b) => a.date.localeCompare(b.date));
     onSave(updated);
-    if (entry.weight > 0) {
-      const wEx = weights.findIndex(w => w.date === today());
-      onSaveWeights(wEx >= 0 ? weights.map((w, i) => i === wEx ? { date: today(), weight: entry.weight } : w) : [...weights, { date: today(), weight: entry.weight }]);
-    }
+    const nextWeights = syncWeight(entry.date, old?.weight, entry.weight);
+    if (nextWeights !== weights) onSaveWeights(nextWeights);
     setSaved(true);
-    if (getApiKey()) {
-      setAiLoading(true);
-      const analysis = await getAICoachingAnalysis(entry, targets, profile, updated, weights);
-      setAiResponse(analysis);
-      setAiLoading(false);
+    if (isAIConfigured() && entry.date === today()) runAnalysis(entry, updated, nextWeights);
+  };
+
+  const runAnalysis = async (entry, list, ws) => {
+    aiCtrl.current?.abort();
+    const ctrl = new AbortController(); aiCtrl.current = ctrl;
+    setAiLoading(true); setAiError(null);
+    try {
+      const response = await getAICoachingAnalysis(entry, targets, profile, list, ws, { signal: ctrl.signal });
+      onSaveAnalyses(prev => [...prev, buildAnalysis("daily", entry.date, response, { ...coachSnapshot(entry.date, list, ws, targets, profile), checkin: entry })]);
     }
+    catch (e) { if (e.kind !== "cancelled") setAiError(e); }
+    finally { if (aiCtrl.current === ctrl) { aiCtrl.current = null; setAiLoading(false); } }
   };
 
   const adherence = calcAdherence(form, targets, profile);
+  const dayTargets = targetsForDay(targets, profile, form.date, form.workoutCompleted);
   const recovery = calcRecovery(form);
-  const hasApiKey = !!getApiKey();
+  const hasAI = isAIConfigured();
+  const savedEntry = saved ? checkins.find(c => c.date === form.date) : null;
+  // The latest stored analysis of this exact check-in; editing the check-in retires it.
+  const aiResponse = useMemo(() => savedEntry && analyses.filter(a => a.kind === "daily" && a.date === savedEntry.date && JSON.stringify(a.snapshot.checkin) === JSON.stringify(savedEntry)).pop()?.response, [analyses, savedEntry]);
+  const local = useMemo(() => savedEntry && targets ? getLocalCoaching(savedEntry, targets, profile, checkins, weights) : null, [savedEntry, targets, profile, checkins, weights]);
 
   return (
     <div>
-      <SectionHeader>Check-In — {formatDate(today())}</SectionHeader>
+      <SectionHeader right={<input type="date" value={form.date} max={today()} onChange={e => selectDate(e.target.value)} style={{ background: COLORS.surfaceLight, border: `1px solid ${COLORS.border}`, borderRadius: 6, padding: "6px 8px", color: COLORS.text, fontFamily: FONTS, fontSize: 11 }} />}>Check-In — {isToday ? "Today" : formatDate(form.date)}</SectionHeader>
+      {!isToday && <div style={{ fontFamily: FONTS, fontSize: 10, color: COLORS.warning, marginBottom: 12 }}>{saved ? "EDITING" : "BACKFILLING"} {formatDateFull(form.date).toUpperCase()} · <button onClick={() => selectDate(today())} style={{ background: "none", border: "none", color: COLORS.accent, fontFamily: FONTS, fontSize: 10, cursor: "pointer", padding: 0 }}>BACK TO TODAY</button></div>}
 
       {saved && (
         <div style={{ display: "flex", gap: 10, marginBottom: 16 }}>
           <div style={{ flex: 1, display: "flex", alignItems: "center", justifyContent: "center", flexDirection: "column" }}>
-            <ScoreRing score={adherence.total} size={90} />
-            <div style={{ fontFamily: FONTS, fontSize: 10, color: COLORS.textMuted, marginTop: 6 }}>{getAdherenceLabel(adherence.total)}</div>
+            <ScoreRing score={adherence.total} size={90} color={getAdherenceColor(adherence.total, profile)} />
+            <div style={{ fontFamily: FONTS, fontSize: 10, color: COLORS.textMuted, marginTop: 6 }}>{getAdherenceLabel(adherence.total, profile)}</div>
           </div>
           <div style={{ flex: 1.5 }}>
             <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 6 }}>
-              {[{ l: "Calories", v: adherence.breakdown.calories, c: COLORS.accent }, { l: "Protein", v: adherence.breakdown.protein, c: COLORS.blue }, { l: "Workout", v: adherence.breakdown.workout, c: COLORS.purple }, { l: "Steps", v: adherence.breakdown.steps, c: COLORS.warning }].map(item => (
+              {Object.entries(scoringConfig(profile).components).filter(([, c]) => c.enabled && c.weight > 0).map(([k]) => ({ l: SCORING_COMPONENTS[k].label, v: adherence.breakdown[k], c: SCORING_COMPONENTS[k].color })).map(item => (
                 <div key={item.l} style={{ background: COLORS.surfaceLight, borderRadius: 8, padding: "8px 10px" }}>
                   <div style={{ fontFamily: FONTS, fontSize: 9, color: COLORS.textMuted }}>{item.l}</div>
                   <div style={{ fontFamily: FONTS, fontSize: 16, fontWeight: 700, color: item.v >= 75 ? item.c : item.v >= 50 ? COLORS.warning : COLORS.danger }}>{item.v !== undefined ? `${item.v}%` : "—"}</div>
@@ -546,16 +2245,24 @@ function CheckInView({ checkins, onSave, weights, onSaveWeights, targets, profil
       )}
 
       <Card style={{ marginBottom: 12 }}>
-        <div style={{ fontFamily: FONTS, fontSize: 11, color: COLORS.textDim, letterSpacing: "0.08em", marginBottom: 12 }}>NUTRITION — MFP TOTALS</div>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 12 }}>
+          <div style={{ fontFamily: FONTS, fontSize: 11, color: COLORS.textDim, letterSpacing: "0.08em" }}>NUTRITION — MFP TOTALS</div>
+          <Btn variant="ghost" onClick={() => setImporting(!importing)} style={{ fontSize: 10, padding: "4px 8px" }}>{importing ? "CLOSE" : "IMPORT CSV"}</Btn>
+        </div>
+        {importing && <NutritionImport checkins={checkins} onSave={(updated) => {
+          onSave(updated);
+          const t = updated.find(c => c.date === form.date);
+          if (t) setForm(f => ({ ...f, ...Object.fromEntries(NUTRITION_FIELDS.map(n => [n.k, t[n.k]])) }));
+        }} />}
         <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 8 }}>
-          <Input label={`Calories (target: ${targets?.calories||"—"})`} type="number" value={form.calories} onChange={e => up("calories", e.target.value)} />
-          <Input label={`Protein (target: ${targets?.protein||"—"}g)`} type="number" value={form.protein} onChange={e => up("protein", e.target.value)} />
-          <Input label={`Carbs (target: ${targets?.carbs||"—"}g)`} type="number" value={form.carbs} onChange={e => up("carbs", e.target.value)} />
-          <Input label={`Fat (target: ${targets?.fat||"—"}g)`} type="number" value={form.fat} onChange={e => up("fat", e.target.value)} />
+          <Input label={`Calories (target: ${dayTargets?.calories||"—"}${dayTargets?.dayType ? ` · ${dayTargets.dayType} day` : ""})`} type="number" value={form.calories} onChange={e => up("calories", e.target.value)} />
+          <Input label={`Protein (target: ${dayTargets?.protein||"—"}g)`} type="number" value={form.protein} onChange={e => up("protein", e.target.value)} />
+          <Input label={`Carbs (target: ${dayTargets?.carbs||"—"}g)`} type="number" value={form.carbs} onChange={e => up("carbs", e.target.value)} />
+          <Input label={`Fat (target: ${dayTargets?.fat||"—"}g)`} type="number" value={form.fat} onChange={e => up("fat", e.target.value)} />
         </div>
-        {form.calories && targets && (
+        {form.calories && dayTargets && (
           <div style={{ display: "flex", gap: 16, padding: "10px 0", borderTop: `1px solid ${COLORS.border}`, marginTop: 8 }}>
-            {[{ l:"Cal", d:parseInt(form.calories)-targets.calories }, { l:"Pro", d:parseInt(form.protein||0)-targets.protein, u:"g" }, { l:"Carb", d:parseInt(form.carbs||0)-targets.carbs, u:"g" }, { l:"Fat", d:parseInt(form.fat||0)-targets.fat, u:"g" }].map(i => (
+            {[{ l:"Cal", d:parseInt(form.calories)-dayTargets.calories }, { l:"Pro", d:parseInt(form.protein||0)-dayTargets.protein, u:"g" }, { l:"Carb", d:parseInt(form.carbs||0)-dayTargets.carbs, u:"g" }, { l:"Fat", d:parseInt(form.fat||0)-dayTargets.fat, u:"g" }].map(i => (
               <div key={i.l} style={{ textAlign: "center" }}><div style={{ fontFamily: FONTS, fontSize: 9, color: COLORS.textMuted }}>{i.l}</div><DeltaTag value={i.d||0} unit={i.u||""} inverse={i.l==="Cal"||i.l==="Fat"} /></div>
             ))}
           </div>
@@ -565,7 +2272,7 @@ function CheckInView({ checkins, onSave, weights, onSaveWeights, targets, profil
       <Card style={{ marginBottom: 12 }}>
         <div style={{ fontFamily: FONTS, fontSize: 11, color: COLORS.textDim, letterSpacing: "0.08em", marginBottom: 12 }}>BODY & ACTIVITY</div>
         <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 8 }}>
-          <Input label="Morning Weight (lbs)" type="number" value={form.weight} onChange={e => up("weight", e.target.value)} step="0.1" />
+          <Input label={`Morning Weight (${units.body})`} type="number" value={form.weight} onChange={e => up("weight", e.target.value)} step="0.1" />
           <Input label={`Steps (target: ${profile?.stepTarget||8000})`} type="number" value={form.steps} onChange={e => up("steps", e.target.value)} />
         </div>
         <div style={{ marginBottom: 14 }}>
@@ -600,49 +2307,130 @@ function CheckInView({ checkins, onSave, weights, onSaveWeights, targets, profil
 
       <Btn onClick={handleSave} style={{ width: "100%", padding: 14, fontSize: 14, marginBottom: 16 }}>{saved ? "UPDATE CHECK-IN" : "SUBMIT CHECK-IN"}</Btn>
 
-      {!hasApiKey && saved && (
-        <Card style={{ marginBottom: 16, borderColor: COLORS.warning + "44" }}>
-          <div style={{ fontFamily: FONTS, fontSize: 11, color: COLORS.warning, marginBottom: 4 }}>AI COACHING DISABLED</div>
-          <div style={{ fontFamily: FONT_BODY, fontSize: 13, color: COLORS.textDim }}>Add your Anthropic API key in Settings → API Key to enable AI coaching analysis.</div>
-        </Card>
-      )}
+      {aiLoading && <AILoadingCard label="ANALYZING..." onCancel={() => { aiCtrl.current?.abort(); aiCtrl.current = null; setAiLoading(false); }} />}
 
-      {aiLoading && <Card style={{ marginBottom: 16 }} glow={COLORS.accent}><div style={{ fontFamily: FONTS, fontSize: 12, color: COLORS.accent, textAlign: "center", padding: 20 }}>ANALYZING...</div></Card>}
+      {aiError && <AIErrorCard error={aiError} onRetry={savedEntry ? () => runAnalysis(savedEntry, checkins, weights) : null} />}
 
-      {aiResponse && (
-        <Card style={{ marginBottom: 16 }} glow={COLORS.accent}>
-          <div style={{ fontFamily: FONTS, fontSize: 11, color: COLORS.accent, letterSpacing: "0.08em", marginBottom: 12 }}>AI COACHING ANALYSIS</div>
-          <div style={{ fontFamily: FONT_BODY, fontSize: 14, color: COLORS.text, lineHeight: 1.6, marginBottom: 14 }}>{aiResponse.summary}</div>
-          {[{ icon: "🍽", label: "NUTRITION", text: aiResponse.nutritionNote, color: COLORS.blue }, { icon: "💤", label: "RECOVERY", text: aiResponse.recoveryNote, color: COLORS.purple }, { icon: "⚙", label: "ADJUSTMENT", text: aiResponse.adjustment, color: COLORS.warning }].map(item => item.text && (
-            <div key={item.label} style={{ marginBottom: 10, padding: "10px 12px", background: COLORS.surfaceLight, borderRadius: 8, borderLeft: `3px solid ${item.color}` }}>
-              <div style={{ fontFamily: FONTS, fontSize: 9, color: item.color, letterSpacing: "0.06em", marginBottom: 4 }}>{item.label}</div>
-              <div style={{ fontFamily: FONT_BODY, fontSize: 13, color: COLORS.textDim, lineHeight: 1.5 }}>{item.text}</div>
-            </div>
-          ))}
-          {aiResponse.tomorrowPriority && (
-            <div style={{ marginTop: 12, padding: "12px", background: COLORS.accentDim, borderRadius: 8, border: `1px solid ${COLORS.accent}33` }}>
-              <div style={{ fontFamily: FONTS, fontSize: 9, color: COLORS.accent, letterSpacing: "0.08em", marginBottom: 4 }}>TOMORROW'S PRIORITY</div>
-              <div style={{ fontFamily: FONT_BODY, fontSize: 14, color: COLORS.accent, fontWeight: 600 }}>{aiResponse.tomorrowPriority}</div>
+      {aiResponse && <CoachingCard title="AI COACHING ANALYSIS" response={aiResponse} color={COLORS.accent} />}
+
+      {local && <CoachingCard title={aiResponse ? "RULE-BASED CHECK" : "COACH FEEDBACK"} response={local} color={aiResponse ? COLORS.blue : COLORS.accent} compact={!!aiResponse}
+        footer={aiResponse ? null : aiError ? "AI analysis unavailable — showing on-device feedback." : !hasAI ? "On-device feedback. Set up an AI provider in Settings for AI analysis too." : null} />}
+
+      <SectionHeader>History</SectionHeader>
+      <Card>{history.length === 0 ? <div style={{ fontFamily: FONTS, fontSize: 12, color: COLORS.textMuted, textAlign: "center", padding: 20 }}>No check-ins yet</div> : history.map(c => { const a = calcAdherence(c, targets, profile).total; return (
+        <div key={c.date} style={{ display: "flex", justifyContent: "space-between", alignItems: "center", padding: "8px 0", borderBottom: `1px solid ${COLORS.border}`, background: c.date === form.date ? COLORS.surfaceLight : "transparent" }}>
+          <button onClick={() => selectDate(c.date)} style={{ flex: 1, display: "flex", gap: 12, alignItems: "center", background: "none", border: "none", cursor: "pointer", padding: 0, textAlign: "left" }}>
+            <span style={{ fontFamily: FONTS, fontSize: 12, color: COLORS.textDim, width: 56 }}>{formatDate(c.date)}</span>
+            <span style={{ fontFamily: FONTS, fontSize: 12, color: COLORS.text, width: 70 }}>{c.calories ? `${c.calories} kcal` : "—"}</span>
+            <span style={{ fontFamily: FONTS, fontSize: 12, color: COLORS.textMuted, width: 70 }}>{c.weight ? formatBodyWeight(c.weight, units) : ""}</span>
+            <span style={{ fontFamily: FONTS, fontSize: 12, fontWeight: 600, color: getAdherenceColor(a, profile) }}>{a}%</span>
+          </button>
+          {confirmDelete === c.date
+            ? <div style={{ display: "flex", gap: 6 }}><Btn variant="danger" onClick={() => handleDelete(c.date)} style={{ fontSize: 10, padding: "4px 8px" }}>DELETE</Btn><Btn variant="ghost" onClick={() => setConfirmDelete(null)} style={{ fontSize: 10, padding: "4px 8px" }}>KEEP</Btn></div>
+            : <button onClick={() => setConfirmDelete(c.date)} style={{ background: "none", border: "none", color: COLORS.textMuted, cursor: "pointer", fontSize: 14 }}>×</button>}
+        </div>
+      ); })}</Card>
+    </div>
+  );
+}
+
+function NutritionImport({ checkins, onSave }) {
+  const [csv, setCsv] = useState(null); const [mapping, setMapping] = useState(null); const [error, setError] = useState(null); const [report, setReport] = useState(null);
+  const fileRef = useRef(null);
+
+  const onFile = async (e) => {
+    const file = e.target.files?.[0]; e.target.value = "";
+    if (!file) return;
+    setError(null); setReport(null); setCsv(null);
+    const rows = parseCSV(await file.text());
+    if (rows.length < 2) { setError("CSV has no data rows"); return; }
+    const guess = guessCsvMapping(rows[0]);
+    setCsv({ name: file.name, header: rows[0], rows: rows.slice(1), isMFP: guess.isMFP });
+    setMapping(guess.mapping);
+  };
+
+  const valid = mapping && mapping.date >= 0 && mapping.calories >= 0;
+  const preview = useMemo(() => {
+    if (!csv || !valid) return null;
+    const { days, skipped } = aggregateNutritionCsv(csv.rows, mapping);
+    const { checkins: next, report } = upsertNutrition(checkins, days);
+    return { next, report: [...report, ...skipped] };
+  }, [csv, mapping, checkins, valid]);
+
+  const apply = () => { onSave(preview.next); setReport(preview.report); setCsv(null); };
+  const counts = (r) => ["created", "updated", "skipped"].map(st => `${r.filter(x => x.status === st).length} ${st}`).join(" · ");
+  const statusColor = { created: COLORS.accent, updated: COLORS.warning, skipped: COLORS.textMuted };
+  const columns = [{ value: -1, label: "— not in file —" }, ...(csv?.header || []).map((h, i) => ({ value: i, label: h || `Column ${i + 1}` }))];
+
+  return (
+    <div style={{ background: COLORS.surfaceLight, borderRadius: 8, padding: 12, marginBottom: 12 }}>
+      <div style={{ fontFamily: FONT_BODY, fontSize: 12, color: COLORS.textMuted, marginBottom: 10 }}>MyFitnessPal nutrition export (meals are summed per day) or any CSV with date, calories and macro columns. Weight, sleep, stress and notes are never overwritten.</div>
+      <Btn variant="secondary" onClick={() => fileRef.current?.click()} style={{ fontSize: 11, marginBottom: 10 }}>{csv ? csv.name : "CHOOSE FILE"}</Btn>
+      <input ref={fileRef} type="file" accept=".csv,text/csv" onChange={onFile} style={{ display: "none" }} />
+      {error && <div style={{ fontFamily: FONTS, fontSize: 11, color: COLORS.danger, marginBottom: 10 }}>{error}</div>}
+      {csv && (<>
+        <div style={{ fontFamily: FONTS, fontSize: 10, color: COLORS.accent, marginBottom: 10 }}>{csv.isMFP ? "MYFITNESSPAL EXPORT DETECTED" : "GENERIC CSV — CHECK COLUMN MAPPING"} · {csv.rows.length} rows</div>
+        <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "0 8px" }}>
+          <Select label="Date" value={mapping.date} onChange={e => setMapping(m => ({ ...m, date: parseInt(e.target.value) }))} options={columns} />
+          <Select label="Date format" value={mapping.dateFormat} onChange={e => setMapping(m => ({ ...m, dateFormat: e.target.value }))} options={[{ value: "ymd", label: "YYYY-MM-DD" }, { value: "mdy", label: "MM/DD/YYYY" }, { value: "dmy", label: "DD/MM/YYYY" }]} />
+          {NUTRITION_FIELDS.map(f => <Select key={f.k} label={f.label} value={mapping[f.k]} onChange={e => setMapping(m => ({ ...m, [f.k]: parseInt(e.target.value) }))} options={columns} />)}
+        </div>
+        {!valid ? <div style={{ fontFamily: FONTS, fontSize: 11, color: COLORS.warning }}>Map at least the date and calories columns</div> : (<>
+          <div style={{ fontFamily: FONTS, fontSize: 11, color: COLORS.textDim, marginBottom: 8 }}>PREVIEW: {counts(preview.report)}</div>
+          <Btn onClick={apply} disabled={!preview.report.some(r => r.status !== "skipped")} style={{ width: "100%" }}>IMPORT</Btn>
+        </>)}
+      </>)}
+      {report && (
+        <div style={{ marginTop: 10 }}>
+          <div style={{ fontFamily: FONTS, fontSize: 10, color: COLORS.accent, marginBottom: 6 }}>IMPORTED — {counts(report).toUpperCase()}</div>
+          <div style={{ maxHeight: 200, overflowY: "auto" }}>{report.map((r, i) => (
+            <div key={i} style={{ display: "flex", gap: 8, fontFamily: FONTS, fontSize: 11, padding: "4px 0", borderBottom: `1px solid ${COLORS.border}` }}>
+              <span style={{ width: 80, color: COLORS.textDim }}>{isDateStr(r.date) ? formatDate(r.date) : r.date}</span>
+              <span style={{ width: 60, color: statusColor[r.status] }}>{r.status.toUpperCase()}</span>
+              <span style={{ flex: 1, color: COLORS.textMuted }}>{r.row ? `row ${r.row}: ` : ""}{r.detail}</span>
             </div>
-          )}
-        </Card>
+          ))}</div>
+        </div>
       )}
     </div>
   );
 }
 
+// Renders a daily coaching response — from the AI or from getLocalCoaching, which share a shape.
+const CoachingCard = ({ title, response, color, compact, footer }) => (
+  <Card style={{ marginBottom: 16 }} glow={compact ? undefined : color}>
+    <div style={{ fontFamily: FONTS, fontSize: 11, color, letterSpacing: "0.08em", marginBottom: 12 }}>{title}</div>
+    <div style={{ fontFamily: FONT_BODY, fontSize: compact ? 13 : 14, color: COLORS.text, lineHeight: 1.6, marginBottom: 14 }}>{response.summary}</div>
+    {[{ label: "NUTRITION", text: response.nutritionNote, color: COLORS.blue }, { label: "RECOVERY", text: response.recoveryNote, color: COLORS.purple }, { label: "ADJUSTMENT", text: response.adjustment, color: COLORS.warning }, { label: "CONCERN", text: response.concern, color: COLORS.danger }].map(item => item.text && (
+      <div key={item.label} style={{ marginBottom: 10, padding: "10px 12px", background: COLORS.surfaceLight, borderRadius: 8, borderLeft: `3px solid ${item.color}` }}>
+        <div style={{ fontFamily: FONTS, fontSize: 9, color: item.color, letterSpacing: "0.06em", marginBottom: 4 }}>{item.label}</div>
+        <div style={{ fontFamily: FONT_BODY, fontSize: 13, color: COLORS.textDim, lineHeight: 1.5 }}>{item.text}</div>
+      </div>
+    ))}
+    {response.tomorrowPriority && (
+      <div style={{ marginTop: 12, padding: "12px", background: COLORS.accentDim, borderRadius: 8, border: `1px solid ${COLORS.accent}33` }}>
+        <div style={{ fontFamily: FONTS, fontSize: 9, color: COLORS.accent, letterSpacing: "0.08em", marginBottom: 4 }}>TOMORROW'S PRIORITY</div>
+        <div style={{ fontFamily: FONT_BODY, fontSize: 14, color: COLORS.accent, fontWeight: 600 }}>{response.tomorrowPriority}</div>
+      </div>
+    )}
+    {footer && <div style={{ fontFamily: FONTS, fontSize: 10, color: COLORS.textMuted, marginTop: 12 }}>{footer}</div>}
+  </Card>
+);
+
 // ==================== DASHBOARD ====================
 function DashboardView({ profile, weights, workouts, targets, checkins }) {
+  const units = getUnits(profile); const bw = (lbs) => toBodyUnit(lbs, units);
   const sorted = useMemo(() => [...weights].sort((a, b) => new Date(a.date) - new Date(b.date)), [weights]);
-  const withAvg = useMemo(() => calcRollingAvg(sorted), [sorted]);
+  const chart = useMemo(() => buildTrendChart(weights, profile.goalWeightLbs, units, 30), [weights, profile.goalWeightLbs, units.body]);
   const weeklyLoss = useMemo(() => calcWeeklyLoss(sorted), [sorted]);
   const currentWeight = sorted.length > 0 ? sorted[sorted.length - 1].weight : profile.weightLbs;
   const totalLost = Math.round((profile.weightLbs - currentWeight) * 10) / 10;
   const remaining = Math.round((currentWeight - profile.goalWeightLbs) * 10) / 10;
   const progressPct = profile.weightLbs !== profile.goalWeightLbs ? Math.min(100, Math.max(0, Math.round((totalLost / (profile.weightLbs - profile.goalWeightLbs)) * 100))) : 0;
-  const last7 = checkins.filter(c => daysBetween(c.date, today()) < 7);
+  const last7 = checkinsInWindow(checkins);
   const avgAdherence = last7.length > 0 ? Math.round(last7.reduce((s, c) => s + calcAdherence(c, targets, profile).total, 0) / last7.length) : 0;
   const thisWeekWorkouts = last7.filter(c => c.workoutCompleted).length;
+  const todayTargets = targets && targetsForDay(targets, profile, today(), checkins.find(c => c.date === today())?.workoutCompleted);
   const adherenceTrend = useMemo(() => [...checkins].sort((a, b) => new Date(a.date) - new Date(b.date)).slice(-14).map(c => ({ date: c.date, score: calcAdherence(c, targets, profile).total })), [checkins, targets, profile]);
 
   return (
@@ -650,40 +2438,44 @@ function DashboardView({ profile, weights, workouts, targets, checkins }) {
       <Card style={{ marginBottom: 16 }}>
         <div style={{ display: "flex", justifyContent: "space-between", marginBottom: 8 }}><span style={{ fontFamily: FONTS, fontSize: 11, color: COLORS.textDim }}>PROGRESS</span><span style={{ fontFamily: FONTS, fontSize: 11, color: COLORS.accent }}>{progressPct}%</span></div>
         <div style={{ background: COLORS.border, borderRadius: 6, height: 8, overflow: "hidden" }}><div style={{ background: `linear-gradient(90deg, ${COLORS.accent}, ${COLORS.blue})`, height: "100%", borderRadius: 6, width: `${progressPct}%`, transition: "width 0.5s" }} /></div>
-        <div style={{ display: "flex", justifyContent: "space-between", marginTop: 6 }}><span style={{ fontFamily: FONTS, fontSize: 10, color: COLORS.textMuted }}>{profile.weightLbs} lbs</span><span style={{ fontFamily: FONTS, fontSize: 10, color: COLORS.textMuted }}>{profile.goalWeightLbs} lbs</span></div>
+        <div style={{ display: "flex", justifyContent: "space-between", marginTop: 6 }}><span style={{ fontFamily: FONTS, fontSize: 10, color: COLORS.textMuted }}>{formatBodyWeight(profile.weightLbs, units)}</span><span style={{ fontFamily: FONTS, fontSize: 10, color: COLORS.textMuted }}>{formatBodyWeight(profile.goalWeightLbs, units)}</span></div>
       </Card>
       <div style={{ display: "flex", gap: 10, marginBottom: 16, flexWrap: "wrap" }}>
-        <StatBox label="Current" value={currentWeight} unit="lbs" />
-        <StatBox label="Lost" value={totalLost > 0 ? `-${totalLost}` : "0"} unit="lbs" color={totalLost > 0 ? COLORS.accent : COLORS.text} />
-        <StatBox label="To Go" value={remaining > 0 ? remaining : "0"} unit="lbs" />
+        <StatBox label="Current" value={bw(currentWeight)} unit={units.body} />
+        <StatBox label="Lost" value={totalLost > 0 ? `-${bw(totalLost)}` : "0"} unit={units.body} color={totalLost > 0 ? COLORS.accent : COLORS.text} />
+        <StatBox label="To Go" value={remaining > 0 ? bw(remaining) : "0"} unit={units.body} />
       </div>
       <div style={{ display: "flex", gap: 10, marginBottom: 16, flexWrap: "wrap" }}>
-        <StatBox label="Rate" value={weeklyLoss ?? "—"} unit={weeklyLoss !== null ? "lbs/wk" : ""} sub={targets ? `Target: ${targets.weeklyLossTarget}` : ""} />
-        <StatBox label="Adherence" value={avgAdherence} unit="%" color={getAdherenceColor(avgAdherence)} />
+        <StatBox label="Rate" value={weeklyLoss !== null ? bw(weeklyLoss) : "—"} unit={weeklyLoss !== null ? `${units.body}/wk` : ""} sub={targets ? `Target: ${bw(targets.weeklyLossTarget)} · trend` : "trend"} />
+        <StatBox label="Adherence" value={avgAdherence} unit="%" color={getAdherenceColor(avgAdherence, profile)} />
         <StatBox label="Workouts" value={`${thisWeekWorkouts}/${profile.trainingDays}`} unit="wk" />
       </div>
       {targets && (
         <Card style={{ marginBottom: 16 }}>
-          <div style={{ fontFamily: FONTS, fontSize: 11, color: COLORS.textDim, letterSpacing: "0.08em", marginBottom: 12 }}>TARGETS</div>
+          <div style={{ fontFamily: FONTS, fontSize: 11, color: COLORS.textDim, letterSpacing: "0.08em", marginBottom: 12 }}>TARGETS{todayTargets.dayType ? ` · TODAY (${todayTargets.dayType.toUpperCase()}${targets.cycling.mode === "training" ? " DAY" : ""})` : targets.cycling ? " · WEEKLY AVERAGE" : ""}</div>
           <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 1fr 1fr", gap: 8 }}>
-            {[{ l: "KCAL", v: targets.calories, c: COLORS.accent }, { l: "PROT", v: `${targets.protein}g`, c: COLORS.blue }, { l: "CARBS", v: `${targets.carbs}g`, c: COLORS.purple }, { l: "FAT", v: `${targets.fat}g`, c: COLORS.warning }].map(m => (
+            {[{ l: "KCAL", v: todayTargets.calories, c: COLORS.accent }, { l: "PROT", v: `${todayTargets.protein}g`, c: COLORS.blue }, { l: "CARBS", v: `${todayTargets.carbs}g`, c: COLORS.purple }, { l: "FAT", v: `${todayTargets.fat}g`, c: COLORS.warning }].map(m => (
               <div key={m.l} style={{ textAlign: "center" }}><div style={{ fontFamily: FONTS, fontSize: 18, fontWeight: 700, color: m.c }}>{m.v}</div><div style={{ fontFamily: FONTS, fontSize: 9, color: COLORS.textMuted, marginTop: 2 }}>{m.l}</div></div>
             ))}
           </div>
+          {targets.cycling && <div style={{ fontFamily: FONTS, fontSize: 10, color: COLORS.textMuted, marginTop: 10 }}>Cycling: {describeCycling(targets, profile)} kcal · {targets.calories} kcal/day average</div>}
         </Card>
       )}
-      {withAvg.length > 2 && (
+      {chart.data.length > 2 && (
         <Card style={{ marginBottom: 16 }}>
           <div style={{ fontFamily: FONTS, fontSize: 11, color: COLORS.textDim, letterSpacing: "0.08em", marginBottom: 12 }}>WEIGHT TREND</div>
           <ResponsiveContainer width="100%" height={160}>
-            <AreaChart data={withAvg.slice(-30)} margin={{ top: 5, right: 5, bottom: 5, left: -20 }}>
+            <ComposedChart data={chart.data} margin={{ top: 5, right: 5, bottom: 5, left: -20 }}>
               <defs><linearGradient id="wgD" x1="0" y1="0" x2="0" y2="1"><stop offset="5%" stopColor={COLORS.accent} stopOpacity={0.2} /><stop offset="95%" stopColor={COLORS.accent} stopOpacity={0} /></linearGradient></defs>
               <CartesianGrid strokeDasharray="3 3" stroke={COLORS.border} /><XAxis dataKey="date" tick={{ fontSize: 9, fill: COLORS.textMuted, fontFamily: FONTS }} tickFormatter={formatDate} /><YAxis domain={["dataMin - 2", "dataMax + 2"]} tick={{ fontSize: 9, fill: COLORS.textMuted, fontFamily: FONTS }} />
               <Tooltip contentStyle={{ background: COLORS.surface, border: `1px solid ${COLORS.border}`, borderRadius: 8, fontFamily: FONTS, fontSize: 11 }} />
-              <ReferenceLine y={profile.goalWeightLbs} stroke={COLORS.accent} strokeDasharray="5 5" />
-              <Area type="monotone" dataKey="avg" stroke={COLORS.accent} fill="url(#wgD)" strokeWidth={2} name="7-day Avg" />
-            </AreaChart>
+              <ReferenceLine y={bw(profile.goalWeightLbs)} stroke={COLORS.accent} strokeDasharray="5 5" />
+              <Area type="monotone" dataKey="band" stroke="none" fill={COLORS.accentDim} name="Forecast range" />
+              <Area type="monotone" dataKey="trend" stroke={COLORS.accent} fill="url(#wgD)" strokeWidth={2} name="Trend" />
+              <Line type="monotone" dataKey="projection" stroke={COLORS.accent} strokeDasharray="4 4" dot={false} name="Forecast" />
+            </ComposedChart>
           </ResponsiveContainer>
+          <GoalForecast proj={chart.proj} units={units} />
         </Card>
       )}
       {adherenceTrend.length > 3 && (
@@ -703,70 +2495,318 @@ function DashboardView({ profile, weights, workouts, targets, checkins }) {
 }
 
 // ==================== WEIGHT ====================
-function WeightView({ weights, onSave, profile, targets }) {
+function WeightView({ weights, onSave, measurements, onSaveMeasurements, profile, targets }) {
+  const units = getUnits(profile); const bw = (lbs) => toBodyUnit(lbs, units);
   const [nw, setNw] = useState(""); const [nd, setNd] = useState(today());
   const sorted = useMemo(() => [...weights].sort((a, b) => new Date(a.date) - new Date(b.date)), [weights]);
-  const withAvg = useMemo(() => calcRollingAvg(sorted), [sorted]);
-  const add = () => { const w = parseFloat(nw); if (!w||w<50||w>500) return; const ex = weights.findIndex(e => e.date === nd); onSave(ex >= 0 ? weights.map((x,i) => i===ex ? {date:nd,weight:w} : x) : [...weights, {date:nd,weight:w}]); setNw(""); };
+  const chart = useMemo(() => buildTrendChart(weights, profile.goalWeightLbs, units, 60), [weights, profile.goalWeightLbs, units.body]);
+  const add = () => { const w = fromBodyUnit(nw, units); if (!w||w<50||w>500) return; const ex = weights.findIndex(e => e.date === nd); onSave(ex >= 0 ? weights.map((x,i) => i===ex ? {date:nd,weight:w} : x) : [...weights, {date:nd,weight:w}]); setNw(""); };
 
   return (
     <div>
       <SectionHeader>Log Weight</SectionHeader>
       <Card style={{ marginBottom: 20 }}>
         <div style={{ display: "flex", gap: 10, alignItems: "flex-end" }}>
-          <div style={{ flex: 1 }}><Input label="Weight (lbs)" type="number" value={nw} onChange={e => setNw(e.target.value)} step="0.1" /></div>
+          <div style={{ flex: 1 }}><Input label={`Weight (${units.body})`} type="number" value={nw} onChange={e => setNw(e.target.value)} step="0.1" /></div>
           <div style={{ flex: 1 }}><Input label="Date" type="date" value={nd} onChange={e => setNd(e.target.value)} /></div>
           <Btn onClick={add} style={{ marginBottom: 14 }}>LOG</Btn>
         </div>
       </Card>
-      {withAvg.length > 2 && (
+      {chart.data.length > 2 && (
         <Card style={{ marginBottom: 20 }}>
           <div style={{ fontFamily: FONTS, fontSize: 11, color: COLORS.textDim, letterSpacing: "0.08em", marginBottom: 12 }}>TREND</div>
           <ResponsiveContainer width="100%" height={220}>
-            <AreaChart data={withAvg.slice(-60)} margin={{ top: 5, right: 5, bottom: 5, left: -20 }}>
+            <ComposedChart data={chart.data} margin={{ top: 5, right: 5, bottom: 5, left: -20 }}>
               <defs><linearGradient id="wg2" x1="0" y1="0" x2="0" y2="1"><stop offset="5%" stopColor={COLORS.accent} stopOpacity={0.2} /><stop offset="95%" stopColor={COLORS.accent} stopOpacity={0} /></linearGradient></defs>
               <CartesianGrid strokeDasharray="3 3" stroke={COLORS.border} /><XAxis dataKey="date" tick={{ fontSize: 9, fill: COLORS.textMuted, fontFamily: FONTS }} tickFormatter={formatDate} /><YAxis domain={["dataMin - 2", "dataMax + 2"]} tick={{ fontSize: 9, fill: COLORS.textMuted, fontFamily: FONTS }} />
               <Tooltip contentStyle={{ background: COLORS.surface, border: `1px solid ${COLORS.border}`, borderRadius: 8, fontFamily: FONTS, fontSize: 11 }} />
-              <ReferenceLine y={profile.goalWeightLbs} stroke={COLORS.accent} strokeDasharray="5 5" label={{ value: "Goal", fill: COLORS.accent, fontSize: 10 }} />
-              <Area type="monotone" dataKey="avg" stroke={COLORS.accent} fill="url(#wg2)" strokeWidth={2} name="7-day Avg" /><Line type="monotone" dataKey="weight" stroke={COLORS.textMuted} strokeWidth={1} dot={{ r: 2 }} name="Daily" />
-            </AreaChart>
+              <ReferenceLine y={bw(profile.goalWeightLbs)} stroke={COLORS.accent} strokeDasharray="5 5" label={{ value: "Goal", fill: COLORS.accent, fontSize: 10 }} />
+              <Area type="monotone" dataKey="band" stroke="none" fill={COLORS.accentDim} name="Forecast range" />
+              <Area type="monotone" dataKey="trend" stroke={COLORS.accent} fill="url(#wg2)" strokeWidth={2} name="Trend" /><Line type="monotone" dataKey="weight" stroke={COLORS.textMuted} strokeWidth={1} dot={{ r: 2 }} name="Daily" />
+              <Line type="monotone" dataKey="projection" stroke={COLORS.accent} strokeDasharray="4 4" dot={false} name="Forecast" />
+            </ComposedChart>
           </ResponsiveContainer>
+          <GoalForecast proj={chart.proj} units={units} />
         </Card>
       )}
       <SectionHeader>Entries</SectionHeader>
       <Card>{sorted.length === 0 ? <div style={{ fontFamily: FONTS, fontSize: 12, color: COLORS.textMuted, textAlign: "center", padding: 20 }}>No entries</div> : sorted.slice(-14).reverse().map(w => (
         <div key={w.date} style={{ display: "flex", justifyContent: "space-between", padding: "8px 0", borderBottom: `1px solid ${COLORS.border}` }}>
           <span style={{ fontFamily: FONTS, fontSize: 12, color: COLORS.textDim }}>{formatDate(w.date)}</span>
-          <div style={{ display: "flex", gap: 12, alignItems: "center" }}><span style={{ fontFamily: FONTS, fontSize: 13, fontWeight: 600 }}>{w.weight} lbs</span><button onClick={() => onSave(weights.filter(x => x.date !== w.date))} style={{ background: "none", border: "none", color: COLORS.textMuted, cursor: "pointer", fontSize: 14 }}>×</button></div>
+          <div style={{ display: "flex", gap: 12, alignItems: "center" }}><span style={{ fontFamily: FONTS, fontSize: 13, fontWeight: 600 }}>{formatBodyWeight(w.weight, units)}</span><button onClick={() => onSave(weights.filter(x => x.date !== w.date))} style={{ background: "none", border: "none", color: COLORS.textMuted, cursor: "pointer", fontSize: 14 }}>×</button></div>
         </div>
       ))}</Card>
+      <MeasurementsPanel measurements={measurements} onSave={onSaveMeasurements} weights={weights} units={units} />
+      <PhotoVault weights={weights} measurements={measurements} units={units} />
     </div>
   );
 }
 
+// Tape and body-fat log with its own trends. Logging again on a date fills in that day's entry rather than replacing it.
+function MeasurementsPanel({ measurements, onSave, weights, units }) {
+  const lu = lengthUnit(units);
+  const blank = () => ({ date: today(), bodyFat: "", bodyFatSource: "calipers", ...Object.fromEntries(MEASUREMENT_SITES.map(s => [s.key, ""])) });
+  const [form, setForm] = useState(blank);
+  const up = (k, v) => setForm(f => ({ ...f, [k]: v }));
+  const sorted = useMemo(() => [...measurements].sort((a, b) => a.date.localeCompare(b.date)), [measurements]);
+  const changes = useMemo(() => Object.fromEntries(measurementChanges(measurements).map(c => [c.key, c])), [measurements]);
+  const comp = useMemo(() => calcBodyComposition(weights, measurements), [weights, measurements]);
+  const lastComp = comp[comp.length - 1];
+  const siteChart = sorted.filter(m => MEASUREMENT_SITES.some(s => m[s.key] > 0)).map(m => ({ date: m.date, ...Object.fromEntries(MEASUREMENT_SITES.map(s => [s.key, m[s.key] > 0 ? toLengthUnit(m[s.key], units) : null])) }));
+  const logged = MEASUREMENT_SITES.filter(s => siteChart.some(p => p[s.key] !== null));
+
+  const add = () => {
+    const entry = Object.fromEntries(MEASUREMENT_SITES.map(s => [s.key, fromLengthUnit(form[s.key], units)]).filter(([, v]) => v > 0));
+    const bf = parseFloat(form.bodyFat);
+    if (bf > 0 && bf < 70) Object.assign(entry, { bodyFat: round1(bf), bodyFatSource: form.bodyFatSource });
+    if (!Object.keys(entry).length) return;
+    const prev = measurements.find(m => m.date === form.date);
+    onSave([...measurements.filter(m => m.date !== form.date), { ...prev, ...entry, date: form.date }]);
+    setForm({ ...blank(), date: form.date, bodyFatSource: form.bodyFatSource });
+  };
+  const delta = (c, fmt) => c?.change ? <span style={{ color: c.change < 0 ? COLORS.accent : COLORS.warning }}>{c.change > 0 ? "+" : ""}{fmt(c.change)}</span> : null;
+
+  return (<>
+    <SectionHeader>Measurements</SectionHeader>
+    <Card style={{ marginBottom: 20 }}>
+      <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 1fr", gap: 8 }}>
+        {MEASUREMENT_SITES.map(s => <Input key={s.key} label={`${s.label} (${lu})`} type="number" step="0.1" value={form[s.key]} onChange={e => up(s.key, e.target.value)} />)}
+        <Input label="Body fat %" type="number" step="0.1" value={form.bodyFat} onChange={e => up("bodyFat", e.target.value)} />
+      </div>
+      <div style={{ display: "flex", gap: 10, alignItems: "flex-end" }}>
+        <div style={{ flex: 1 }}><Select label="Body fat from" value={form.bodyFatSource} onChange={e => up("bodyFatSource", e.target.value)} options={BODY_FAT_SOURCES} /></div>
+        <div style={{ flex: 1 }}><Input label="Date" type="date" value={form.date} onChange={e => up("date", e.target.value)} /></div>
+        <Btn onClick={add} style={{ marginBottom: 14 }}>LOG</Btn>
+      </div>
+    </Card>
+
+    {(lastComp || Object.keys(changes).length > 0) && (
+      <Card style={{ marginBottom: 20 }}>
+        <div style={{ fontFamily: FONTS, fontSize: 11, color: COLORS.textDim, letterSpacing: "0.08em", marginBottom: 12 }}>LAST 4 WEEKS</div>
+        <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 1fr", gap: 8, marginBottom: lastComp ? 12 : 0 }}>
+          {MEASUREMENT_SITES.filter(s => changes[s.key]).map(s => (
+            <StatBox key={s.key} small label={s.label} value={toLengthUnit(changes[s.key].latest, units)} unit={lu} sub={delta(changes[s.key], v => `${toLengthUnit(v, units)} ${lu}`)} />
+          ))}
+          {changes.bodyFat && <StatBox small label="Body fat" value={changes.bodyFat.latest} unit="%" sub={delta(changes.bodyFat, v => `${v} pts`)} />}
+        </div>
+        {lastComp && (<>
+          <div style={{ display: "flex", gap: 8, marginBottom: comp.length > 1 ? 12 : 0 }}>
+            <StatBox small label="Lean mass" value={toBodyUnit(lastComp.lean, units)} unit={units.body} color={COLORS.accent} sub={comp.length > 1 ? `${round1(toBodyUnit(lastComp.lean - comp[0].lean, units))} since ${formatDate(comp[0].date)}` : formatDate(lastComp.date)} />
+            <StatBox small label="Fat mass" value={toBodyUnit(lastComp.fat, units)} unit={units.body} color={COLORS.warning} sub={comp.length > 1 ? `${round1(toBodyUnit(lastComp.fat - comp[0].fat, units))} since ${formatDate(comp[0].date)}` : formatDate(lastComp.date)} />
+          </div>
+          {comp.length > 1 && (
+            <ResponsiveContainer width="100%" height={160}>
+              <AreaChart data={comp.map(c => ({ date: c.date, lean: toBodyUnit(c.lean, units), fat: toBodyUnit(c.fat, units) }))} margin={{ top: 5, right: 5, bottom: 5, left: -20 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke={COLORS.border} /><XAxis dataKey="date" tick={{ fontSize: 9, fill: COLORS.textMuted, fontFamily: FONTS }} tickFormatter={formatDate} /><YAxis tick={{ fontSize: 9, fill: COLORS.textMuted, fontFamily: FONTS }} />
+                <Tooltip contentStyle={{ background: COLORS.surface, border: `1px solid ${COLORS.border}`, borderRadius: 8, fontFamily: FONTS, fontSize: 11 }} />
+                <Area type="monotone" dataKey="lean" stackId="bw" stroke={COLORS.accent} fill={COLORS.accentDim} name="Lean" />
+                <Area type="monotone" dataKey="fat" stackId="bw" stroke={COLORS.warning} fill={COLORS.warningDim} name="Fat" />
+              </AreaChart>
+            </ResponsiveContainer>
+          )}
+        </>)}
+      </Card>
+    )}
+
+    {siteChart.length > 1 && (
+      <Card style={{ marginBottom: 20 }}>
+        <div style={{ display: "flex", justifyContent: "space-between", fontFamily: FONTS, fontSize: 11, color: COLORS.textDim, letterSpacing: "0.08em", marginBottom: 12 }}>
+          <span>TAPE ({lu.toUpperCase()})</span>
+          <span style={{ display: "flex", gap: 8 }}>{logged.map(s => <span key={s.key} style={{ fontSize: 9, color: s.color }}>{s.label.toUpperCase()}</span>)}</span>
+        </div>
+        <ResponsiveContainer width="100%" height={180}>
+          <LineChart data={siteChart} margin={{ top: 5, right: 5, bottom: 5, left: -20 }}>
+            <CartesianGrid strokeDasharray="3 3" stroke={COLORS.border} /><XAxis dataKey="date" tick={{ fontSize: 9, fill: COLORS.textMuted, fontFamily: FONTS }} tickFormatter={formatDate} /><YAxis domain={["dataMin - 2", "dataMax + 2"]} tick={{ fontSize: 9, fill: COLORS.textMuted, fontFamily: FONTS }} />
+            <Tooltip contentStyle={{ background: COLORS.surface, border: `1px solid ${COLORS.border}`, borderRadius: 8, fontFamily: FONTS, fontSize: 11 }} />
+            {logged.map(s => <Line key={s.key} type="monotone" dataKey={s.key} stroke={s.color} strokeWidth={2} dot={{ r: 2 }} connectNulls name={s.label} />)}
+          </LineChart>
+        </ResponsiveContainer>
+      </Card>
+    )}
+
+    {sorted.length > 0 && <Card>{sorted.slice(-10).reverse().map(m => (
+      <div key={m.date} style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8, padding: "8px 0", borderBottom: `1px solid ${COLORS.border}` }}>
+        <span style={{ fontFamily: FONTS, fontSize: 12, color: COLORS.textDim, width: 52 }}>{formatDate(m.date)}</span>
+        <span style={{ fontFamily: FONTS, fontSize: 11, color: COLORS.text, flex: 1 }}>{[...MEASUREMENT_SITES.filter(s => m[s.key] > 0).map(s => `${s.label} ${toLengthUnit(m[s.key], units)}`), m.bodyFat && `BF ${m.bodyFat}%`].filter(Boolean).join(" · ")}</span>
+        <button onClick={() => onSave(measurements.filter(x => x.date !== m.date))} style={{ background: "none", border: "none", color: COLORS.textMuted, cursor: "pointer", fontSize: 14 }}>×</button>
+      </div>
+    ))}</Card>}
+  </>);
+}
+
+// Photos by date and pose. Thumbnails render straight from the records; full images are only opened for a comparison.
+function PhotoVault({ weights, measurements, units }) {
+  const [photos, setPhotos] = useState([]);
+  const [form, setForm] = useState({ date: today(), pose: "front" });
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [compare, setCompare] = useState(null);
+  const [showAll, setShowAll] = useState(false);
+  const [confirmDelete, setConfirmDelete] = useState(null);
+  const cameraRef = useRef(null), uploadRef = useRef(null);
+
+  const reload = () => loadPhotos().then(setPhotos).catch(e => setError(describeStorageError(e)));
+  useEffect(() => { reload(); }, []);
+  const byDate = useMemo(() => [...new Set(photos.map(p => p.date))].sort().reverse()
+    .map(date => ({ date, poses: Object.fromEntries(photos.filter(p => p.date === date).map(p => [p.pose, p])) })), [photos]);
+
+  // A new photo for a date and pose replaces the old one; the form then moves on to the next pose still missing.
+  const onFile = async (e) => {
+    const file = e.target.files?.[0]; e.target.value = "";
+    if (!file) return;
+    setBusy(true); setError(null);
+    try {
+      const old = photos.find(p => p.date === form.date && p.pose === form.pose);
+      await putPhotos([await makePhoto(file, form.date, form.pose)]);
+      if (old) await deletePhoto(old.id);
+      const taken = new Set([...photos.filter(p => p.date === form.date).map(p => p.pose), form.pose]);
+      const next = PHOTO_POSES.find(x => !taken.has(x.key));
+      if (next) setForm(f => ({ ...f, pose: next.key }));
+      await reload();
+    } catch (err) { setError(describeStorageError(err)); }
+    finally { setBusy(false); }
+  };
+  const remove = async (id) => { setConfirmDelete(null); try { await deletePhoto(id); await reload(); } catch (err) { setError(describeStorageError(err)); } };
+  const openCompare = () => {
+    const dates = byDate.map(d => d.date);
+    setCompare({ a: dates[dates.length - 1], b: dates[0], pose: PHOTO_POSES.find(x => photos.some(p => p.pose === x.key))?.key || "front", mode: "side" });
+  };
+  const thumbBox = { width: "100%", aspectRatio: "3 / 4", borderRadius: 6, background: COLORS.surfaceDark, border: `1px solid ${COLORS.border}`, objectFit: "cover", display: "block" };
+
+  return (<>
+    <SectionHeader right={byDate.length > 1 && <Btn variant="ghost" onClick={() => compare ? setCompare(null) : openCompare()} style={{ fontSize: 10, color: compare ? COLORS.accent : undefined }}>COMPARE</Btn>}>Progress Photos</SectionHeader>
+    <Card style={{ marginBottom: 20 }}>
+      <div style={{ display: "flex", gap: 10, alignItems: "flex-end" }}>
+        <div style={{ flex: 1 }}><Input label="Date" type="date" value={form.date} onChange={e => setForm(f => ({ ...f, date: e.target.value }))} /></div>
+        <div style={{ flex: 1 }}><Select label="Pose" value={form.pose} onChange={e => setForm(f => ({ ...f, pose: e.target.value }))} options={PHOTO_POSES.map(x => ({ value: x.key, label: x.label }))} /></div>
+      </div>
+      <div style={{ display: "flex", gap: 8 }}>
+        <Btn onClick={() => cameraRef.current?.click()} style={{ opacity: busy ? 0.4 : 1 }}>{busy ? "SAVING..." : "CAMERA"}</Btn>
+        <Btn variant="secondary" onClick={() => uploadRef.current?.click()} style={{ opacity: busy ? 0.4 : 1 }}>UPLOAD</Btn>
+        <input ref={cameraRef} type="file" accept="image/*" capture="environment" onChange={onFile} disabled={busy} style={{ display: "none" }} />
+        <input ref={uploadRef} type="file" accept="image/*" onChange={onFile} disabled={busy} style={{ display: "none" }} />
+      </div>
+      {error && <div style={{ fontFamily: FONTS, fontSize: 11, color: COLORS.danger, marginTop: 10 }}>{error}</div>}
+      <div style={{ fontFamily: FONT_BODY, fontSize: 11, color: COLORS.textMuted, marginTop: 10 }}>Stored only on this device. Backups include them only if you choose to.</div>
+    </Card>
+
+    {compare && <PhotoCompare {...compare} photos={photos} dates={byDate.map(d => d.date)} weights={weights} measurements={measurements} units={units} onChange={(patch) => setCompare(c => ({ ...c, ...patch }))} />}
+
+    {byDate.length > 0 && <Card style={{ marginBottom: 20 }}>
+      {byDate.slice(0, showAll ? undefined : 4).map(({ date, poses }) => (
+        <div key={date} style={{ padding: "8px 0", borderBottom: `1px solid ${COLORS.border}` }}>
+          <div style={{ fontFamily: FONTS, fontSize: 11, color: COLORS.textDim, marginBottom: 6 }}>{formatDate(date)}</div>
+          <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 1fr", gap: 8 }}>
+            {PHOTO_POSES.map(x => { const p = poses[x.key]; return (
+              <div key={x.key} style={{ position: "relative" }}>
+                {p ? <img src={p.thumb} alt={`${x.label} ${date}`} style={thumbBox} /> : <div style={{ ...thumbBox, display: "flex", alignItems: "center", justifyContent: "center", fontFamily: FONTS, fontSize: 9, color: COLORS.textMuted }}>{x.label.toUpperCase()}</div>}
+                {p && (confirmDelete === p.id
+                  ? <div style={{ position: "absolute", inset: 0, display: "flex", flexDirection: "column", gap: 4, alignItems: "center", justifyContent: "center", background: COLORS.surfaceDark + "dd", borderRadius: 6 }}>
+                      <Btn variant="danger" onClick={() => remove(p.id)} style={{ fontSize: 9, padding: "4px 8px" }}>DELETE</Btn>
+                      <Btn variant="ghost" onClick={() => setConfirmDelete(null)} style={{ fontSize: 9, padding: "4px 8px" }}>KEEP</Btn>
+                    </div>
+                  : <button onClick={() => setConfirmDelete(p.id)} style={{ position: "absolute", top: 2, right: 2, background: COLORS.surfaceDark + "aa", border: "none", borderRadius: 10, color: COLORS.textDim, cursor: "pointer", fontSize: 12, width: 20, height: 20 }}>×</button>)}
+              </div>
+            ); })}
+          </div>
+        </div>
+      ))}
+      {byDate.length > 4 && <Btn variant="ghost" onClick={() => setShowAll(!showAll)} style={{ width: "100%", marginTop: 8, fontSize: 10 }}>{showAll ? "SHOW LESS" : `SHOW ALL ${byDate.length} DATES`}</Btn>}
+    </Card>}
+  </>);
+}
+
+// Two dates of one pose, side by side or stacked under a slider, each labelled with that day's trend weight and tape.
+function PhotoCompare({ a, b, pose, mode, split = 50, photos, dates, weights, measurements, units, onChange }) {
+  const [urls, setUrls] = useState({});
+  useEffect(() => {
+    const made = Object.fromEntries([a, b].map(d => [d, photos.find(p => p.date === d && p.pose === pose)]).filter(([, p]) => p).map(([d, p]) => [d, URL.createObjectURL(p.image)]));
+    setUrls(made);
+    return () => Object.values(made).forEach(u => URL.revokeObjectURL(u));
+  }, [a, b, pose, photos]);
+  const trend = useMemo(() => calcTrend(weights), [weights]);
+  const caption = (d) => {
+    const t = trend.filter(e => e.date <= d).pop(), m = measurementsOn(measurements, d);
+    return [t && daysBetween(t.date, d) < 7 ? formatBodyWeight(t.trend, units) : null,
+      ...MEASUREMENT_SITES.filter(x => m[x.key]).map(x => `${x.label.toLowerCase()} ${toLengthUnit(m[x.key], units)}${lengthUnit(units)}`),
+      m.bodyFat ? `${m.bodyFat}% BF` : null].filter(Boolean).join(" · ") || "no weigh-in or measurements";
+  };
+  const frame = { width: "100%", height: 360, objectFit: "contain", background: COLORS.surfaceDark, borderRadius: 8, display: "block" };
+  const missing = <div style={{ ...frame, display: "flex", alignItems: "center", justifyContent: "center", fontFamily: FONTS, fontSize: 10, color: COLORS.textMuted }}>NO {pose.toUpperCase()} PHOTO</div>;
+  const label = (d) => <div style={{ fontFamily: FONTS, fontSize: 11, color: COLORS.text, marginTop: 6 }}>{formatDate(d)}<div style={{ fontSize: 9, color: COLORS.textMuted, marginTop: 2 }}>{caption(d)}</div></div>;
+  const dateOptions = dates.map(d => ({ value: d, label: formatDate(d) }));
+
+  return (
+    <Card style={{ marginBottom: 20 }}>
+      <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 1fr", gap: 8 }}>
+        <Select label="Before" value={a} onChange={e => onChange({ a: e.target.value })} options={dateOptions} />
+        <Select label="After" value={b} onChange={e => onChange({ b: e.target.value })} options={dateOptions} />
+        <Select label="Pose" value={pose} onChange={e => onChange({ pose: e.target.value })} options={PHOTO_POSES.map(x => ({ value: x.key, label: x.label }))} />
+      </div>
+      <div style={{ display: "flex", gap: 6, marginBottom: 12 }}>
+        {[{ k: "side", l: "SIDE BY SIDE" }, { k: "overlay", l: "OVERLAY" }].map(m => <Btn key={m.k} variant={mode === m.k ? "primary" : "secondary"} onClick={() => onChange({ mode: m.k })} style={{ fontSize: 10, padding: "6px 10px" }}>{m.l}</Btn>)}
+      </div>
+      {mode === "side" ? (
+        <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 8 }}>
+          {[a, b].map((d, i) => <div key={i}>{urls[d] ? <img src={urls[d]} alt={`${pose} ${d}`} style={frame} /> : missing}{label(d)}</div>)}
+        </div>
+      ) : (<>
+        <div style={{ position: "relative" }}>
+          {urls[b] ? <img src={urls[b]} alt={`${pose} ${b}`} style={frame} /> : missing}
+          {urls[a] && <img src={urls[a]} alt={`${pose} ${a}`} style={{ ...frame, position: "absolute", top: 0, left: 0, clipPath: `inset(0 ${100 - split}% 0 0)` }} />}
+          <div style={{ position: "absolute", top: 0, bottom: 0, left: `${split}%`, width: 2, background: COLORS.accent, pointerEvents: "none" }} />
+        </div>
+        <input type="range" min={0} max={100} value={split} onChange={e => onChange({ split: parseInt(e.target.value) })} style={{ width: "100%", accentColor: COLORS.accent, marginTop: 8 }} />
+        <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 8 }}>{label(a)}<div style={{ textAlign: "right" }}>{label(b)}</div></div>
+      </>)}
+    </Card>
+  );
+}
+
 // ==================== TRAINING ====================
-function TrainingView({ program, workouts, onSaveWorkouts, onSaveProgram }) {
+function TrainingView({ program, programs, workouts, onSaveWorkouts, onSaveProgram, onSavePrograms, units }) {
   const [sel, setSel] = useState(0); const [logging, setLogging] = useState(false); const [logData, setLogData] = useState([]);
-  const startLog = (i) => { setLogData(program.sessions[i].exercises.map(e => ({ name: e.name, sets: Array.from({length: e.sets}, () => ({weight: e.weight||"", reps: ""})), targetReps: `${e.repsMin}-${e.repsMax}` }))); setSel(i); setLogging(true); };
+  const [configuring, setConfiguring] = useState(null); const [showIncrements, setShowIncrements] = useState(false);
+  const [editing, setEditing] = useState(null); const [showLibrary, setShowLibrary] = useState(false); const [confirmDelete, setConfirmDelete] = useState(null);
+  const [detail, setDetail] = useState(null); const [newPRs, setNewPRs] = useState([]);
+  const prescribe = (ex) => calcProgression(ex, exerciseHistory(workouts, ex), getIncrement(ex, program));
+  const startLog = (i) => { setLogData(program.sessions[i].exercises.map(e => { const rx = prescribe(e); const w = rx.weight || e.weight; return { id: e.id, name: e.name, muscle: muscleFor(e), sets: Array.from({length: e.sets}, () => ({weight: w ? toLoadUnit(w, units) : "", reps: "", prescribed: w || null})), targetReps: `${e.repsMin}-${e.repsMax}`, rx }; })); setSel(i); setLogging(true); };
+  const updateExercise = (id, patch) => onSaveProgram({ ...program, sessions: program.sessions.map(s => ({ ...s, exercises: s.exercises.map(ex => ex.id === id ? { ...ex, ...patch } : ex) })) });
+  const incrementInput = (value, onChange) => <input type="number" step="0.5" value={value === undefined ? "" : toLoadUnit(value, units)} onChange={e => onChange(e.target.value === "" ? undefined : fromLoadUnit(e.target.value, units))} style={{ width: 70, background: COLORS.surfaceLight, border: `1px solid ${COLORS.border}`, borderRadius: 6, padding: "6px 8px", color: COLORS.text, fontFamily: FONTS, fontSize: 12 }} />;
+  const rxLabel = (rx) => rx.action === "start" ? (rx.weight ? `${formatLoad(rx.weight, units)} × ${rx.reps}` : "Find working load") : `${rx.weight ? formatLoad(rx.weight, units) : "BW"} × ${rx.reps}`;
   const updateSet = (ei, si, f, v) => setLogData(d => { const c = d.map(e => ({...e, sets: e.sets.map(s => ({...s}))})); c[ei].sets[si][f] = v; return c; });
+  const setLoad = (s) => fromUnitInput(s.weight, s.prescribed, toLoadUnit, fromLoadUnit, units) || 0;
   const saveWo = () => {
-    const entry = { date: today(), sessionName: program.sessions[sel].name, sessionIdx: sel, exercises: logData.map(e => ({ name: e.name, sets: e.sets.map(s => ({ weight: parseFloat(s.weight)||0, reps: parseInt(s.reps)||0 })) })) };
-    onSaveWorkouts([...workouts, entry]);
-    onSaveProgram({ ...program, sessions: program.sessions.map((s,i) => { if (i!==sel) return s; return {...s, exercises: s.exercises.map((ex,j) => { const l=logData[j]; if(!l) return ex; const mw=Math.max(...l.sets.map(s=>parseFloat(s.weight)||0)); return mw>0?{...ex,weight:mw}:ex; })}; }) });
+    const session = program.sessions[sel];
+    const entry = { id: uid("wo"), date: today(), programId: program.id, sessionId: session.id, sessionName: session.name, exercises: logData.map(e => ({ exerciseId: e.id, name: e.name, muscle: e.muscle, sets: e.sets.map(s => ({ weight: setLoad(s), reps: parseInt(s.reps)||0 })) })) };
+    const prs = detectPRs(workouts, entry);
+    onSaveWorkouts([...workouts, prs.length ? { ...entry, prs } : entry]);
+    setNewPRs(prs);
+    const top = Object.fromEntries(logData.map(l => [l.id, Math.max(...l.sets.map(setLoad))]));
+    onSaveProgram({ ...program, sessions: program.sessions.map(s => ({...s, exercises: s.exercises.map(ex => top[ex.id]>0?{...ex,weight:top[ex.id]}:ex)})) });
     setLogging(false);
   };
-  const getHist = (name) => workouts.filter(w => w.exercises.some(e => e.name===name)).map(w => { const e=w.exercises.find(e=>e.name===name); const ts=e.sets.reduce((b,s)=>s.weight*s.reps>b.weight*b.reps?s:b,{weight:0,reps:0}); return {date:w.date,topWeight:ts.weight,topReps:ts.reps,volume:e.sets.reduce((s,x)=>s+x.weight*x.reps,0)}; }).sort((a,b)=>new Date(a.date)-new Date(b.date));
+  const getHist = (id) => workouts.filter(w => w.exercises.some(e => e.exerciseId===id)).map(w => { const e=w.exercises.find(e=>e.exerciseId===id); const ts=e.sets.reduce((b,s)=>s.weight*s.reps>b.weight*b.reps?s:b,{weight:0,reps:0}); return {date:w.date,topWeight:ts.weight,topReps:ts.reps,volume:e.sets.reduce((s,x)=>s+x.weight*x.reps,0)}; }).sort((a,b)=>new Date(a.date)-new Date(b.date));
+
+  const startEdit = (base) => { setEditing(base); setShowLibrary(false); setConfiguring(null); };
+  const blankProgram = () => withProgramIds({ name: "New Program", type: "Custom", sessions: [{ name: "Session A", exercises: [] }] });
+  const copyProgram = (p) => ({ ...p, id: uid("prog"), name: `${p.name} (copy)`, sessions: p.sessions.map(sn => ({ ...sn, id: uid("ses") })) });
+
+  if (detail) return <ExerciseDetail exercise={detail} workouts={workouts} units={units} onBack={() => setDetail(null)} />;
+
+  if (editing) return <ProgramEditor key={editing.id} program={editing} programs={programs} workouts={workouts} onSave={(p) => { onSaveProgram(p); setEditing(null); }} onCancel={() => setEditing(null)} />;
 
   if (logging) return (
     <div>
       <SectionHeader right={<Btn variant="ghost" onClick={() => setLogging(false)}>CANCEL</Btn>}>{program.sessions[sel].name}</SectionHeader>
       {logData.map((ex, ei) => (
         <Card key={ei} style={{ marginBottom: 12 }}>
-          <div style={{ display: "flex", justifyContent: "space-between", marginBottom: 10 }}><div style={{ fontFamily: FONTS, fontSize: 13, fontWeight: 600 }}>{ex.name}</div><div style={{ fontFamily: FONTS, fontSize: 10, color: COLORS.textMuted }}>Target: {ex.targetReps}</div></div>
+          <div style={{ display: "flex", justifyContent: "space-between", marginBottom: 4 }}><div style={{ fontFamily: FONTS, fontSize: 13, fontWeight: 600 }}>{ex.name}</div><div style={{ fontFamily: FONTS, fontSize: 10, color: COLORS.textMuted }}>Range: {ex.targetReps}</div></div>
+          <div style={{ fontFamily: FONTS, fontSize: 10, color: PROGRESSION_STYLE[ex.rx.action].color, marginBottom: 10 }}>{PROGRESSION_STYLE[ex.rx.action].icon} TODAY: {rxLabel(ex.rx)} — {ex.rx.reason}</div>
           {ex.sets.map((set, si) => (
             <div key={si} style={{ display: "flex", gap: 8, alignItems: "center", marginBottom: 6 }}>
               <span style={{ fontFamily: FONTS, fontSize: 11, color: COLORS.textMuted, width: 30 }}>S{si+1}</span>
-              <input type="number" placeholder="kg" value={set.weight} onChange={e => updateSet(ei, si, "weight", e.target.value)} style={{ flex: 1, background: COLORS.surfaceLight, border: `1px solid ${COLORS.border}`, borderRadius: 6, padding: "8px 10px", color: COLORS.text, fontFamily: FONTS, fontSize: 13 }} />
+              <input type="number" placeholder={units.load} value={set.weight} onChange={e => updateSet(ei, si, "weight", e.target.value)} style={{ flex: 1, background: COLORS.surfaceLight, border: `1px solid ${COLORS.border}`, borderRadius: 6, padding: "8px 10px", color: COLORS.text, fontFamily: FONTS, fontSize: 13 }} />
               <span style={{ fontFamily: FONTS, fontSize: 11, color: COLORS.textMuted }}>×</span>
               <input type="number" placeholder="reps" value={set.reps} onChange={e => updateSet(ei, si, "reps", e.target.value)} style={{ flex: 1, background: COLORS.surfaceLight, border: `1px solid ${COLORS.border}`, borderRadius: 6, padding: "8px 10px", color: COLORS.text, fontFamily: FONTS, fontSize: 13 }} />
             </div>
@@ -779,45 +2819,307 @@ function TrainingView({ program, workouts, onSaveWorkouts, onSaveProgram }) {
 
   return (
     <div>
-      <SectionHeader>Program: {program?.type}</SectionHeader>
-      {program?.sessions.map((session, si) => { const recent=[...workouts].reverse().find(w=>w.sessionIdx===si); return (
-        <Card key={si} style={{ marginBottom: 12 }}>
+      <SectionHeader right={<div style={{ display: "flex" }}>
+        <Btn variant="ghost" onClick={() => startEdit(program)} style={{ fontSize: 10 }}>EDIT</Btn>
+        <Btn variant="ghost" onClick={() => setShowLibrary(!showLibrary)} style={{ fontSize: 10, color: showLibrary ? COLORS.accent : undefined }}>PROGRAMS</Btn>
+        <Btn variant="ghost" onClick={() => setShowIncrements(!showIncrements)} style={{ fontSize: 10, color: showIncrements ? COLORS.accent : undefined }}>INCREMENTS</Btn>
+      </div>}>{program?.name || program?.type}</SectionHeader>
+      {showLibrary && (
+        <Card style={{ marginBottom: 12 }}>
+          <div style={{ fontFamily: FONTS, fontSize: 11, color: COLORS.textDim, letterSpacing: "0.08em", marginBottom: 10 }}>SAVED PROGRAMS</div>
+          {programs.map(p => (
+            <div key={p.id} style={{ display: "flex", justifyContent: "space-between", alignItems: "center", padding: "6px 0", borderTop: `1px solid ${COLORS.border}` }}>
+              <div><div style={{ fontSize: 13 }}>{p.name}</div><div style={{ fontFamily: FONTS, fontSize: 10, color: COLORS.textMuted }}>{p.sessions.length} sessions · {p.sessions.reduce((n, sn) => n + sn.exercises.length, 0)} exercises</div></div>
+              {p.id === program.id ? <span style={{ fontFamily: FONTS, fontSize: 10, color: COLORS.accent }}>ACTIVE</span> : (
+                <div style={{ display: "flex", gap: 6 }}>
+                  <Btn variant="secondary" onClick={() => { onSaveProgram(p); setConfirmDelete(null); }} style={{ fontSize: 10, padding: "6px 10px" }}>USE</Btn>
+                  <Btn variant="danger" onClick={() => { if (confirmDelete !== p.id) return setConfirmDelete(p.id); onSavePrograms(programs.filter(x => x.id !== p.id)); setConfirmDelete(null); }} style={{ fontSize: 10, padding: "6px 10px" }}>{confirmDelete === p.id ? "CONFIRM" : "DELETE"}</Btn>
+                </div>
+              )}
+            </div>
+          ))}
+          <div style={{ display: "flex", gap: 8, marginTop: 10 }}>
+            <Btn variant="secondary" onClick={() => startEdit(blankProgram())} style={{ flex: 1, fontSize: 11 }}>+ NEW</Btn>
+            <Btn variant="secondary" onClick={() => startEdit(copyProgram(program))} style={{ flex: 1, fontSize: 11 }}>DUPLICATE ACTIVE</Btn>
+          </div>
+          <div style={{ fontFamily: FONT_BODY, fontSize: 11, color: COLORS.textMuted, marginTop: 8 }}>Logged history belongs to the exercise, not the program — switching programs keeps every lift's progress.</div>
+        </Card>
+      )}
+      {showIncrements && (
+        <Card style={{ marginBottom: 12 }}>
+          <div style={{ fontFamily: FONTS, fontSize: 11, color: COLORS.textDim, letterSpacing: "0.08em", marginBottom: 10 }}>LOAD INCREMENTS ({units.load})</div>
+          {[{ k: "barbell", l: "Barbell — upper" }, { k: "barbell_lower", l: "Barbell — squat / hinge" }, { k: "dumbbell", l: "Dumbbell" }, { k: "machine", l: "Machine / cable" }].map(i => (
+            <div key={i.k} style={{ display: "flex", justifyContent: "space-between", alignItems: "center", padding: "4px 0" }}>
+              <span style={{ fontFamily: FONTS, fontSize: 12, color: COLORS.textDim }}>{i.l}</span>
+              {incrementInput(program.increments?.[i.k] ?? DEFAULT_INCREMENTS[i.k], v => onSaveProgram({ ...program, increments: { ...program.increments, [i.k]: v } }))}
+            </div>
+          ))}
+          <div style={{ fontFamily: FONT_BODY, fontSize: 11, color: COLORS.textMuted, marginTop: 6 }}>Load goes up once every set hits the top of the rep range, and backs off ~10% after two sessions below it. Per-exercise steps (⚙) override these.</div>
+        </Card>
+      )}
+      {newPRs.length > 0 && (
+        <Card glow={COLORS.accent} style={{ marginBottom: 12 }}>
+          <div style={{ display: "flex", justifyContent: "space-between", marginBottom: 8 }}><span style={{ fontFamily: FONTS, fontSize: 11, color: COLORS.accent, letterSpacing: "0.08em" }}>🏆 NEW PERSONAL RECORDS</span><button onClick={() => setNewPRs([])} style={{ background: "none", border: "none", color: COLORS.textMuted, cursor: "pointer" }}>×</button></div>
+          {newPRs.map((p, i) => <div key={i} style={{ fontFamily: FONTS, fontSize: 12, padding: "2px 0" }}>{p.name} — {prLabel(p, units)}{p.previous ? <span style={{ color: COLORS.textMuted }}> (was {p.kind === "maxReps" ? p.previous : formatLoad(p.previous, units)})</span> : null}</div>)}
+        </Card>
+      )}
+      {program?.sessions.map((session, si) => { const recent=[...workouts].reverse().find(w=>w.sessionId===session.id); return (
+        <Card key={session.id} style={{ marginBottom: 12 }}>
           <div style={{ display: "flex", justifyContent: "space-between", marginBottom: 12 }}>
             <div><div style={{ fontFamily: FONTS, fontSize: 14, fontWeight: 600 }}>{session.name}</div><div style={{ fontFamily: FONTS, fontSize: 10, color: COLORS.textMuted, marginTop: 3 }}>{recent?`Last: ${formatDate(recent.date)}`:"Not logged"}</div></div>
-            <Btn onClick={() => startLog(si)} style={{ fontSize: 11, padding: "8px 14px" }}>LOG</Btn>
+            <Btn onClick={() => startLog(si)} disabled={!session.exercises.length} style={{ fontSize: 11, padding: "8px 14px", opacity: session.exercises.length ? 1 : 0.4 }}>LOG</Btn>
           </div>
-          {session.exercises.map((ex,ei) => { const h=getHist(ex.name); const last=h.length>0?h[h.length-1]:null; return (
-            <div key={ei} style={{ display: "flex", justifyContent: "space-between", padding: "6px 0", borderTop: ei>0?`1px solid ${COLORS.border}`:"none" }}>
-              <div><span style={{ fontSize: 13 }}>{ex.name}</span><span style={{ fontFamily: FONTS, fontSize: 10, color: COLORS.textMuted, marginLeft: 8 }}>{ex.sets}×{ex.repsMin}-{ex.repsMax}</span></div>
-              <span style={{ fontFamily: FONTS, fontSize: 11, color: last?COLORS.accent:COLORS.textMuted }}>{last?`${last.topWeight}kg × ${last.topReps}`:"—"}</span>
+          {session.exercises.map((ex,ei) => { const h=getHist(ex.id); const last=h.length>0?h[h.length-1]:null; const rx=prescribe(ex); const key=`${si}-${ei}`; return (
+            <div key={ex.id} style={{ padding: "6px 0", borderTop: ei>0?`1px solid ${COLORS.border}`:"none" }}>
+              <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+                <div><span onClick={() => setDetail(ex)} style={{ fontSize: 13, cursor: "pointer", borderBottom: h.length ? `1px dotted ${COLORS.textMuted}` : "none" }}>{ex.name}</span><span style={{ fontFamily: FONTS, fontSize: 10, color: COLORS.textMuted, marginLeft: 8 }}>{ex.sets}×{ex.repsMin}-{ex.repsMax}</span></div>
+                <div style={{ display: "flex", alignItems: "center", gap: 6 }}>
+                  <div style={{ textAlign: "right" }}>
+                    <div style={{ fontFamily: FONTS, fontSize: 11, color: PROGRESSION_STYLE[rx.action].color }}>{PROGRESSION_STYLE[rx.action].icon} {rxLabel(rx)}</div>
+                    <div style={{ fontFamily: FONTS, fontSize: 9, color: COLORS.textMuted }}>{last?`last ${formatLoad(last.topWeight, units)} × ${last.topReps}`:"not logged"}</div>
+                  </div>
+                  <button onClick={() => setConfiguring(configuring === key ? null : key)} style={{ background: "none", border: "none", color: configuring === key ? COLORS.accent : COLORS.textMuted, cursor: "pointer", fontSize: 13 }}>⚙</button>
+                </div>
+              </div>
+              {configuring === key && (
+                <div style={{ display: "flex", gap: 8, alignItems: "flex-end", marginTop: 8 }}>
+                  <div style={{ flex: 1 }}><Select label="Equipment" value={ex.equipment || inferEquipment(ex.name)} onChange={e => updateExercise(ex.id, { equipment: e.target.value })} options={EQUIPMENT_OPTIONS} /></div>
+                  <div style={{ marginBottom: 14 }}><label style={{ display: "block", fontFamily: FONTS, fontSize: 11, color: COLORS.textDim, marginBottom: 5 }}>STEP ({units.load})</label>{incrementInput(ex.increment ?? getIncrement(ex, program), v => updateExercise(ex.id, { increment: v }))}</div>
+                  {ex.increment !== undefined && <Btn variant="ghost" onClick={() => updateExercise(ex.id, { increment: undefined })} style={{ fontSize: 10, marginBottom: 14 }}>DEFAULT</Btn>}
+                </div>
+              )}
             </div>
           ); })}
         </Card>
       ); })}
+      <MuscleVolume workouts={workouts} experience={program?.experience} />
+    </div>
+  );
+}
+
+// Last 7 days of working sets per muscle against the weekly target for the program's experience level.
+function MuscleVolume({ workouts, experience }) {
+  const counts = weeklyMuscleSets(workouts);
+  const base = WEEKLY_SETS[experience] ?? WEEKLY_SETS.intermediate;
+  const rows = MUSCLE_GROUPS.map(m => ({ m, n: counts[m] || 0, target: Math.round(base * (SMALL_MUSCLES.includes(m) ? 0.6 : 1)) }));
+  return (
+    <Card>
+      <div style={{ fontFamily: FONTS, fontSize: 11, color: COLORS.textDim, letterSpacing: "0.08em", marginBottom: 10 }}>SETS PER MUSCLE — LAST 7 DAYS</div>
+      {rows.map(r => (
+        <div key={r.m} style={{ display: "flex", alignItems: "center", gap: 8, padding: "3px 0" }}>
+          <span style={{ fontFamily: FONTS, fontSize: 10, color: COLORS.textDim, width: 80, textTransform: "uppercase" }}>{r.m}</span>
+          <div style={{ flex: 1, height: 6, background: COLORS.surfaceLight, borderRadius: 3, overflow: "hidden" }}><div style={{ width: `${Math.min(100, r.n / r.target * 100)}%`, height: "100%", background: r.n >= r.target ? COLORS.accent : r.n >= r.target / 2 ? COLORS.warning : COLORS.danger }} /></div>
+          <span style={{ fontFamily: FONTS, fontSize: 10, color: COLORS.textMuted, width: 40, textAlign: "right" }}>{r.n}/{r.target}</span>
+        </div>
+      ))}
+      {counts.other > 0 && <div style={{ fontFamily: FONTS, fontSize: 10, color: COLORS.textMuted, marginTop: 6 }}>+{counts.other} sets on unmapped exercises — set their muscle in EDIT</div>}
+    </Card>
+  );
+}
+
+function ExerciseDetail({ exercise, workouts, units, onBack }) {
+  const [formula, setFormula] = useState("epley");
+  const sessions = exerciseSessions(workouts, exercise.id, formula);
+  const prs = calcPRs(sessions);
+  const lu = (kg) => toLoadUnit(kg, units);
+  const chart = sessions.map(x => ({ date: x.date, e1rm: x.e1rm === null ? null : lu(x.e1rm), tonnage: lu(x.tonnage) }));
+  const tip = { background: COLORS.surface, border: `1px solid ${COLORS.border}`, borderRadius: 8, fontFamily: FONTS, fontSize: 11 };
+  const axis = { fontSize: 9, fill: COLORS.textMuted, fontFamily: FONTS };
+  const loaded = sessions.some(x => x.e1rm);
+  return (
+    <div>
+      <SectionHeader right={<Btn variant="ghost" onClick={onBack}>BACK</Btn>}>{exercise.name}</SectionHeader>
+      {sessions.length === 0 ? <Card><div style={{ fontFamily: FONT_BODY, fontSize: 13, color: COLORS.textMuted }}>No sessions logged for this exercise yet.</div></Card> : <>
+        <div style={{ display: "flex", gap: 8, marginBottom: 12 }}>
+          <StatBox small label="Best e1RM" value={prs.e1rm ? lu(prs.e1rm.e1rm) : "—"} unit={prs.e1rm ? units.load : ""} sub={prs.e1rm ? formatDate(prs.e1rm.date) : ""} />
+          <StatBox small label="Last e1RM" value={sessions[sessions.length - 1].e1rm ? lu(sessions[sessions.length - 1].e1rm) : "—"} unit={loaded ? units.load : ""} />
+          <StatBox small label="Sessions" value={sessions.length} sub={muscleFor(exercise)} />
+        </div>
+        {loaded && sessions.length > 1 && (
+          <Card style={{ marginBottom: 12 }}>
+            <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 12 }}>
+              <span style={{ fontFamily: FONTS, fontSize: 11, color: COLORS.textDim, letterSpacing: "0.08em" }}>ESTIMATED 1RM ({units.load})</span>
+              <div style={{ display: "flex", gap: 4 }}>{Object.keys(E1RM_FORMULAS).map(f => <button key={f} onClick={() => setFormula(f)} style={{ background: formula === f ? COLORS.accentDim : "transparent", border: `1px solid ${formula === f ? COLORS.accent : COLORS.border}`, borderRadius: 6, padding: "3px 8px", color: formula === f ? COLORS.accent : COLORS.textMuted, fontFamily: FONTS, fontSize: 9, cursor: "pointer" }}>{f.toUpperCase()}</button>)}</div>
+            </div>
+            <ResponsiveContainer width="100%" height={150}>
+              <LineChart data={chart} margin={{ top: 5, right: 5, bottom: 5, left: -20 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke={COLORS.border} /><XAxis dataKey="date" tick={axis} tickFormatter={formatDate} /><YAxis domain={["dataMin - 5", "dataMax + 5"]} tick={axis} />
+                <Tooltip contentStyle={tip} /><Line type="monotone" dataKey="e1rm" stroke={COLORS.accent} strokeWidth={2} dot={{ r: 3 }} connectNulls name="e1RM" />
+              </LineChart>
+            </ResponsiveContainer>
+          </Card>
+        )}
+        {loaded && sessions.length > 1 && (
+          <Card style={{ marginBottom: 12 }}>
+            <div style={{ fontFamily: FONTS, fontSize: 11, color: COLORS.textDim, letterSpacing: "0.08em", marginBottom: 12 }}>SESSION TONNAGE ({units.load} × reps)</div>
+            <ResponsiveContainer width="100%" height={120}>
+              <BarChart data={chart} margin={{ top: 5, right: 5, bottom: 5, left: -10 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke={COLORS.border} /><XAxis dataKey="date" tick={axis} tickFormatter={formatDate} /><YAxis tick={axis} />
+                <Tooltip contentStyle={tip} /><Bar dataKey="tonnage" fill={COLORS.blue} radius={[3, 3, 0, 0]} name="Tonnage" />
+              </BarChart>
+            </ResponsiveContainer>
+          </Card>
+        )}
+        <Card style={{ marginBottom: 12 }}>
+          <div style={{ fontFamily: FONTS, fontSize: 11, color: COLORS.textDim, letterSpacing: "0.08em", marginBottom: 10 }}>PERSONAL RECORDS</div>
+          {prs.reps.filter((r, i, a) => !a[i + 1] || a[i + 1].set.weight < r.set.weight).map(r => (
+            <div key={r.n} style={{ display: "flex", justifyContent: "space-between", padding: "4px 0", borderTop: `1px solid ${COLORS.border}` }}>
+              <span style={{ fontFamily: FONTS, fontSize: 11, color: COLORS.textDim }}>{r.n === 1 ? "Heaviest single" : `${r.n}+ reps`}</span>
+              <span style={{ fontFamily: FONTS, fontSize: 12 }}>{formatLoad(r.set.weight, units)} × {r.set.reps} <span style={{ color: COLORS.textMuted, fontSize: 10 }}>{formatDate(r.set.date)}</span></span>
+            </div>
+          ))}
+          {prs.maxReps && <div style={{ display: "flex", justifyContent: "space-between", padding: "4px 0", borderTop: `1px solid ${COLORS.border}` }}><span style={{ fontFamily: FONTS, fontSize: 11, color: COLORS.textDim }}>Most reps in a set</span><span style={{ fontFamily: FONTS, fontSize: 12 }}>{prs.maxReps.reps} <span style={{ color: COLORS.textMuted, fontSize: 10 }}>{formatDate(prs.maxReps.date)}</span></span></div>}
+          {prs.tonnage && <div style={{ display: "flex", justifyContent: "space-between", padding: "4px 0", borderTop: `1px solid ${COLORS.border}` }}><span style={{ fontFamily: FONTS, fontSize: 11, color: COLORS.textDim }}>Session tonnage</span><span style={{ fontFamily: FONTS, fontSize: 12 }}>{formatLoad(prs.tonnage.tonnage, units)} <span style={{ color: COLORS.textMuted, fontSize: 10 }}>{formatDate(prs.tonnage.date)}</span></span></div>}
+        </Card>
+        <Card>
+          <div style={{ fontFamily: FONTS, fontSize: 11, color: COLORS.textDim, letterSpacing: "0.08em", marginBottom: 10 }}>HISTORY</div>
+          {[...sessions].reverse().slice(0, 20).map(x => (
+            <div key={x.workoutId + x.date} style={{ padding: "6px 0", borderTop: `1px solid ${COLORS.border}` }}>
+              <div style={{ display: "flex", justifyContent: "space-between" }}>
+                <span style={{ fontFamily: FONTS, fontSize: 11, color: COLORS.textDim }}>{formatDateFull(x.date)}{x.prs.length > 0 && <span style={{ color: COLORS.accent }}> 🏆 {x.prs.length} PR{x.prs.length > 1 ? "s" : ""}</span>}</span>
+                <span style={{ fontFamily: FONTS, fontSize: 11, color: COLORS.textMuted }}>{x.e1rm ? `e1RM ${formatLoad(x.e1rm, units)}` : ""}</span>
+              </div>
+              <div style={{ fontFamily: FONTS, fontSize: 11, marginTop: 3 }}>{x.sets.map(s => `${s.weight ? lu(s.weight) : "BW"}×${s.reps}`).join("  ")}</div>
+            </div>
+          ))}
+        </Card>
+      </>}
+    </div>
+  );
+}
+
+const EXERCISE_TYPES = [{ value: "primary", label: "Primary" }, { value: "compound", label: "Compound" }, { value: "accessory", label: "Accessory" }];
+const moveItem = (list, i, d) => { const j = i + d; if (j < 0 || j >= list.length) return list; const c = [...list]; [c[i], c[j]] = [c[j], c[i]]; return c; };
+
+// Edits a copy of `program`. Renaming an exercise makes it a different exercise: it picks up the history of any
+// exercise already logged under the new name, or starts fresh.
+function ProgramEditor({ program, programs, workouts, onSave, onCancel }) {
+  const [draft, setDraft] = useState(() => JSON.parse(JSON.stringify(program)));
+  const [error, setError] = useState(null);
+  const known = useMemo(() => knownExerciseIds(programs, workouts), [programs, workouts]);
+  const setSessions = (fn) => setDraft(d => ({ ...d, sessions: fn(d.sessions) }));
+  const setSession = (si, patch) => setSessions(ss => ss.map((sn, i) => i === si ? { ...sn, ...patch } : sn));
+  const setExercises = (si, fn) => setSessions(ss => ss.map((sn, i) => i === si ? { ...sn, exercises: fn(sn.exercises) } : sn));
+  const setExercise = (si, ei, patch) => setExercises(si, exs => exs.map((ex, i) => i === ei ? { ...ex, ...patch } : ex));
+  const num = { background: COLORS.surfaceLight, border: `1px solid ${COLORS.border}`, borderRadius: 6, padding: "6px 4px", color: COLORS.text, fontFamily: FONTS, fontSize: 12, width: 44, textAlign: "center" };
+  const icon = { background: "none", border: "none", color: COLORS.textMuted, cursor: "pointer", fontSize: 13, padding: "0 4px" };
+
+  const save = () => {
+    const p = { ...draft, name: draft.name.trim(), sessions: draft.sessions.map(sn => ({ ...sn, name: sn.name.trim(), exercises: sn.exercises.map(ex => ({ ...ex, name: ex.name.trim(), sets: parseInt(ex.sets) || 0, repsMin: parseInt(ex.repsMin) || 0, repsMax: parseInt(ex.repsMax) || 0 })) })) };
+    const exs = p.sessions.flatMap(sn => sn.exercises);
+    const problem = !p.name ? "Give the program a name"
+      : !p.sessions.length ? "Add at least one session"
+      : p.sessions.some(sn => !sn.name) ? "Every session needs a name"
+      : exs.some(ex => !ex.name) ? "Every exercise needs a name"
+      : exs.some(ex => ex.sets < 1 || ex.repsMin < 1 || ex.repsMax < ex.repsMin) ? "Sets must be at least 1 and the rep range low–high"
+      : null;
+    if (problem) return setError(problem);
+    onSave(withProgramIds(p, new Map(known)));
+  };
+
+  return (
+    <div>
+      <SectionHeader right={<Btn variant="ghost" onClick={onCancel}>CANCEL</Btn>}>Edit Program</SectionHeader>
+      <datalist id="exercise-names">{[...known.keys()].map(n => <option key={n} value={n} />)}</datalist>
+      <Input label="Program name" value={draft.name} onChange={e => setDraft({ ...draft, name: e.target.value })} />
+      {draft.sessions.map((sn, si) => (
+        <Card key={sn.id || si} style={{ marginBottom: 12 }}>
+          <div style={{ display: "flex", gap: 6, alignItems: "center", marginBottom: 10 }}>
+            <input value={sn.name} onChange={e => setSession(si, { name: e.target.value })} placeholder="Session name" style={{ flex: 1, background: COLORS.surfaceLight, border: `1px solid ${COLORS.border}`, borderRadius: 6, padding: "8px 10px", color: COLORS.text, fontFamily: FONTS, fontSize: 13, fontWeight: 600 }} />
+            <button onClick={() => setSessions(ss => moveItem(ss, si, -1))} style={icon}>↑</button>
+            <button onClick={() => setSessions(ss => moveItem(ss, si, 1))} style={icon}>↓</button>
+            <button onClick={() => setSessions(ss => ss.filter((_, i) => i !== si))} style={{ ...icon, color: COLORS.danger }}>×</button>
+          </div>
+          {sn.exercises.length > 0 && <div style={{ display: "flex", gap: 4, fontFamily: FONTS, fontSize: 9, color: COLORS.textMuted, marginBottom: 4 }}><span style={{ flex: 1 }}>EXERCISE</span><span style={{ width: 44, textAlign: "center" }}>SETS</span><span style={{ width: 44, textAlign: "center" }}>MIN</span><span style={{ width: 44, textAlign: "center" }}>MAX</span><span style={{ width: 78 }} /></div>}
+          {sn.exercises.map((ex, ei) => (
+            <div key={ei} style={{ padding: "6px 0", borderTop: ei > 0 ? `1px solid ${COLORS.border}` : "none" }}>
+              <div style={{ display: "flex", gap: 4, alignItems: "center" }}>
+                <input list="exercise-names" value={ex.name} onChange={e => setExercise(si, ei, { name: e.target.value, id: undefined, weight: 0, muscle: undefined, equipment: undefined, increment: undefined })} placeholder="Exercise" style={{ flex: 1, minWidth: 0, background: COLORS.surfaceLight, border: `1px solid ${COLORS.border}`, borderRadius: 6, padding: "6px 8px", color: COLORS.text, fontFamily: FONT_BODY, fontSize: 13 }} />
+                <input type="number" value={ex.sets} onChange={e => setExercise(si, ei, { sets: e.target.value })} style={num} />
+                <input type="number" value={ex.repsMin} onChange={e => setExercise(si, ei, { repsMin: e.target.value })} style={num} />
+                <input type="number" value={ex.repsMax} onChange={e => setExercise(si, ei, { repsMax: e.target.value })} style={num} />
+                <button onClick={() => setExercises(si, exs => moveItem(exs, ei, -1))} style={icon}>↑</button>
+                <button onClick={() => setExercises(si, exs => moveItem(exs, ei, 1))} style={icon}>↓</button>
+                <button onClick={() => setExercises(si, exs => exs.filter((_, i) => i !== ei))} style={{ ...icon, color: COLORS.danger }}>×</button>
+              </div>
+              <div style={{ display: "flex", gap: 6, marginTop: 6, alignItems: "center" }}>
+                {EXERCISE_TYPES.map(t => (
+                  <button key={t.value} onClick={() => setExercise(si, ei, { type: t.value })} style={{ background: ex.type === t.value ? COLORS.accentDim : "transparent", border: `1px solid ${ex.type === t.value ? COLORS.accent : COLORS.border}`, borderRadius: 6, padding: "3px 8px", color: ex.type === t.value ? COLORS.accent : COLORS.textMuted, fontFamily: FONTS, fontSize: 9, cursor: "pointer" }}>{t.label.toUpperCase()}</button>
+                ))}
+                <select value={muscleFor(ex)} onChange={e => setExercise(si, ei, { muscle: e.target.value })} style={{ marginLeft: "auto", background: COLORS.surfaceLight, border: `1px solid ${COLORS.border}`, borderRadius: 6, padding: "3px 6px", color: COLORS.textDim, fontFamily: FONTS, fontSize: 9, textTransform: "uppercase" }}>
+                  {[...MUSCLE_GROUPS, "other"].map(m => <option key={m} value={m}>{m}</option>)}
+                </select>
+              </div>
+            </div>
+          ))}
+          <Btn variant="ghost" onClick={() => setExercises(si, exs => [...exs, { name: "", sets: 3, repsMin: 8, repsMax: 12, type: "accessory", weight: 0 }])} style={{ fontSize: 11, marginTop: 6 }}>+ EXERCISE</Btn>
+        </Card>
+      ))}
+      <Btn variant="secondary" onClick={() => setSessions(ss => [...ss, { name: `Session ${String.fromCharCode(65 + ss.length)}`, exercises: [] }])} style={{ width: "100%", marginBottom: 12 }}>+ SESSION</Btn>
+      {error && <div style={{ fontFamily: FONTS, fontSize: 11, color: COLORS.danger, marginBottom: 10 }}>{error}</div>}
+      <Btn onClick={save} style={{ width: "100%", padding: 14, fontSize: 14 }}>SAVE PROGRAM</Btn>
     </div>
   );
 }
 
 // ==================== WEEKLY REVIEW ====================
-function WeeklyReviewView({ checkins, weights, workouts, targets, profile, program, onSaveTargets }) {
-  const [review, setReview] = useState(null); const [loading, setLoading] = useState(false); const [applied, setApplied] = useState(false);
-  const last7 = useMemo(() => [...checkins].sort((a, b) => new Date(b.date) - new Date(a.date)).slice(0, 7), [checkins]);
+function WeeklyReviewView({ checkins, weights, workouts, measurements, targets, profile, program, onSaveTargets, onSaveProfile, analyses, onSaveAnalyses }) {
+  const [loading, setLoading] = useState(false);
+  const verdict = useMemo(() => evaluateCoaching(checkins, weights, targets, profile, measurements), [checkins, weights, targets, profile, measurements]);
+  const last7 = useMemo(() => checkinsInWindow(checkins), [checkins]);
   const hasData = last7.length >= 5;
   const avgCals = last7.length>0 ? Math.round(last7.reduce((s,c) => s+(c.calories||0), 0)/last7.length) : 0;
   const avgProtein = last7.length>0 ? Math.round(last7.reduce((s,c) => s+(c.protein||0), 0)/last7.length) : 0;
   const woDays = last7.filter(c => c.workoutCompleted).length;
   const avgAdh = last7.length>0 ? Math.round(last7.reduce((s,c) => s+calcAdherence(c,targets,profile).total, 0)/last7.length) : 0;
   const wl = calcWeeklyLoss([...weights].sort((a,b) => new Date(a.date)-new Date(b.date)));
-  const hasKey = !!getApiKey();
-
-  const run = async () => { setLoading(true); const r = await getWeeklyReview(checkins, weights, workouts, targets, profile, program); setReview(r); setLoading(false); };
+  const hasKey = isAIConfigured();
+  // This week's review stays on screen until a week has passed; any adjustment applied this week blocks another.
+  const week = analyses.filter(a => daysBetween(a.date, today()) < 7);
+  const reviewRec = week.filter(a => a.kind === "weekly").pop();
+  const review = reviewRec?.response;
+  const applied = week.some(a => a.applied);
+
+  const [error, setError] = useState(null);
+  const ctrlRef = useRef(null);
+  useEffect(() => () => ctrlRef.current?.abort(), []);
+  const run = async () => {
+    const ctrl = new AbortController(); ctrlRef.current = ctrl;
+    setLoading(true); setError(null);
+    try {
+      const response = await getWeeklyReview(checkins, weights, workouts, targets, profile, program, measurements, verdict, { signal: ctrl.signal });
+      const { title, action, change } = verdict;
+      onSaveAnalyses(list => [...list, buildAnalysis("weekly", today(), response, coachSnapshot(today(), checkins, weights, targets, profile), { verdict: { title, action, change } })]);
+    }
+    catch (e) { if (e.kind !== "cancelled") setError(e); }
+    finally { if (ctrlRef.current === ctrl) { ctrlRef.current = null; setLoading(false); } }
+  };
+  const cancel = () => { ctrlRef.current?.abort(); ctrlRef.current = null; setLoading(false); };
+  // Applied changes are recorded on this week's review, or as a verdict-only entry when there is no AI review.
+  const recordApplied = (source, change) => {
+    const stamp = { source, change, at: today() };
+    onSaveAnalyses(reviewRec && !reviewRec.applied ? analyses.map(a => a.id === reviewRec.id ? { ...a, applied: stamp } : a)
+      : [...analyses, buildAnalysis("verdict", today(), null, coachSnapshot(today(), checkins, weights, targets, profile), { provider: null, model: null, verdict: { title: verdict.title, action: verdict.action, change: verdict.change }, applied: stamp })]);
+  };
   const applyAdj = () => {
-    if (!review?.calorieAdjustment?.amount || review.calorieAdjustment.action === "maintain") return;
+    if (applied || !review?.calorieAdjustment?.amount || review.calorieAdjustment.action === "maintain") return;
     const delta = review.calorieAdjustment.action === "decrease" ? -Math.abs(review.calorieAdjustment.amount) : Math.abs(review.calorieAdjustment.amount);
-    const nc = Math.max(1200, targets.calories + delta);
-    const fg = Math.round((nc * 0.25) / 9); const cg = Math.round((nc - (targets.protein * 4) - (fg * 9)) / 4);
-    onSaveTargets({ ...targets, calories: nc, fat: fg, carbs: cg }); setApplied(true);
+    onSaveTargets(applyCoachingChange({ type: "calories", delta }, targets, profile).targets, "ai"); recordApplied("ai", { type: "calories", delta });
   };
+  const applyVerdict = () => {
+    const next = applyCoachingChange(verdict.change, targets, profile);
+    if (next.profile !== profile) onSaveProfile(next.profile);
+    onSaveTargets(next.targets, "engine"); recordApplied("engine", verdict.change);
+  };
+  // With cycling the change moves the weekly average; each day type scales by the same proportion.
+  const cycledAt = (calories) => describeCycling({ ...targets, calories }, profile);
+  const changeLabel = (c) => c.type === "calories" ? `${c.delta > 0 ? "↑" : "↓"} ${Math.abs(c.delta)} kcal → ${Math.max(1200, targets.calories + c.delta)} kcal/day${targets.cycling ? ` avg (${cycledAt(Math.max(1200, targets.calories + c.delta))})` : ""}`
+    : c.type === "steps" ? `Step target → ${c.stepTarget.toLocaleString()}/day`
+    : c.type === "dietBreak" ? `${c.calories} kcal/day for ${c.days} days`
+    : c.type === "phase" ? `${PHASE_TYPES[c.phase].label} at ${c.calories} kcal/day`
+    : `Back to ${c.calories} kcal/day`;
+  const verdictColor = { maintain: COLORS.accent, onBreak: COLORS.blue, resume: COLORS.blue, dietBreak: COLORS.purple, phaseOver: COLORS.purple, reverse: COLORS.textDim, insufficient: COLORS.textMuted, wait: COLORS.textDim }[verdict?.action] || COLORS.warning;
+  const f = verdict?.facts;
 
   return (
     <div>
@@ -825,7 +3127,7 @@ function WeeklyReviewView({ checkins, weights, workouts, targets, profile, progr
       <Card style={{ marginBottom: 16 }}>
         <div style={{ fontFamily: FONTS, fontSize: 11, color: COLORS.textDim, letterSpacing: "0.08em", marginBottom: 12 }}>THIS WEEK</div>
         <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 8 }}>
-          {[{ l:"Avg Cal", v:avgCals, t:targets?.calories, u:"kcal" }, { l:"Avg Protein", v:avgProtein, t:targets?.protein, u:"g" }, { l:"Workouts", v:`${woDays}/${profile.trainingDays}` }, { l:"Adherence", v:`${avgAdh}%`, c:getAdherenceColor(avgAdh) }, { l:"Weekly Loss", v:wl!==null?`${wl} lbs`:"—" }, { l:"Check-ins", v:`${last7.length}/7` }].map(i => (
+          {[{ l:"Avg Cal", v:avgCals, t:targets?.calories, u:"kcal" }, { l:"Avg Protein", v:avgProtein, t:targets?.protein, u:"g" }, { l:"Workouts", v:`${woDays}/${profile.trainingDays}` }, { l:"Adherence", v:`${avgAdh}%`, c:getAdherenceColor(avgAdh, profile) }, { l:"Weekly Loss", v:wl!==null?formatBodyWeight(wl, getUnits(profile)):"—" }, { l:"Check-ins", v:`${last7.length}/7` }].map(i => (
             <div key={i.l} style={{ background: COLORS.surfaceLight, borderRadius: 8, padding: "10px 12px" }}>
               <div style={{ fontFamily: FONTS, fontSize: 9, color: COLORS.textMuted }}>{i.l}</div>
               <div style={{ fontFamily: FONTS, fontSize: 16, fontWeight: 700, color: i.c||COLORS.text, marginTop: 2 }}>{i.v} <span style={{ fontSize: 10, color: COLORS.textMuted }}>{i.t?`/ ${i.t}${i.u||""}`:(i.u||"")}</span></div>
@@ -834,16 +3136,29 @@ function WeeklyReviewView({ checkins, weights, workouts, targets, profile, progr
         </div>
       </Card>
 
-      {!hasKey && <Card style={{ marginBottom: 16, borderColor: COLORS.warning+"44" }}><div style={{ fontFamily: FONTS, fontSize: 11, color: COLORS.warning, marginBottom: 4 }}>API KEY REQUIRED</div><div style={{ fontFamily: FONT_BODY, fontSize: 13, color: COLORS.textDim }}>Add your Anthropic API key in Settings to run AI weekly reviews.</div></Card>}
+      {verdict && <Card glow={verdict.change ? verdictColor : undefined} style={{ marginBottom: 16 }}>
+        <div style={{ fontFamily: FONTS, fontSize: 11, color: COLORS.textDim, letterSpacing: "0.08em", marginBottom: 10 }}>COACHING VERDICT</div>
+        <div style={{ fontFamily: FONTS, fontSize: 16, fontWeight: 700, color: verdictColor, marginBottom: 6 }}>{verdict.title}</div>
+        <div style={{ fontFamily: FONT_BODY, fontSize: 13, color: COLORS.textDim, lineHeight: 1.5, marginBottom: 12 }}>{verdict.reason}</div>
+        <div style={{ display: "flex", flexWrap: "wrap", gap: 6, marginBottom: verdict.change ? 12 : 0 }}>
+          {[f.phase && PHASE_TYPES[f.phase].label.toLowerCase(), f.phase === "cut" || !f.phase ? `${Math.floor(f.daysInDeficit / 7)} wks in deficit` : null, `maintenance ~${f.maintenance} kcal`, f.plateau ? "plateau" : null, f.tooFast ? "too fast" : null, f.avgSteps !== null ? `${f.avgSteps.toLocaleString()} steps/day` : null].filter(Boolean).map(t => (
+            <span key={t} style={{ fontFamily: FONTS, fontSize: 9, color: COLORS.textMuted, background: COLORS.surfaceLight, borderRadius: 10, padding: "3px 8px" }}>{t}</span>
+          ))}
+        </div>
+        {verdict.change && <Btn onClick={applyVerdict} style={{ width: "100%" }}>{verdict.action === "onBreak" ? "END BREAK EARLY" : "APPLY"} — {changeLabel(verdict.change)}</Btn>}
+      </Card>}
+
+      {verdict && !hasKey && <Card style={{ marginBottom: 16, borderColor: COLORS.warning+"44" }}><div style={{ fontFamily: FONTS, fontSize: 11, color: COLORS.warning, marginBottom: 4 }}>AI REVIEW OFF</div><div style={{ fontFamily: FONT_BODY, fontSize: 13, color: COLORS.textDim }}>The verdict above works without AI. Set up an AI provider in Settings for a written weekly review.</div></Card>}
 
-      {hasKey && (!hasData ? (
+      {verdict && hasKey && (!hasData ? (
         <Card><div style={{ fontFamily: FONTS, fontSize: 12, color: COLORS.textMuted, textAlign: "center", padding: 20 }}>Need 5+ check-ins this week ({last7.length}/5)</div></Card>
       ) : (
         <>
-          <Btn onClick={run} disabled={loading} style={{ width: "100%", padding: 14, fontSize: 14, marginBottom: 16, opacity: loading?0.6:1 }}>{loading ? "ANALYZING..." : "RUN AI REVIEW"}</Btn>
+          {loading ? <AILoadingCard label="REVIEWING YOUR WEEK..." onCancel={cancel} /> : <Btn onClick={run} style={{ width: "100%", padding: 14, fontSize: 14, marginBottom: 16 }}>{review ? "RE-RUN AI REVIEW" : "RUN AI REVIEW"}</Btn>}
+          {error && <AIErrorCard error={error} onRetry={run} />}
           {review && (
             <Card glow={COLORS.blue} style={{ marginBottom: 16 }}>
-              <div style={{ fontFamily: FONTS, fontSize: 11, color: COLORS.blue, letterSpacing: "0.08em", marginBottom: 14 }}>AI WEEKLY REVIEW</div>
+              <div style={{ display: "flex", justifyContent: "space-between", fontFamily: FONTS, fontSize: 11, color: COLORS.blue, letterSpacing: "0.08em", marginBottom: 14 }}><span>AI WEEKLY REVIEW</span><span style={{ fontSize: 9, color: COLORS.textMuted }}>{formatDate(reviewRec.date)} · {reviewRec.model}</span></div>
               <div style={{ fontFamily: FONT_BODY, fontSize: 14, color: COLORS.text, lineHeight: 1.6, marginBottom: 16 }}>{review.weekSummary}</div>
               <div style={{ display: "inline-block", fontFamily: FONTS, fontSize: 10, padding: "4px 10px", borderRadius: 20, marginBottom: 14, background: review.complianceRating==="EXCELLENT"?COLORS.accentDim:review.complianceRating==="GOOD"?COLORS.blueDim:COLORS.warningDim, color: review.complianceRating==="EXCELLENT"?COLORS.accent:review.complianceRating==="GOOD"?COLORS.blue:COLORS.warning }}>{review.complianceRating}</div>
               {[{ l:"WEIGHT", t:review.weightAnalysis, c:COLORS.accent }, { l:"TRAINING", t:review.trainingNote, c:COLORS.purple }].map(i => i.t && (
@@ -857,6 +3172,7 @@ function WeeklyReviewView({ checkins, weights, workouts, targets, profile, progr
                   <div style={{ fontFamily: FONTS, fontSize: 9, color: COLORS.warning, letterSpacing: "0.08em", marginBottom: 6 }}>CALORIE ADJUSTMENT</div>
                   <div style={{ fontFamily: FONTS, fontSize: 16, color: COLORS.warning, fontWeight: 700, marginBottom: 4 }}>{review.calorieAdjustment.action==="decrease"?"↓":"↑"} {review.calorieAdjustment.amount} kcal</div>
                   <div style={{ fontFamily: FONT_BODY, fontSize: 12, color: COLORS.textDim, marginBottom: 10 }}>{review.calorieAdjustment.reason}</div>
+                  {targets.cycling && <div style={{ fontFamily: FONTS, fontSize: 10, color: COLORS.textMuted, marginBottom: 10 }}>Every day type scales with it: {cycledAt(Math.max(1200, targets.calories + (review.calorieAdjustment.action === "decrease" ? -1 : 1) * review.calorieAdjustment.amount))} kcal</div>}
                   {!applied ? <Btn variant="warning" onClick={applyAdj}>APPLY</Btn> : <div style={{ fontFamily: FONTS, fontSize: 11, color: COLORS.accent }}>APPLIED</div>}
                 </div>
               )}
@@ -869,71 +3185,351 @@ function WeeklyReviewView({ checkins, weights, workouts, targets, profile, progr
           )}
         </>
       ))}
+
+      <CoachTimeline analyses={analyses} weights={weights} profile={profile} />
+    </div>
+  );
+}
+
+// Past analyses, newest first, each with the change it led to and the trend over the following weeks.
+function CoachTimeline({ analyses, weights, profile }) {
+  const [filter, setFilter] = useState("all");
+  const [open, setOpen] = useState(null);
+  const [limit, setLimit] = useState(10);
+  const units = getUnits(profile);
+  const list = useMemo(() => [...analyses].filter(a => filter === "all" || (filter === "applied" ? a.applied : a.kind === filter))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt)), [analyses, filter]);
+  if (!analyses.length) return null;
+  const KIND_COLOR = { daily: COLORS.accent, weekly: COLORS.blue, verdict: COLORS.purple, chat: COLORS.warning };
+  const headline = (a) => a.kind === "weekly" ? a.response.weekSummary : a.kind === "verdict" ? a.verdict.title : a.response.summary;
+
+  return (
+    <>
+      <SectionHeader right={<div style={{ display: "flex", gap: 4 }}>{["all", "weekly", "daily", "applied"].map(f => (
+        <button key={f} onClick={() => { setFilter(f); setLimit(10); }} style={{ background: filter === f ? COLORS.accentDim : "none", border: `1px solid ${filter === f ? COLORS.accent : COLORS.border}`, borderRadius: 10, padding: "3px 8px", color: filter === f ? COLORS.accent : COLORS.textMuted, fontFamily: FONTS, fontSize: 9, cursor: "pointer" }}>{f.toUpperCase()}</button>
+      ))}</div>}>Coach History</SectionHeader>
+      <Card style={{ marginBottom: 16 }}>
+        {list.length === 0 && <div style={{ fontFamily: FONTS, fontSize: 12, color: COLORS.textMuted, textAlign: "center", padding: 20 }}>Nothing here yet</div>}
+        {list.slice(0, limit).map(a => {
+          const outcome = analysisOutcome(a, weights);
+          const target = a.snapshot?.targets?.weeklyLossTarget;
+          return (
+            <div key={a.id} style={{ padding: "10px 0", borderBottom: `1px solid ${COLORS.border}` }}>
+              <button onClick={() => setOpen(open === a.id ? null : a.id)} style={{ width: "100%", background: "none", border: "none", cursor: "pointer", padding: 0, textAlign: "left" }}>
+                <div style={{ display: "flex", gap: 8, alignItems: "center", marginBottom: 4 }}>
+                  <span style={{ fontFamily: FONTS, fontSize: 11, color: COLORS.textDim, width: 50 }}>{formatDate(a.date)}</span>
+                  <span style={{ fontFamily: FONTS, fontSize: 9, color: KIND_COLOR[a.kind], border: `1px solid ${KIND_COLOR[a.kind]}44`, borderRadius: 10, padding: "1px 6px" }}>{a.kind.toUpperCase()}</span>
+                  {a.applied && <span style={{ fontFamily: FONTS, fontSize: 9, color: COLORS.warning }}>APPLIED {changeText(a.applied.change)}</span>}
+                  <span style={{ flex: 1 }} />
+                  <span style={{ fontFamily: FONTS, fontSize: 9, color: COLORS.textMuted }}>{a.model || "rules engine"}</span>
+                </div>
+                <div style={{ fontFamily: FONT_BODY, fontSize: 12, color: COLORS.text, lineHeight: 1.4, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: open === a.id ? "normal" : "nowrap" }}>{headline(a)}</div>
+              </button>
+              <div style={{ display: "flex", flexWrap: "wrap", gap: 6, marginTop: 6 }}>
+                {a.snapshot?.trend != null && <span style={{ fontFamily: FONTS, fontSize: 9, color: COLORS.textMuted }}>then {formatBodyWeight(a.snapshot.trend, units)} · {a.snapshot.weeklyLoss != null ? `${formatBodyWeight(a.snapshot.weeklyLoss, units)}/wk` : "—"} · {a.snapshot.targets.calories} kcal · {a.snapshot.adherence ?? "—"}%</span>}
+                {outcome.map(o => (
+                  <span key={o.days} style={{ fontFamily: FONTS, fontSize: 9, color: target && o.weeklyLoss >= target * 0.75 ? COLORS.accent : COLORS.warning, background: COLORS.surfaceLight, borderRadius: 10, padding: "2px 6px" }}>+{o.days}d {o.change > 0 ? "+" : ""}{formatBodyWeight(o.change, units)} ({formatBodyWeight(o.weeklyLoss, units)}/wk)</span>
+                ))}
+              </div>
+              {open === a.id && (
+                <div style={{ marginTop: 10 }}>
+                  {a.kind === "daily" && <CoachingCard title="AI COACHING ANALYSIS" response={a.response} color={COLORS.accent} compact />}
+                  {a.kind === "weekly" && [{ l: "WEIGHT", t: a.response.weightAnalysis }, { l: "TRAINING", t: a.response.trainingNote }, { l: "CALORIES", t: a.response.calorieAdjustment.action === "maintain" ? `Maintain — ${a.response.calorieAdjustment.reason}` : `${a.response.calorieAdjustment.action === "decrease" ? "↓" : "↑"} ${a.response.calorieAdjustment.amount} kcal — ${a.response.calorieAdjustment.reason}` }, { l: "NEXT WEEK", t: a.response.nextWeekFocus }].map(i => i.t && (
+                    <div key={i.l} style={{ marginBottom: 8 }}><div style={{ fontFamily: FONTS, fontSize: 9, color: COLORS.blue, marginBottom: 2 }}>{i.l}</div><div style={{ fontFamily: FONT_BODY, fontSize: 12, color: COLORS.textDim, lineHeight: 1.5 }}>{i.t}</div></div>
+                  ))}
+                  {a.verdict && <div style={{ fontFamily: FONTS, fontSize: 10, color: COLORS.textMuted }}>Verdict: {a.verdict.title}{a.verdict.change ? ` (${changeText(a.verdict.change)})` : ""}</div>}
+                  {a.applied && <div style={{ fontFamily: FONTS, fontSize: 10, color: COLORS.warning, marginTop: 4 }}>Applied {formatDate(a.applied.at)} from the {{ ai: "AI review", engine: "rules verdict", chat: "coach chat" }[a.applied.source]}</div>}
+                  {!outcome.length && <div style={{ fontFamily: FONTS, fontSize: 10, color: COLORS.textMuted, marginTop: 4 }}>Outcome shows once a week of weigh-ins follows.</div>}
+                </div>
+              )}
+            </div>
+          );
+        })}
+        {list.length > limit && <Btn variant="ghost" onClick={() => setLimit(limit + 10)} style={{ width: "100%", fontSize: 10, marginTop: 8 }}>SHOW MORE ({list.length - limit})</Btn>}
+      </Card>
+    </>
+  );
+}
+
+// ==================== COACH CHAT VIEW ====================
+const CHAT_STARTERS = ["Why this week's calorie target?", "Can I swap an exercise this week?", "How am I tracking to my goal?"];
+
+function CoachChatView({ threads, onSaveThreads, profile, targets, checkins, weights, measurements, program, programs, workouts, analyses, save }) {
+  const sorted = useMemo(() => [...threads].sort((a, b) => b.updatedAt.localeCompare(a.updatedAt)), [threads]);
+  const [activeId, setActiveId] = useState(() => sorted[0]?.id || null);
+  const [draft, setDraft] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [confirmDelete, setConfirmDelete] = useState(false);
+  const ctrlRef = useRef(null);
+  const endRef = useRef(null);
+  useEffect(() => () => ctrlRef.current?.abort(), []);
+  const thread = threads.find(t => t.id === activeId);
+  useEffect(() => { endRef.current?.scrollIntoView?.({ block: "end" }); }, [thread?.messages.length, loading]);
+  const hasAI = isAIConfigured();
+  const appliedThisWeek = analyses.some(a => a.applied && daysBetween(a.date, today()) < 7);
+
+  // The reply goes onto the latest copy of the thread, so anything done while it was pending is kept; a thread
+  // deleted meanwhile stays deleted.
+  const reply = async (t) => {
+    const ctrl = new AbortController(); ctrlRef.current = ctrl;
+    setLoading(true); setError(null);
+    try {
+      const { reply: content, proposal } = await askCoach(t.messages, { profile, targets, checkins, weights, measurements, program, analyses }, { signal: ctrl.signal });
+      const at = new Date().toISOString();
+      onSaveThreads(list => list.some(x => x.id === t.id) ? list.map(x => x.id === t.id ? { ...x, updatedAt: at, messages: [...x.messages, { role: "assistant", content, at, ...(proposal ? { proposal } : {}) }] } : x) : list);
+    } catch (e) { if (e.kind !== "cancelled") setError(e); }
+    finally { if (ctrlRef.current === ctrl) { ctrlRef.current = null; setLoading(false); } }
+  };
+  const send = (text = draft) => {
+    const content = text.trim();
+    if (!content || loading) return;
+    const at = new Date().toISOString();
+    const base = thread || { id: uid("chat"), date: today(), title: content.slice(0, 48), messages: [] };
+    const next = { ...base, updatedAt: at, messages: [...base.messages, { role: "user", content, at }] };
+    onSaveThreads([...threads.filter(x => x.id !== next.id), next]); setActiveId(next.id); setDraft("");
+    reply(next);
+  };
+  const cancel = () => { ctrlRef.current?.abort(); ctrlRef.current = null; setLoading(false); };
+  const setStatus = (i, status) => onSaveThreads(list => list.map(t => t.id === thread.id ? { ...t, messages: t.messages.map((m, j) => j === i ? { ...m, status } : m) } : t));
+
+  const apply = (i, p) => {
+    if (p.type === "swapExercise") {
+      const next = swapProgramExercise(program, p.from, p.to, knownExerciseIds(programs, workouts));
+      if (!next) return setStatus(i, "unavailable");
+      save.program(next);
+    } else {
+      const change = p.type === "calories" ? { type: "calories", delta: p.delta } : { type: "steps", stepTarget: p.stepTarget };
+      const next = applyCoachingChange(change, targets, profile);
+      if (next.profile !== profile) save.profile(next.profile);
+      save.targets(next.targets, "chat");
+      save.analyses([...analyses, buildAnalysis("chat", today(), { summary: p.reason }, coachSnapshot(today(), checkins, weights, targets, profile), { applied: { source: "chat", change, at: today() } })]);
+    }
+    setStatus(i, "applied");
+  };
+  const proposalLabel = (p) => p.type === "calories" ? `${p.delta > 0 ? "↑" : "↓"} ${Math.abs(p.delta)} kcal → ${Math.max(1200, targets.calories + p.delta)} kcal/day`
+    : p.type === "steps" ? `Step target → ${p.stepTarget.toLocaleString()}/day` : `Swap ${p.from} → ${p.to}`;
+  const STATUS_TEXT = { applied: "APPLIED", dismissed: "DISMISSED", unavailable: "NOT IN YOUR PROGRAM — NOTHING CHANGED" };
+
+  if (!hasAI && !threads.length) return (
+    <div>
+      <SectionHeader>Coach</SectionHeader>
+      <Card style={{ borderColor: COLORS.warning + "44" }}><div style={{ fontFamily: FONTS, fontSize: 11, color: COLORS.warning, marginBottom: 4 }}>CHAT OFF</div><div style={{ fontFamily: FONT_BODY, fontSize: 13, color: COLORS.textDim }}>Set up an AI provider in Settings to chat with the coach.</div></Card>
+    </div>
+  );
+
+  return (
+    <div>
+      <SectionHeader right={<Btn variant="ghost" onClick={() => { cancel(); setActiveId(null); setError(null); }} style={{ fontSize: 10 }}>+ NEW</Btn>}>Coach</SectionHeader>
+      {sorted.length > 0 && (
+        <div style={{ display: "flex", gap: 8, alignItems: "flex-start" }}>
+          <div style={{ flex: 1 }}><Select value={activeId || ""} onChange={e => { cancel(); setActiveId(e.target.value || null); setError(null); setConfirmDelete(false); }} options={[{ value: "", label: "New conversation" }, ...sorted.map(t => ({ value: t.id, label: `${formatDate(t.date)} — ${t.title}` }))]} style={{ fontSize: 12 }} /></div>
+          {thread && (confirmDelete
+            ? <><Btn variant="danger" onClick={() => { cancel(); onSaveThreads(list => list.filter(t => t.id !== thread.id)); setActiveId(null); setConfirmDelete(false); }} style={{ fontSize: 10, padding: "10px 10px" }}>DELETE</Btn><Btn variant="ghost" onClick={() => setConfirmDelete(false)} style={{ fontSize: 10, padding: "10px 8px" }}>KEEP</Btn></>
+            : <Btn variant="ghost" onClick={() => setConfirmDelete(true)} style={{ fontSize: 14, padding: "8px 10px" }}>×</Btn>)}
+        </div>
+      )}
+
+      <Card style={{ marginBottom: 12, padding: 14 }}>
+        {!thread?.messages.length && (
+          <div>
+            <div style={{ fontFamily: FONT_BODY, fontSize: 13, color: COLORS.textDim, marginBottom: 12 }}>Ask about your numbers, the last review or your training. The coach sees your targets, last 7 days, trend and program.</div>
+            <div style={{ display: "flex", flexWrap: "wrap", gap: 6 }}>{CHAT_STARTERS.map(q => <Btn key={q} variant="secondary" onClick={() => send(q)} disabled={!hasAI} style={{ fontSize: 11, padding: "6px 10px" }}>{q}</Btn>)}</div>
+          </div>
+        )}
+        {thread?.messages.map((m, i) => (
+          <div key={i} style={{ display: "flex", justifyContent: m.role === "user" ? "flex-end" : "flex-start", marginBottom: 10 }}>
+            <div style={{ maxWidth: "85%", background: m.role === "user" ? COLORS.accentDim : COLORS.surfaceLight, border: `1px solid ${m.role === "user" ? COLORS.accent + "33" : COLORS.border}`, borderRadius: 10, padding: "10px 12px" }}>
+              <div style={{ fontFamily: FONT_BODY, fontSize: 13, color: COLORS.text, lineHeight: 1.5, whiteSpace: "pre-wrap" }}>{m.content}</div>
+              {m.proposal && (
+                <div style={{ marginTop: 10, padding: 10, background: COLORS.warningDim, borderRadius: 8, border: `1px solid ${COLORS.warning}33` }}>
+                  <div style={{ fontFamily: FONTS, fontSize: 9, color: COLORS.warning, letterSpacing: "0.08em", marginBottom: 4 }}>PROPOSED CHANGE</div>
+                  <div style={{ fontFamily: FONTS, fontSize: 13, fontWeight: 700, color: COLORS.warning, marginBottom: 4 }}>{proposalLabel(m.proposal)}</div>
+                  <div style={{ fontFamily: FONT_BODY, fontSize: 12, color: COLORS.textDim, marginBottom: 8 }}>{m.proposal.reason}</div>
+                  {m.status ? <div style={{ fontFamily: FONTS, fontSize: 10, color: m.status === "applied" ? COLORS.accent : COLORS.textMuted }}>{STATUS_TEXT[m.status]}</div> : (
+                    <>
+                      {m.proposal.type !== "swapExercise" && appliedThisWeek && <div style={{ fontFamily: FONTS, fontSize: 10, color: COLORS.warning, marginBottom: 8 }}>A change was already applied this week.</div>}
+                      <div style={{ display: "flex", gap: 6 }}>
+                        <Btn variant="warning" onClick={() => apply(i, m.proposal)} style={{ fontSize: 11, padding: "6px 12px" }}>APPLY</Btn>
+                        <Btn variant="ghost" onClick={() => setStatus(i, "dismissed")} style={{ fontSize: 11, padding: "6px 12px" }}>DISMISS</Btn>
+                      </div>
+                    </>
+                  )}
+                </div>
+              )}
+            </div>
+          </div>
+        ))}
+        <div ref={endRef} />
+      </Card>
+
+      {loading && <AILoadingCard label="COACH IS TYPING..." onCancel={cancel} />}
+      {error && <AIErrorCard error={error} onRetry={thread?.messages[thread.messages.length - 1]?.role === "user" ? () => reply(thread, threads) : null} />}
+      {!hasAI && <div style={{ fontFamily: FONTS, fontSize: 10, color: COLORS.warning, marginBottom: 8 }}>No AI provider set up — add one in Settings to keep chatting.</div>}
+
+      <div style={{ display: "flex", gap: 8, alignItems: "flex-end" }}>
+        <textarea value={draft} onChange={e => setDraft(e.target.value)} onKeyDown={e => { if (e.key === "Enter" && !e.shiftKey) { e.preventDefault(); send(); } }} rows={2} placeholder="Ask your coach..." disabled={!hasAI}
+          style={{ flex: 1, resize: "vertical", background: COLORS.surfaceLight, border: `1px solid ${COLORS.border}`, borderRadius: 8, padding: "10px 12px", color: COLORS.text, fontFamily: FONT_BODY, fontSize: 14, outline: "none", boxSizing: "border-box" }} />
+        <Btn onClick={() => send()} disabled={!hasAI || loading || !draft.trim()} style={{ opacity: hasAI && !loading && draft.trim() ? 1 : 0.4 }}>SEND</Btn>
+      </div>
     </div>
   );
 }
 
 // ==================== SETTINGS ====================
-function SettingsView({ profile, targets, program, save, weights, workouts, checkins }) {
+function SettingsView({ profile, targets, program, programs, save, weights, workouts, checkins, analyses, threads, measurements, sync }) {
   const [editTargets, setEditTargets] = useState(false);
   const [tmp, setTmp] = useState(targets || {});
   const [showReset, setShowReset] = useState(false);
-  const [apiKey, setApiKey] = useState(getApiKey());
+  const [showTargetHistory, setShowTargetHistory] = useState(false);
+  const [aiCfg, setAiCfg] = useState(getAIConfig);
   const [keyVisible, setKeyVisible] = useState(false);
+  const [aiTest, setAiTest] = useState(null);
+  const setAi = (patch) => { setAiCfg(c => ({ ...c, ...patch })); setAiTest(null); };
+  // Switching provider swaps in that provider's defaults and the key stored for it.
+  const switchProvider = (provider) => {
+    const def = AI_PROVIDERS[provider];
+    setAi({ provider, model: def.defaultModel, baseUrl: def.defaultBaseUrl || "", apiKey: provider === "anthropic" ? getApiKey() : loadStorage(AI_CONFIG_KEY)?.apiKey || "" });
+  };
+  const normalizedAi = () => ({ ...aiCfg, model: aiCfg.model.trim() || AI_PROVIDERS[aiCfg.provider].defaultModel, maxTokens: Math.min(8000, Math.max(100, parseInt(aiCfg.maxTokens) || AI_DEFAULT_MAX_TOKENS)), baseUrl: aiCfg.baseUrl.trim(), apiKey: aiCfg.apiKey.trim() });
+  const activeAi = getAIConfig();
+  const saveAi = () => { const cfg = normalizedAi(); saveAIConfig(cfg); setAiCfg(cfg); setAiTest({ saved: true }); };
+  const testAi = async () => {
+    setAiTest({ loading: true });
+    try { setAiTest({ ok: await testAIConnection(normalizedAi()) }); } catch (e) { setAiTest({ error: e }); }
+  };
+  const units = getUnits(profile);
+  const [pendingImport, setPendingImport] = useState(null);
+  const [importError, setImportError] = useState(null);
+  const fileRef = useRef(null);
+  const data = { profile, weights, workouts, program, programs, targets, checkins, analyses, threads, measurements };
+
+  const onImportFile = async (e) => {
+    const file = e.target.files?.[0]; e.target.value = "";
+    if (!file) return;
+    setImportError(null); setPendingImport(null);
+    try { setPendingImport({ ...parseBackup(await file.text(), data), importPhotos: true }); } catch (err) { setImportError(err.message); }
+  };
+  const [photoCount, setPhotoCount] = useState(0);
+  const [withPhotos, setWithPhotos] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  useEffect(() => { countPhotos().then(setPhotoCount).catch(() => {}); }, []);
+  const exportBackup = async () => {
+    setExporting(true);
+    try {
+      const backup = buildBackup(data);
+      if (withPhotos && photoCount) backup.data.photos = await buildPhotoBackup();
+      downloadJSON(`elite-coach-backup-${today()}.json`, backup);
+    } catch (e) { setImportError(`Export failed: ${e.message}`); }
+    finally { setExporting(false); }
+  };
+  const applyImport = async (mode) => {
+    const merged = mergeBackup(data, pendingImport.data, mode);
+    BACKUP_KEYS.forEach(k => save[k](merged[k], "import"));
+    const { photos, importPhotos: withFilePhotos } = pendingImport;
+    setPendingImport(null);
+    if (photos?.length && withFilePhotos) {
+      try { await importPhotos(photos, mode); setPhotoCount(await countPhotos()); } catch (e) { setImportError(`Photos were not imported: ${describeStorageError(e)}`); }
+    }
+  };
 
-  const sorted = useMemo(() => [...weights].sort((a, b) => new Date(a.date) - new Date(b.date)), [weights]);
-  const recalc = useMemo(() => {
-    if (sorted.length<14||!targets) return null;
-    const l14=sorted.slice(-14); const a1=l14.slice(0,7).reduce((s,w)=>s+w.weight,0)/l14.slice(0,7).length; const a2=l14.slice(-7).reduce((s,w)=>s+w.weight,0)/l14.slice(-7).length;
-    return { tdee: Math.round(targets.calories+(a1-a2)*3500/7), loss: Math.round((a1-a2)*10)/10 };
-  }, [sorted, targets]);
+  const tdeeWindow = profile.tdeeWindowDays || 28;
+  const bmr = useMemo(() => estimateBMR(profile, weights, measurements), [profile, weights, measurements]);
+  const formulaTdee = useMemo(() => formulaTDEE(profile, weights, measurements), [profile, weights, measurements]);
+  // The estimator leans on the formula, never on an estimate applied earlier (targets.tdee), so it cannot feed on itself.
+  const prior = formulaTdee;
+  const recalc = useMemo(() => targets ? estimateTDEE(weights, checkins, { windowDays: tdeeWindow, prior }) : null, [weights, checkins, tdeeWindow, prior, targets]);
+  const tdeeHistory = useMemo(() => estimateTDEEHistory(weights, checkins, { windowDays: tdeeWindow, prior }), [weights, checkins, tdeeWindow, prior]);
 
   return (
     <div>
-      {/* API Key Section */}
+      {/* AI Provider Section */}
       <SectionHeader>AI Coaching</SectionHeader>
       <Card style={{ marginBottom: 16 }}>
-        <div style={{ fontFamily: FONTS, fontSize: 11, color: COLORS.textDim, letterSpacing: "0.08em", marginBottom: 8 }}>ANTHROPIC API KEY</div>
-        <div style={{ fontFamily: FONT_BODY, fontSize: 12, color: COLORS.textMuted, marginBottom: 12 }}>Required for AI coaching analysis. Get one at console.anthropic.com. Stored locally on your device only.</div>
+        <div style={{ fontFamily: FONTS, fontSize: 11, color: COLORS.textDim, letterSpacing: "0.08em", marginBottom: 8 }}>AI PROVIDER</div>
+        <div style={{ fontFamily: FONT_BODY, fontSize: 12, color: COLORS.textMuted, marginBottom: 12 }}>{aiCfg.provider === "anthropic" ? "Get an API key at console.anthropic.com." : "Any server exposing /chat/completions — Ollama, LM Studio, llama.cpp, vLLM. Key optional."} Settings are stored locally on your device only.</div>
+        <Select label="Provider" value={aiCfg.provider} onChange={e => switchProvider(e.target.value)} options={Object.entries(AI_PROVIDERS).map(([value, p]) => ({ value, label: p.label }))} />
+        {aiCfg.provider === "openai" && <Input label="Base URL" value={aiCfg.baseUrl} onChange={e => setAi({ baseUrl: e.target.value })} placeholder={AI_PROVIDERS.openai.defaultBaseUrl} style={{ fontSize: 12 }} />}
+        <div style={{ display: "grid", gridTemplateColumns: "2fr 1fr", gap: 8 }}>
+          <Input label="Model" value={aiCfg.model} onChange={e => setAi({ model: e.target.value })} placeholder={AI_PROVIDERS[aiCfg.provider].defaultModel} style={{ fontSize: 12 }} />
+          <Input label="Max tokens" type="number" value={aiCfg.maxTokens} onChange={e => setAi({ maxTokens: e.target.value })} style={{ fontSize: 12 }} />
+        </div>
         <div style={{ display: "flex", gap: 8, alignItems: "flex-end" }}>
           <div style={{ flex: 1 }}>
-            <input type={keyVisible ? "text" : "password"} value={apiKey} onChange={e => setApiKey(e.target.value)} placeholder="sk-ant-..." style={{ width: "100%", background: COLORS.surfaceLight, border: `1px solid ${COLORS.border}`, borderRadius: 8, padding: "10px 12px", color: COLORS.text, fontFamily: FONTS, fontSize: 12, outline: "none", boxSizing: "border-box" }} />
+            <input type={keyVisible ? "text" : "password"} value={aiCfg.apiKey} onChange={e => setAi({ apiKey: e.target.value })} placeholder={aiCfg.provider === "anthropic" ? "sk-ant-..." : "API key (optional)"} style={{ width: "100%", background: COLORS.surfaceLight, border: `1px solid ${COLORS.border}`, borderRadius: 8, padding: "10px 12px", color: COLORS.text, fontFamily: FONTS, fontSize: 12, outline: "none", boxSizing: "border-box" }} />
           </div>
           <Btn variant="ghost" onClick={() => setKeyVisible(!keyVisible)} style={{ fontSize: 10 }}>{keyVisible ? "HIDE" : "SHOW"}</Btn>
-          <Btn onClick={() => { localStorage.setItem(STORAGE_KEYS.apiKey, JSON.stringify(apiKey)); }} style={{ fontSize: 11 }}>SAVE</Btn>
         </div>
-        {apiKey && <div style={{ fontFamily: FONTS, fontSize: 10, color: COLORS.accent, marginTop: 8 }}>KEY SET — AI coaching enabled</div>}
+        <div style={{ display: "flex", gap: 8, marginTop: 12 }}>
+          <Btn onClick={saveAi} style={{ flex: 1, fontSize: 11 }}>SAVE</Btn>
+          <Btn variant="secondary" onClick={testAi} disabled={aiTest?.loading || !isAIConfigured(aiCfg)} style={{ flex: 1, fontSize: 11, opacity: isAIConfigured(aiCfg) ? 1 : 0.4 }}>{aiTest?.loading ? "TESTING..." : "TEST CONNECTION"}</Btn>
+        </div>
+        {aiTest?.saved && <div style={{ fontFamily: FONTS, fontSize: 10, color: COLORS.accent, marginTop: 8 }}>SAVED — {isAIConfigured(aiCfg) ? `AI coaching via ${AI_PROVIDERS[aiCfg.provider].label} · ${aiCfg.model}` : "AI coaching off"}</div>}
+        {aiTest?.ok && <div style={{ fontFamily: FONTS, fontSize: 10, color: aiTest.ok.reply ? COLORS.accent : COLORS.warning, marginTop: 8 }}>CONNECTED in {aiTest.ok.ms}ms — {aiTest.ok.reply ? `replied "${aiTest.ok.reply}"` : "but the reply was empty; check the model name"}</div>}
+        {aiTest?.error && <div style={{ marginTop: 12 }}>
+          <AIErrorCard error={aiTest.error} />
+          {aiTest.error.detail && <div style={{ fontFamily: FONTS, fontSize: 10, color: COLORS.textMuted, marginTop: -8, wordBreak: "break-word" }}>{String(aiTest.error.detail).slice(0, 200)}</div>}
+        </div>}
+        {!aiTest && isAIConfigured(activeAi) && <div style={{ fontFamily: FONTS, fontSize: 10, color: COLORS.accent, marginTop: 8 }}>AI coaching enabled — {AI_PROVIDERS[activeAi.provider].label} · {activeAi.model}</div>}
       </Card>
 
       <SectionHeader>Profile</SectionHeader>
       <Card style={{ marginBottom: 16 }}>
         <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 8 }}>
-          {[{ l:"Name", v:profile.name }, { l:"Age", v:profile.age }, { l:"Height", v:`${profile.heightCm}cm (${cmToFeetInches(profile.heightCm)})` }, { l:"Start", v:`${profile.weightLbs} lbs` }, { l:"Goal", v:`${profile.goalWeightLbs} lbs` }, { l:"Training", v:`${profile.trainingDays}×/wk` }, { l:"Steps", v:profile.stepTarget }, { l:"Started", v:formatDate(profile.createdAt) }].map(i => (
+          {[{ l:"Name", v:profile.name }, { l:"Age", v:profile.age }, { l:"Height", v:formatHeight(profile.heightCm, units) }, { l:"Start", v:formatBodyWeight(profile.weightLbs, units) }, { l:"Goal", v:formatBodyWeight(profile.goalWeightLbs, units) }, { l:"Training", v:`${profile.trainingDays}×/wk` }, { l:"Steps", v:profile.stepTarget }, { l:"Started", v:formatDate(profile.createdAt) }].map(i => (
             <div key={i.l} style={{ padding: "6px 0" }}><div style={{ fontFamily: FONTS, fontSize: 10, color: COLORS.textMuted }}>{i.l}</div><div style={{ fontFamily: FONTS, fontSize: 12, marginTop: 2 }}>{i.v}</div></div>
           ))}
         </div>
       </Card>
 
+      <SectionHeader>Units</SectionHeader>
+      <Card style={{ marginBottom: 16 }}>
+        <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 1fr", gap: 8 }}>
+          <Select label="Body weight" value={units.body} onChange={e => save.profile({ ...profile, units: { ...units, body: e.target.value } })} options={[{ value: "lbs", label: "lbs" }, { value: "kg", label: "kg" }]} />
+          <Select label="Lift loads" value={units.load} onChange={e => save.profile({ ...profile, units: { ...units, load: e.target.value } })} options={[{ value: "kg", label: "kg" }, { value: "lbs", label: "lbs" }]} />
+          <Select label="Height" value={units.height} onChange={e => save.profile({ ...profile, units: { ...units, height: e.target.value } })} options={[{ value: "cm", label: "cm" }, { value: "ftin", label: "ft / in" }]} />
+        </div>
+        <div style={{ fontFamily: FONT_BODY, fontSize: 12, color: COLORS.textMuted }}>Display and input only — your logged history is stored unchanged.</div>
+      </Card>
+
       <SectionHeader>Metabolic</SectionHeader>
       <Card style={{ marginBottom: 16 }}>
         <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 8, marginBottom: 12 }}>
-          <div><div style={{ fontFamily: FONTS, fontSize: 10, color: COLORS.textMuted }}>BMR</div><div style={{ fontFamily: FONTS, fontSize: 14 }}>{profile.bmr} kcal</div></div>
-          <div><div style={{ fontFamily: FONTS, fontSize: 10, color: COLORS.textMuted }}>TDEE</div><div style={{ fontFamily: FONTS, fontSize: 14 }}>{targets?.tdee||profile.tdee} kcal</div></div>
+          <div><div style={{ fontFamily: FONTS, fontSize: 10, color: COLORS.textMuted }}>BMR · {bmr.formula.toUpperCase()}</div><div style={{ fontFamily: FONTS, fontSize: 14 }}>{bmr.bmr} kcal</div>{bmr.bodyFat && <div style={{ fontFamily: FONTS, fontSize: 9, color: COLORS.textMuted }}>at {bmr.bodyFat}% body fat</div>}</div>
+          <div><div style={{ fontFamily: FONTS, fontSize: 10, color: COLORS.textMuted }}>TDEE · FORMULA</div><div style={{ fontFamily: FONTS, fontSize: 14 }}>{formulaTdee} kcal</div>{targets?.tdee && targets.tdee !== formulaTdee && <div style={{ fontFamily: FONTS, fontSize: 9, color: COLORS.textMuted }}>{targets.tdee} kcal applied</div>}</div>
         </div>
-        {recalc && (
+        <Select label="Estimation window" value={tdeeWindow} onChange={e => save.profile({ ...profile, tdeeWindowDays: parseInt(e.target.value) })} options={[14, 21, 28, 42, 56].map(n => ({ value: n, label: `${n} days` }))} />
+        {recalc && (recalc.confidence === "none" ? (
+          <div style={{ fontFamily: FONTS, fontSize: 11, color: COLORS.textMuted }}>Need 7+ days of weigh-ins and 4+ logged intake days in the window ({recalc.weighIns} weigh-ins, {recalc.loggedDays} intake days).</div>
+        ) : (
           <div style={{ background: COLORS.bg, borderRadius: 8, padding: 12 }}>
-            <div style={{ fontFamily: FONTS, fontSize: 10, color: COLORS.warning, marginBottom: 6 }}>DATA-DRIVEN TDEE</div>
-            <div style={{ fontFamily: FONTS, fontSize: 16, fontWeight: 700 }}>{recalc.tdee} kcal</div>
-            <div style={{ fontFamily: FONTS, fontSize: 10, color: COLORS.textMuted, marginTop: 4 }}>14-day: {recalc.loss} lbs/wk</div>
+            <div style={{ fontFamily: FONTS, fontSize: 10, color: COLORS.warning, marginBottom: 6 }}>DATA-DRIVEN TDEE · {recalc.confidence.toUpperCase()} CONFIDENCE</div>
+            <div style={{ fontFamily: FONTS, fontSize: 16, fontWeight: 700 }}>{recalc.tdee} kcal <span style={{ fontSize: 11, fontWeight: 400, color: COLORS.textMuted }}>({recalc.low}–{recalc.high})</span></div>
+            <div style={{ fontFamily: FONTS, fontSize: 10, color: COLORS.textMuted, marginTop: 4 }}>{tdeeWindow}-day trend: {formatBodyWeight(recalc.weeklyLoss, units)}/wk · avg intake {recalc.avgIntake} kcal · {recalc.loggedDays}/{tdeeWindow} days logged</div>
+            {recalc.dataWeight < 1 && <div style={{ fontFamily: FONTS, fontSize: 10, color: COLORS.warning, marginTop: 4 }}>Sparse logging — {Math.round((1 - recalc.dataWeight) * 100)}% weighted toward formula TDEE ({prior} kcal)</div>}
+            {tdeeHistory.length > 1 && (
+              <ResponsiveContainer width="100%" height={140}>
+                <ComposedChart data={tdeeHistory} margin={{ top: 10, right: 5, bottom: 5, left: -10 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke={COLORS.border} /><XAxis dataKey="date" tick={{ fontSize: 9, fill: COLORS.textMuted, fontFamily: FONTS }} tickFormatter={formatDate} /><YAxis domain={["dataMin - 100", "dataMax + 100"]} tick={{ fontSize: 9, fill: COLORS.textMuted, fontFamily: FONTS }} />
+                  <Tooltip contentStyle={{ background: COLORS.surface, border: `1px solid ${COLORS.border}`, borderRadius: 8, fontFamily: FONTS, fontSize: 11 }} />
+                  <Area type="monotone" dataKey="range" stroke="none" fill={COLORS.warningDim} name="Range" />
+                  <Line type="monotone" dataKey="tdee" stroke={COLORS.warning} strokeWidth={2} dot={{ r: 2 }} name="TDEE" />
+                </ComposedChart>
+              </ResponsiveContainer>
+            )}
             <Btn variant="secondary" style={{ marginTop: 8, fontSize: 10 }} onClick={() => {
-              const dd=Math.round((targets.weeklyLossTarget*3500)/7); const cal=Math.max(1200,recalc.tdee-dd);
-              const fg=Math.round((cal*0.25)/9); const cg=Math.round((cal-(targets.protein*4)-(fg*9))/4);
-              save.targets({...targets, calories:cal, fat:fg, carbs:cg, tdee:recalc.tdee});
+              const dd=Math.round((targets.weeklyLossTarget*KCAL_PER_LB)/7); const cal=Math.max(1200,recalc.tdee-dd);
+              save.targets({...targets, ...deriveMacros(cal, targets.protein), dailyDeficit:dd, tdee:recalc.tdee}, "recalibration");
             }}>APPLY</Btn>
           </div>
-        )}
+        ))}
       </Card>
 
+      {targets && (<>
+        <SectionHeader>Diet Phase</SectionHeader>
+        <PhasePlanner targets={targets} profile={profile} maintenance={recalc?.tdee ?? prior} onSave={save.targets} />
+      </>)}
+
       <SectionHeader>Targets</SectionHeader>
       <Card style={{ marginBottom: 16 }}>
         {!editTargets ? (<>
@@ -948,18 +3544,396 @@ function SettingsView({ profile, targets, program, save, weights, workouts, chec
           <Input label="Protein (g)" type="number" value={tmp.protein} onChange={e => setTmp(t => ({...t, protein:parseInt(e.target.value)}))} />
           <Input label="Carbs (g)" type="number" value={tmp.carbs} onChange={e => setTmp(t => ({...t, carbs:parseInt(e.target.value)}))} />
           <Input label="Fat (g)" type="number" value={tmp.fat} onChange={e => setTmp(t => ({...t, fat:parseInt(e.target.value)}))} />
-          <div style={{ display: "flex", gap: 8 }}><Btn onClick={() => { save.targets(tmp); setEditTargets(false); }}>SAVE</Btn><Btn variant="secondary" onClick={() => setEditTargets(false)}>CANCEL</Btn></div>
+          <div style={{ display: "flex", gap: 8 }}><Btn onClick={() => { save.targets(tmp, "manual"); setEditTargets(false); }}>SAVE</Btn><Btn variant="secondary" onClick={() => setEditTargets(false)}>CANCEL</Btn></div>
         </>)}
+        {targets?.history?.length > 0 && (
+          <div style={{ marginTop: 16, borderTop: `1px solid ${COLORS.border}`, paddingTop: 12 }}>
+            <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 8 }}>
+              <div style={{ fontFamily: FONTS, fontSize: 10, color: COLORS.textDim, letterSpacing: "0.08em" }}>HISTORY · {targets.history.length} VERSION{targets.history.length === 1 ? "" : "S"}</div>
+              {targets.history.length > 3 && <Btn variant="ghost" onClick={() => setShowTargetHistory(!showTargetHistory)} style={{ fontSize: 10, padding: "2px 6px" }}>{showTargetHistory ? "LESS" : "ALL"}</Btn>}
+            </div>
+            {targets.history.map((v, i) => ({ ...v, delta: i > 0 ? v.calories - targets.history[i - 1].calories : null })).reverse().slice(0, showTargetHistory ? undefined : 3).map((v, i) => (
+              <div key={v.at} style={{ display: "flex", gap: 8, alignItems: "baseline", padding: "6px 0", borderBottom: `1px solid ${COLORS.border}` }}>
+                <span style={{ fontFamily: FONTS, fontSize: 11, color: i === 0 ? COLORS.accent : COLORS.textDim, width: 52 }}>{formatDate(v.from)}</span>
+                <span style={{ fontFamily: FONTS, fontSize: 11, color: COLORS.text, width: 72 }}>{v.calories} kcal</span>
+                <span style={{ fontFamily: FONTS, fontSize: 10, color: COLORS.textMuted, flex: 1 }}>{v.protein}P {v.carbs}C {v.fat}F · {TARGET_REASONS[v.reason] || v.reason}</span>
+                {v.delta ? <span style={{ fontFamily: FONTS, fontSize: 10, color: v.delta < 0 ? COLORS.accent : COLORS.warning }}>{v.delta > 0 ? "+" : ""}{v.delta}</span> : null}
+              </div>
+            ))}
+            <div style={{ fontFamily: FONTS, fontSize: 9, color: COLORS.textMuted, marginTop: 8 }}>Each check-in is scored against the version in effect on its date.</div>
+          </div>
+        )}
       </Card>
 
+      {targets && <CyclingEditor targets={targets} profile={profile} onSave={save.targets} />}
+
+      <SectionHeader>Adherence Scoring</SectionHeader>
+      <ScoringEditor profile={profile} targets={targets} checkins={checkins} onSave={save.profile} />
+
+      <SectionHeader>Reminders</SectionHeader>
+      <RemindersEditor profile={profile} targets={targets} onSave={save.profile} />
+
+      <SectionHeader>Sync</SectionHeader>
+      <SyncSettings config={sync.config} status={sync.status} onConnect={sync.connect} onSyncNow={sync.now} />
+
       <SectionHeader>Data</SectionHeader>
       <Card>
-        <div style={{ fontFamily: FONTS, fontSize: 12, color: COLORS.textDim, marginBottom: 8 }}>{weights.length} weigh-ins · {workouts.length} workouts · {checkins.length} check-ins</div>
+        <div style={{ fontFamily: FONTS, fontSize: 12, color: COLORS.textDim, marginBottom: 8 }}>{weights.length} weigh-ins · {workouts.length} workouts · {checkins.length} check-ins · {measurements.length} measurements · {photoCount} photos</div>
+        {photoCount > 0 && <label style={{ display: "flex", alignItems: "center", gap: 6, fontFamily: FONTS, fontSize: 11, color: COLORS.textDim, marginBottom: 8, cursor: "pointer" }}>
+          <input type="checkbox" checked={withPhotos} onChange={e => setWithPhotos(e.target.checked)} style={{ accentColor: COLORS.accent }} />Include progress photos in the export (larger file)
+        </label>}
+        <div style={{ display: "flex", gap: 8, marginBottom: 12 }}>
+          <Btn variant="secondary" onClick={exportBackup} style={{ opacity: exporting ? 0.4 : 1 }}>{exporting ? "EXPORTING..." : "EXPORT"}</Btn>
+          <Btn variant="secondary" onClick={() => fileRef.current?.click()}>IMPORT</Btn>
+          <input ref={fileRef} type="file" accept="application/json,.json" onChange={onImportFile} style={{ display: "none" }} />
+        </div>
+        {importError && <div style={{ fontFamily: FONTS, fontSize: 11, color: COLORS.danger, marginBottom: 12 }}>{importError}</div>}
+        {pendingImport && (() => { const d = diffBackup(data, pendingImport.data); return (
+          <div style={{ background: COLORS.surfaceLight, borderRadius: 8, padding: 12, marginBottom: 12 }}>
+            <div style={{ fontFamily: FONTS, fontSize: 10, color: COLORS.warning, marginBottom: 6 }}>IMPORT PREVIEW{pendingImport.exportedAt ? ` — EXPORTED ${formatDateFull(pendingImport.exportedAt)}` : ""}{pendingImport.fromVersion < SCHEMA_VERSION ? ` (MIGRATED FROM v${pendingImport.fromVersion})` : ""}</div>
+            {d.collections.map(c => <div key={c.k} style={{ fontFamily: FONTS, fontSize: 12, color: COLORS.textDim, marginBottom: 2 }}>+{c.added} {c.label}{c.conflicts > 0 ? `, ${c.conflicts} conflicting ${c.k === "workouts" ? "sessions" : "dates"}` : ""}</div>)}
+            {pendingImport.photos?.length > 0 && <label style={{ display: "flex", alignItems: "center", gap: 6, fontFamily: FONTS, fontSize: 12, color: COLORS.textDim, marginBottom: 2, cursor: "pointer" }}>
+              <input type="checkbox" checked={pendingImport.importPhotos} onChange={e => setPendingImport(p => ({ ...p, importPhotos: e.target.checked }))} style={{ accentColor: COLORS.accent }} />{pendingImport.photos.length} progress photos — import them
+            </label>}
+            <div style={{ fontFamily: FONTS, fontSize: 11, color: COLORS.textMuted, margin: "6px 0 10px" }}>{d.singles.map(s => `${s.k}: ${s.status}`).join(" · ")}</div>
+            <div style={{ fontFamily: FONT_BODY, fontSize: 12, color: COLORS.textMuted, marginBottom: 10 }}>Merge adds new records and keeps yours on conflicts. Replace overwrites everything with the file{pendingImport.photos?.length ? "; your photos are only replaced if you import the file's" : ""}.</div>
+            <div style={{ display: "flex", gap: 8 }}><Btn onClick={() => applyImport("merge")}>MERGE</Btn><Btn variant="danger" onClick={() => applyImport("replace")}>REPLACE</Btn><Btn variant="ghost" onClick={() => setPendingImport(null)}>CANCEL</Btn></div>
+          </div>
+        ); })()}
         {!showReset ? <Btn variant="danger" onClick={() => setShowReset(true)}>RESET ALL</Btn> : (
           <div><div style={{ fontFamily: FONTS, fontSize: 12, color: COLORS.danger, marginBottom: 8 }}>Delete everything?</div>
-          <div style={{ display: "flex", gap: 8 }}><Btn variant="danger" onClick={() => { Object.values(STORAGE_KEYS).forEach(k => localStorage.removeItem(k)); window.location.reload(); }}>CONFIRM</Btn><Btn variant="secondary" onClick={() => setShowReset(false)}>CANCEL</Btn></div></div>
+          <div style={{ display: "flex", gap: 8 }}><Btn variant="danger" onClick={async () => { await clearAllData().catch(e => console.error("Storage:", e)); window.location.reload(); }}>CONFIRM</Btn><Btn variant="secondary" onClick={() => setShowReset(false)}>CANCEL</Btn></div></div>
         )}
       </Card>
     </div>
   );
 }
+
+// Edits a draft of profile.scoring and shows how the last two weeks would re-score before anything is saved.
+function ScoringEditor({ profile, targets, checkins, onSave }) {
+  const [draft, setDraft] = useState(null);
+  const [error, setError] = useState(null);
+  const recent = useMemo(() => [...checkins].sort((a, b) => b.date.localeCompare(a.date)).slice(0, 14), [checkins]);
+  const current = scoringConfig(profile);
+  const setComp = (k, patch) => { setDraft(d => ({ ...d, components: { ...d.components, [k]: { ...d.components[k], ...patch } } })); setError(null); };
+  const numIn = (value, onChange, width = 44) => <input type="number" value={value} onChange={e => onChange(e.target.value)} style={{ width, background: COLORS.surfaceLight, border: `1px solid ${COLORS.border}`, borderRadius: 6, padding: "5px 4px", color: COLORS.text, fontFamily: FONTS, fontSize: 11, textAlign: "center" }} />;
+  const enabledLabels = Object.entries(current.components).filter(([, c]) => c.enabled && c.weight > 0).map(([k, c]) => `${SCORING_COMPONENTS[k].label}${c.weight !== 1 ? ` ×${c.weight}` : ""}`);
+
+  if (!draft) return (
+    <Card style={{ marginBottom: 16 }}>
+      <div style={{ fontFamily: FONT_BODY, fontSize: 12, color: COLORS.textDim, marginBottom: 10 }}>Scoring {enabledLabels.join(", ")}. {profile.scoring ? "Custom settings." : "Default settings."}</div>
+      <Btn variant="secondary" onClick={() => setDraft({ ...current, components: Object.fromEntries(Object.entries(current.components).map(([k, c]) => [k, c.bands ? { ...c, bands: c.bands.map(b => round1(b * 100)) } : c])) })}>CONFIGURE</Btn>
+    </Card>
+  );
+
+  // Inputs hold percentages and raw strings; this turns them back into the stored shape, or names the first problem.
+  const parsed = (() => {
+    const num = (v) => parseFloat(v);
+    const components = Object.fromEntries(Object.entries(draft.components).map(([k, c]) => [k, {
+      ...c, weight: num(c.weight) || 0,
+      ...(c.bands ? { bands: c.bands.map(b => num(b) / 100), under: num(c.under) || 0, over: num(c.over) || 0 } : {}),
+      ...(c.target !== undefined ? { target: num(c.target) || 0 } : {}),
+    }]));
+    const colors = draft.colors.map(num), labels = draft.labels.map(num);
+    const descending = (l) => l.every((v, i) => v >= 0 && v <= 100 && (i === 0 || v < l[i - 1]));
+    const problem = !Object.values(components).some(c => c.enabled && c.weight > 0) ? "Enable at least one component with a weight above 0"
+      : Object.entries(components).find(([, c]) => c.bands && !c.bands.every((b, i) => b > 0 && (i === 0 || b > c.bands[i - 1])))?.[0]
+        ? "Tolerance bands must be positive and increasing"
+      : Object.values(components).some(c => c.target !== undefined && c.enabled && !(c.target > 0)) ? "Fiber and sleep need a target above 0"
+      : !descending(colors) || !descending(labels) ? "Colour and label thresholds must run from high to low, within 0–100"
+      : null;
+    return { config: { components, colors, labels }, problem };
+  })();
+  const preview = { ...profile, scoring: parsed.config };
+  const avg = (p) => recent.length ? Math.round(recent.reduce((s, c) => s + calcAdherence(c, targets, p).total, 0) / recent.length) : null;
+  const save = () => { if (parsed.problem) return setError(parsed.problem); onSave({ ...profile, scoring: parsed.config }); setDraft(null); };
+  const reset = () => { onSave({ ...profile, scoring: undefined }); setDraft(null); };
+  const label = { fontFamily: FONTS, fontSize: 9, color: COLORS.textMuted, letterSpacing: "0.06em" };
+
+  return (
+    <Card style={{ marginBottom: 16 }}>
+      <div style={{ fontFamily: FONT_BODY, fontSize: 12, color: COLORS.textMuted, marginBottom: 12 }}>Bands are % off target for 100 / 75 / 50 points (25 beyond). Under/over multiply a miss on that side: 1.5 counts it 50% more, 0 ignores it.</div>
+      {Object.entries(draft.components).map(([k, c]) => (
+        <div key={k} style={{ padding: "8px 0", borderBottom: `1px solid ${COLORS.border}`, opacity: c.enabled ? 1 : 0.5 }}>
+          <div style={{ display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap" }}>
+            <label style={{ display: "flex", alignItems: "center", gap: 6, width: 90, fontFamily: FONTS, fontSize: 11, color: COLORS.text, cursor: "pointer" }}>
+              <input type="checkbox" checked={c.enabled} onChange={e => setComp(k, { enabled: e.target.checked })} style={{ accentColor: COLORS.accent }} />{SCORING_COMPONENTS[k].label}
+            </label>
+            <span style={label}>WEIGHT</span>{numIn(c.weight, v => setComp(k, { weight: v }))}
+            {c.target !== undefined && <><span style={label}>TARGET</span>{numIn(c.target, v => setComp(k, { target: v }))}<span style={label}>{SCORING_COMPONENTS[k].unit}</span></>}
+          </div>
+          {c.bands && c.enabled && (
+            <div style={{ display: "flex", alignItems: "center", gap: 6, marginTop: 6, marginLeft: 22, flexWrap: "wrap" }}>
+              <span style={label}>BANDS %</span>{c.bands.map((b, i) => <span key={i}>{numIn(b, v => setComp(k, { bands: c.bands.map((x, j) => j === i ? v : x) }), 40)}</span>)}
+              <span style={label}>UNDER</span>{numIn(c.under, v => setComp(k, { under: v }), 40)}
+              <span style={label}>OVER</span>{numIn(c.over, v => setComp(k, { over: v }), 40)}
+            </div>
+          )}
+        </div>
+      ))}
+      <div style={{ display: "flex", alignItems: "center", gap: 6, marginTop: 12, flexWrap: "wrap" }}>
+        <span style={label}>COLOURS ≥</span>{draft.colors.map((v, i) => <span key={i}>{numIn(v, x => { setDraft(d => ({ ...d, colors: d.colors.map((y, j) => j === i ? x : y) })); setError(null); }, 40)}</span>)}
+      </div>
+      <div style={{ display: "flex", alignItems: "center", gap: 6, marginTop: 6, flexWrap: "wrap" }}>
+        <span style={label}>LABELS ≥</span>{draft.labels.map((v, i) => <span key={i}>{numIn(v, x => { setDraft(d => ({ ...d, labels: d.labels.map((y, j) => j === i ? x : y) })); setError(null); }, 40)}</span>)}
+        <span style={label}>EXCELLENT / GOOD / FAIR / NEEDS WORK</span>
+      </div>
+
+      <div style={{ marginTop: 14, background: COLORS.bg, borderRadius: 8, padding: 12 }}>
+        <div style={{ fontFamily: FONTS, fontSize: 10, color: COLORS.textDim, letterSpacing: "0.08em", marginBottom: 8 }}>PREVIEW · LAST {recent.length} CHECK-INS{recent.length ? ` · AVG ${avg(profile)}% → ${parsed.problem ? "—" : `${avg(preview)}%`}` : ""}</div>
+        {parsed.problem ? <div style={{ fontFamily: FONTS, fontSize: 10, color: COLORS.warning }}>{parsed.problem}</div>
+          : recent.length === 0 ? <div style={{ fontFamily: FONTS, fontSize: 10, color: COLORS.textMuted }}>No check-ins to preview yet.</div>
+          : <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fill, minmax(120px, 1fr))", gap: 4 }}>{recent.map(c => {
+            const before = calcAdherence(c, targets, profile).total, after = calcAdherence(c, targets, preview).total;
+            return (
+              <div key={c.date} style={{ display: "flex", justifyContent: "space-between", fontFamily: FONTS, fontSize: 10, padding: "3px 6px", background: COLORS.surfaceLight, borderRadius: 4 }}>
+                <span style={{ color: COLORS.textMuted }}>{formatDate(c.date)}</span>
+                <span><span style={{ color: COLORS.textMuted }}>{before}→</span><span style={{ color: getAdherenceColor(after, preview), fontWeight: 600 }}>{after}</span></span>
+              </div>
+            );
+          })}</div>}
+      </div>
+      {error && <div style={{ fontFamily: FONTS, fontSize: 11, color: COLORS.danger, marginTop: 10 }}>{error}</div>}
+      <div style={{ display: "flex", gap: 8, marginTop: 12 }}>
+        <Btn onClick={save}>SAVE</Btn>
+        <Btn variant="secondary" onClick={() => setDraft(null)}>CANCEL</Btn>
+        {profile.scoring && <Btn variant="ghost" onClick={reset} style={{ marginLeft: "auto", fontSize: 10 }}>RESET TO DEFAULTS</Btn>}
+      </div>
+    </Card>
+  );
+}
+
+// Sets up targets.cycling. Weekday calories are entered directly and stored as weights, so the week always averages
+// the base calories.
+function CyclingEditor({ targets, profile, onSave }) {
+  const [draft, setDraft] = useState(null);
+  const c = targets.cycling;
+  const open = () => setDraft({
+    mode: c?.mode || "off", pct: c?.mode === "training" ? Math.round((c.ratio - 1) * 100) : 20, trainingWeekdays: c?.trainingWeekdays || [],
+    days: c?.mode === "weekday" ? weekdayCalories(targets) : WEEKDAYS.map(() => targets.calories),
+  });
+  const cycling = !draft || draft.mode === "off" ? null
+    : draft.mode === "training" ? { mode: "training", ratio: 1 + Math.min(60, Math.max(0, parseFloat(draft.pct) || 0)) / 100, ...(draft.trainingWeekdays.length ? { trainingWeekdays: draft.trainingWeekdays } : {}) }
+    : { mode: "weekday", weights: draft.days.map(v => Math.max(0, parseFloat(v) || 0) / targets.calories) };
+  const valid = !cycling || cycling.mode === "training" || cycling.weights.some(w => w > 0);
+  const numIn = { width: "100%", background: COLORS.surfaceLight, border: `1px solid ${COLORS.border}`, borderRadius: 6, padding: "6px 2px", color: COLORS.text, fontFamily: FONTS, fontSize: 11, textAlign: "center", boxSizing: "border-box" };
+  const dayBtn = (on) => ({ flex: 1, background: on ? COLORS.accentDim : "transparent", border: `1px solid ${on ? COLORS.accent : COLORS.border}`, borderRadius: 6, padding: "5px 0", color: on ? COLORS.accent : COLORS.textMuted, fontFamily: FONTS, fontSize: 9, cursor: "pointer" });
+
+  return (
+    <Card style={{ marginBottom: 16 }}>
+      <div style={{ fontFamily: FONTS, fontSize: 11, color: COLORS.textDim, letterSpacing: "0.08em", marginBottom: 8 }}>CALORIE CYCLING</div>
+      {!draft ? (<>
+        <div style={{ fontFamily: FONT_BODY, fontSize: 12, color: COLORS.textDim, marginBottom: 10 }}>{c ? `${describeCycling(targets, profile)} kcal — averages ${targets.calories} kcal/day. Carbs take up the difference.` : "Off — the same targets every day."}</div>
+        <Btn variant="secondary" onClick={open}>{c ? "EDIT" : "SET UP"}</Btn>
+      </>) : (<>
+        <Select label="Mode" value={draft.mode} onChange={e => setDraft({ ...draft, mode: e.target.value })} options={[{ value: "off", label: "Off" }, { value: "training", label: "Training vs rest days" }, { value: "weekday", label: "Custom per weekday" }]} />
+        {draft.mode === "training" && (<>
+          <Input label="Training days above rest days (%)" type="number" value={draft.pct} onChange={e => setDraft({ ...draft, pct: e.target.value })} />
+          <div style={{ fontFamily: FONTS, fontSize: 10, color: COLORS.textMuted, marginBottom: 6 }}>PLANNED TRAINING DAYS (optional — used until the day's check-in says otherwise)</div>
+          <div style={{ display: "flex", gap: 4, marginBottom: 12 }}>{WEEKDAYS.map((d, i) => { const on = draft.trainingWeekdays.includes(i); return (
+            <button key={d} onClick={() => setDraft({ ...draft, trainingWeekdays: on ? draft.trainingWeekdays.filter(x => x !== i) : [...draft.trainingWeekdays, i].sort() })} style={dayBtn(on)}>{d.toUpperCase()}</button>
+          ); })}</div>
+        </>)}
+        {draft.mode === "weekday" && (
+          <div style={{ display: "grid", gridTemplateColumns: "repeat(7, 1fr)", gap: 4, marginBottom: 12 }}>{WEEKDAYS.map((d, i) => (
+            <div key={d}><div style={{ fontFamily: FONTS, fontSize: 9, color: COLORS.textMuted, textAlign: "center", marginBottom: 3 }}>{d.toUpperCase()}</div>
+              <input type="number" value={draft.days[i]} onChange={e => setDraft({ ...draft, days: draft.days.map((v, j) => j === i ? e.target.value : v) })} style={numIn} /></div>
+          ))}</div>
+        )}
+        {cycling && valid && <div style={{ fontFamily: FONTS, fontSize: 10, color: COLORS.accent, marginBottom: 12 }}>{describeCycling({ ...targets, cycling }, profile)} kcal · averages {targets.calories} kcal/day{cycling.mode === "training" ? ` over ${cycling.trainingWeekdays?.length || profile.trainingDays} training days/wk` : ""}</div>}
+        <div style={{ display: "flex", gap: 8 }}>
+          <Btn onClick={() => { if (!valid) return; onSave({ ...targets, cycling }, "manual"); setDraft(null); }} style={{ opacity: valid ? 1 : 0.4 }}>SAVE</Btn>
+          <Btn variant="secondary" onClick={() => setDraft(null)}>CANCEL</Btn>
+        </div>
+      </>)}
+    </Card>
+  );
+}
+
+// Starts the next diet phase today. The calorie suggestion comes from the maintenance estimate and can be overridden.
+function PhasePlanner({ targets, profile, maintenance, onSave }) {
+  const units = getUnits(profile);
+  const [draft, setDraft] = useState(null);
+  const [showAll, setShowAll] = useState(false);
+  const phases = targets.phases || [], current = phaseOn(targets);
+  const lastCut = [...phases].reverse().find(p => p.type === "cut");
+  const defaults = (type) => ({
+    type, weeks: { cut: 12, dietBreak: 2, reverse: "", maintenance: "", gain: 16 }[type],
+    rate: type === "cut" ? toBodyUnit(lastCut?.rate || 1, units) : type === "gain" ? toBodyUnit(0.25, units) : "",
+    step: REVERSE_STEP, to: roundTo50(maintenance),
+    calories: type === "reverse" ? targetsForDay(targets, profile, today()).calories : phaseStartCalories(type, maintenance, type === "cut" ? lastCut?.rate || 1 : 0.25),
+  });
+  const set = (k, v) => setDraft(d => {
+    const next = { ...d, [k]: v };
+    if (k === "rate" && (d.type === "cut" || d.type === "gain")) next.calories = phaseStartCalories(d.type, maintenance, fromBodyUnit(v, units) || 0);
+    return next;
+  });
+  const calories = parseInt(draft?.calories), weeks = parseInt(draft?.weeks);
+  const valid = draft && calories >= 1000 && (!(draft.type === "cut" || draft.type === "gain") || parseFloat(draft.rate) > 0)
+    && (draft.type !== "reverse" || (parseInt(draft.step) > 0 && parseInt(draft.to) > calories))
+    && (draft.type !== "dietBreak" || weeks > 0);
+  const start = () => {
+    if (!valid) return;
+    const opts = { type: draft.type, calories, end: weeks > 0 ? addDays(today(), weeks * 7 - 1) : null };
+    if (draft.type === "cut" || draft.type === "gain") opts.rate = fromBodyUnit(draft.rate, units);
+    if (draft.type === "reverse") Object.assign(opts, { step: parseInt(draft.step), to: parseInt(draft.to) });
+    if (draft.type === "dietBreak") Object.assign(opts, { resumeCalories: current?.type === "cut" ? targets.calories : phaseStartCalories("cut", maintenance, lastCut?.rate || 1), resumeRate: lastCut?.rate || 1 });
+    onSave(startPhase(targets, opts), "phase"); setDraft(null);
+  };
+
+  return (
+    <Card style={{ marginBottom: 16 }}>
+      {current ? (<>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline", marginBottom: 4 }}>
+          <span style={{ fontFamily: FONTS, fontSize: 16, fontWeight: 700, color: PHASE_TYPES[current.type].color }}>{PHASE_TYPES[current.type].label.toUpperCase()}</span>
+          <span style={{ fontFamily: FONTS, fontSize: 10, color: COLORS.textMuted }}>since {formatDate(current.start)}{current.end ? ` · ends ${formatDate(current.end)}` : ""}</span>
+        </div>
+        <div style={{ fontFamily: FONT_BODY, fontSize: 12, color: COLORS.textDim, marginBottom: 12 }}>{describePhase(current, units)}.</div>
+      </>) : <div style={{ fontFamily: FONT_BODY, fontSize: 12, color: COLORS.textDim, marginBottom: 12 }}>No phase planned yet.</div>}
+
+      {!draft ? <Btn variant="secondary" onClick={() => setDraft(defaults(current?.type === "cut" ? "dietBreak" : "cut"))}>START NEW PHASE</Btn> : (<>
+        <Select label="Phase" value={draft.type} onChange={e => setDraft(defaults(e.target.value))} options={Object.entries(PHASE_TYPES).map(([value, t]) => ({ value, label: t.label }))} />
+        <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 8 }}>
+          <Input label="Length (weeks)" type="number" placeholder={draft.type === "dietBreak" ? "required" : "open-ended"} value={draft.weeks} onChange={e => set("weeks", e.target.value)} />
+          {(draft.type === "cut" || draft.type === "gain") && <Input label={`${draft.type === "cut" ? "Loss" : "Gain"} (${units.body}/wk)`} type="number" step="0.05" value={draft.rate} onChange={e => set("rate", e.target.value)} />}
+          {draft.type === "reverse" && <Input label="Step (kcal/wk)" type="number" value={draft.step} onChange={e => set("step", e.target.value)} />}
+          <Input label={draft.type === "reverse" ? "Start at (kcal)" : "Calories"} type="number" value={draft.calories} onChange={e => set("calories", e.target.value)} />
+          {draft.type === "reverse" && <Input label="Up to (kcal)" type="number" value={draft.to} onChange={e => set("to", e.target.value)} />}
+        </div>
+        <div style={{ fontFamily: FONTS, fontSize: 10, color: COLORS.textMuted, marginBottom: 12 }}>
+          Starts today · maintenance ~{maintenance} kcal{draft.type === "reverse" && valid ? ` · reaches ${draft.to} kcal in ${Math.ceil((draft.to - calories) / draft.step)} weeks` : ""}{draft.type === "dietBreak" ? " · the verdict brings you back to the cut when it ends" : ""}
+        </div>
+        <div style={{ display: "flex", gap: 8 }}>
+          <Btn onClick={start} style={{ opacity: valid ? 1 : 0.4 }}>START</Btn>
+          <Btn variant="secondary" onClick={() => setDraft(null)}>CANCEL</Btn>
+        </div>
+      </>)}
+
+      {phases.length > 1 && (
+        <div style={{ marginTop: 16, borderTop: `1px solid ${COLORS.border}`, paddingTop: 12 }}>
+          <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 8 }}>
+            <div style={{ fontFamily: FONTS, fontSize: 10, color: COLORS.textDim, letterSpacing: "0.08em" }}>TIMELINE · {phases.length} PHASES</div>
+            {phases.length > 4 && <Btn variant="ghost" onClick={() => setShowAll(!showAll)} style={{ fontSize: 10, padding: "2px 6px" }}>{showAll ? "LESS" : "ALL"}</Btn>}
+          </div>
+          {[...phases].reverse().slice(0, showAll ? undefined : 4).map(p => (
+            <div key={p.id} style={{ display: "flex", gap: 8, alignItems: "baseline", padding: "6px 0", borderBottom: `1px solid ${COLORS.border}` }}>
+              <span style={{ width: 8, height: 8, borderRadius: 4, background: PHASE_TYPES[p.type].color, flexShrink: 0 }} />
+              <span style={{ fontFamily: FONTS, fontSize: 11, color: COLORS.text, width: 96 }}>{PHASE_TYPES[p.type].label}</span>
+              <span style={{ fontFamily: FONTS, fontSize: 10, color: COLORS.textMuted, flex: 1 }}>{formatDate(p.start)} – {p === current && !p.end ? "now" : p.end ? formatDate(p.end) : "—"} · {p.calories} kcal</span>
+            </div>
+          ))}
+        </div>
+      )}
+    </Card>
+  );
+}
+
+// Edits profile.reminders in place; the app re-syncs the worker's snapshot whenever the profile changes.
+function RemindersEditor({ profile, targets, onSave }) {
+  const cfg = reminderConfig(profile);
+  const [permission, setPermission] = useState(notificationSupport);
+  const [background, setBackground] = useState(null);
+  const update = (patch) => onSave({ ...profile, reminders: { ...cfg, ...patch } });
+  const setKind = (k, patch) => update({ [k]: { ...cfg[k], ...patch } });
+  const enable = async () => {
+    const result = permission === "granted" ? "granted" : await Notification.requestPermission();
+    setPermission(result);
+    if (result !== "granted") return;
+    update({ enabled: true });
+    setBackground(await registerBackgroundReminders());
+  };
+  const weekdays = plannedTrainingWeekdays(profile, targets);
+  const timeIn = (value, onChange) => <input type="time" value={value} onChange={e => e.target.value && onChange(e.target.value)} style={{ background: COLORS.surfaceLight, border: `1px solid ${COLORS.border}`, borderRadius: 6, padding: "5px 6px", color: COLORS.text, fontFamily: FONTS, fontSize: 11, colorScheme: "dark" }} />;
+  const check = (checked, onChange, label) => (
+    <label style={{ display: "flex", alignItems: "center", gap: 6, flex: 1, fontFamily: FONTS, fontSize: 11, color: COLORS.text, cursor: "pointer" }}>
+      <input type="checkbox" checked={checked} onChange={e => onChange(e.target.checked)} style={{ accentColor: COLORS.accent }} />{label}
+    </label>
+  );
+  const dayBtn = (on) => ({ flex: 1, background: on ? COLORS.accentDim : "transparent", border: `1px solid ${on ? COLORS.accent : COLORS.border}`, borderRadius: 6, padding: "5px 0", color: on ? COLORS.accent : COLORS.textMuted, fontFamily: FONTS, fontSize: 9, cursor: "pointer" });
+
+  if (permission === "unsupported") return <Card style={{ marginBottom: 16 }}><div style={{ fontFamily: FONT_BODY, fontSize: 12, color: COLORS.textDim }}>This browser can't show notifications. Install the app or use a browser with service-worker notifications for reminders.</div></Card>;
+
+  return (
+    <Card style={{ marginBottom: 16 }}>
+      {!cfg.enabled ? (<>
+        <div style={{ fontFamily: FONT_BODY, fontSize: 12, color: COLORS.textDim, marginBottom: 10 }}>
+          {permission === "denied" ? "Notifications are blocked for this app. Allow them in your browser's site settings, then turn reminders on." : "Get a nudge to weigh in, check in, train and review — only when it isn't logged yet."}
+        </div>
+        <Btn onClick={enable} style={{ opacity: permission === "denied" ? 0.4 : 1 }}>TURN ON REMINDERS</Btn>
+      </>) : (<>
+        {REMINDER_KINDS.map(({ key, label, hint }) => (
+          <div key={key} style={{ padding: "8px 0", borderBottom: `1px solid ${COLORS.border}`, opacity: cfg[key].on ? 1 : 0.5 }}>
+            <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+              {check(cfg[key].on, v => setKind(key, { on: v }), label)}
+              {key === "review" && <select value={cfg.review.weekday} onChange={e => setKind("review", { weekday: parseInt(e.target.value) })} style={{ background: COLORS.surfaceLight, border: `1px solid ${COLORS.border}`, borderRadius: 6, padding: "5px 4px", color: COLORS.text, fontFamily: FONTS, fontSize: 11 }}>{WEEKDAYS.map((d, i) => <option key={d} value={i}>{d}</option>)}</select>}
+              {timeIn(cfg[key].time, v => setKind(key, { time: v }))}
+            </div>
+            <div style={{ fontFamily: FONTS, fontSize: 9, color: COLORS.textMuted, marginTop: 3, marginLeft: 22 }}>{hint}</div>
+            {key === "training" && cfg.training.on && (
+              <div style={{ display: "flex", gap: 4, marginTop: 6, marginLeft: 22 }}>{WEEKDAYS.map((d, i) => { const on = weekdays.includes(i); return (
+                <button key={d} onClick={() => update({ trainingWeekdays: on ? weekdays.filter(x => x !== i) : [...weekdays, i].sort() })} style={dayBtn(on)}>{d.toUpperCase()}</button>
+              ); })}</div>
+            )}
+          </div>
+        ))}
+        <div style={{ display: "flex", alignItems: "center", gap: 8, padding: "10px 0" }}>
+          {check(cfg.quiet.on, v => setKind("quiet", { on: v }), "Quiet hours")}
+          {timeIn(cfg.quiet.from, v => setKind("quiet", { from: v }))}<span style={{ fontFamily: FONTS, fontSize: 10, color: COLORS.textMuted }}>to</span>{timeIn(cfg.quiet.to, v => setKind("quiet", { to: v }))}
+        </div>
+        <div style={{ fontFamily: FONTS, fontSize: 10, color: COLORS.textMuted, marginBottom: 12 }}>
+          {background === false ? "Your browser only allows reminders while the app is open or recently used." : "Reminders due during quiet hours wait until they end (up to 4 hours late)."}
+          {permission !== "granted" && " Notifications are no longer allowed — reminders are paused."}
+        </div>
+        <div style={{ display: "flex", gap: 8 }}>
+          <Btn variant="secondary" onClick={() => postToServiceWorker({ type: "coach-reminders-test" }).catch(() => {})}>SEND TEST</Btn>
+          <Btn variant="ghost" onClick={() => update({ enabled: false })}>TURN OFF</Btn>
+        </div>
+      </>)}
+    </Card>
+  );
+}
+
+// Joins this device to a space on a sync server; every device in the same space shares one copy of the synced data.
+function SyncSettings({ config, status, onConnect, onSyncNow }) {
+  const [form, setForm] = useState({ url: config?.url || "", space: config?.space || "", token: config?.token || "" });
+  const [confirmLeave, setConfirmLeave] = useState(false);
+  const draft = { url: form.url.trim().replace(/\/+$/, ""), space: form.space.trim(), token: form.token.trim() };
+  const valid = /^https?:\/\/\S+$/i.test(draft.url) && /^[\w-]{1,64}$/.test(draft.space);
+  const pending = status?.pending || 0;
+
+  if (!config) return (
+    <Card style={{ marginBottom: 16 }}>
+      <div style={{ fontFamily: FONT_BODY, fontSize: 12, color: COLORS.textDim, marginBottom: 10 }}>
+        Keep your profile, targets, program, weigh-ins, check-ins and workouts in step across devices through your own sync server (<span style={{ fontFamily: FONTS }}>npm run sync-server</span>). Measurements, photos and coach history stay on this device.
+      </div>
+      <Input label="Server URL" value={form.url} onChange={e => setForm(f => ({ ...f, url: e.target.value }))} placeholder="http://localhost:8788" style={{ fontSize: 12 }} />
+      <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 8 }}>
+        <Input label="Space" value={form.space} onChange={e => setForm(f => ({ ...f, space: e.target.value }))} placeholder="e.g. alex" style={{ fontSize: 12 }} />
+        <Input label="Token (optional)" type="password" value={form.token} onChange={e => setForm(f => ({ ...f, token: e.target.value }))} style={{ fontSize: 12 }} />
+      </div>
+      <div style={{ fontFamily: FONTS, fontSize: 10, color: COLORS.textMuted, marginBottom: 12 }}>Use the same space on every device (letters, digits, - and _). Joining a space that already has data keeps its version of anything both sides have.</div>
+      <Btn onClick={() => valid && onConnect(draft)} disabled={!valid} style={{ opacity: valid ? 1 : 0.4 }}>CONNECT</Btn>
+    </Card>
+  );
+
+  return (
+    <Card style={{ marginBottom: 16 }}>
+      <div style={{ fontFamily: FONTS, fontSize: 12, color: COLORS.text, wordBreak: "break-all" }}>{config.space} @ {config.url}</div>
+      <div style={{ fontFamily: FONTS, fontSize: 10, color: status ? SYNC_STATUS[status.state].color : COLORS.textMuted, marginTop: 4 }}>
+        {status ? SYNC_STATUS[status.state].label : "WAITING"}{status?.at ? ` · last synced ${new Date(status.at).toLocaleTimeString("en-GB", { hour: "2-digit", minute: "2-digit" })}` : ""}{pending > 0 ? ` · ${pending} change${pending === 1 ? "" : "s"} queued` : ""}
+      </div>
+      {status?.message && status.state !== "synced" && <div style={{ fontFamily: FONTS, fontSize: 10, color: COLORS.textMuted, marginTop: 4 }}>{status.message}{status.state === "offline" ? " — changes stay queued and go out when the server is back." : ""}</div>}
+      {!confirmLeave ? (
+        <div style={{ display: "flex", gap: 8, marginTop: 12 }}>
+          <Btn variant="secondary" onClick={onSyncNow} disabled={status?.state === "syncing"} style={{ opacity: status?.state === "syncing" ? 0.4 : 1 }}>SYNC NOW</Btn>
+          <Btn variant="ghost" onClick={() => setConfirmLeave(true)}>DISCONNECT</Btn>
+        </div>
+      ) : (
+        <div style={{ marginTop: 12 }}>
+          <div style={{ fontFamily: FONTS, fontSize: 11, color: COLORS.warning, marginBottom: 8 }}>Stop syncing this device? Your data stays here{pending > 0 ? `, but ${pending} queued change${pending === 1 ? "" : "s"} will not reach the server` : ""}.</div>
+          <div style={{ display: "flex", gap: 8 }}><Btn variant="danger" onClick={() => { setConfirmLeave(false); onConnect(null); }}>DISCONNECT</Btn><Btn variant="secondary" onClick={() => setConfirmLeave(false)}>CANCEL</Btn></div>
+        </div>
+      )}
+    </Card>
+  );
+}